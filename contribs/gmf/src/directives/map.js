@@ -11,8 +11,7 @@ goog.provide('gmf.mapDirective');
 
 goog.require('gmf');
 goog.require('goog.asserts');
-goog.require('ngeo.Debounce');
-goog.require('ngeo.Location');
+goog.require('ngeo.Permalink');
 goog.require('ngeo.mapDirective');
 goog.require('ol.Map');
 
@@ -38,12 +37,11 @@ gmfModule.directive('gmfMap', gmf.mapDirective);
 
 /**
  * @param {angular.Scope} $scope The directive's scope.
- * @param {ngeo.Location} ngeoLocation ngeo Location service.
- * @param {ngeo.Debounce} ngeoDebounce ngeo Debounce service.
+ * @param {ngeo.Permalink} ngeoPermalink ngeo Permalink service.
  * @constructor
  * @ngInject
  */
-gmf.MapController = function($scope, ngeoLocation, ngeoDebounce) {
+gmf.MapController = function($scope, ngeoPermalink) {
 
   var map = $scope['getMapFn']();
   goog.asserts.assertInstanceof(map, ol.Map);
@@ -54,29 +52,7 @@ gmf.MapController = function($scope, ngeoLocation, ngeoDebounce) {
    */
   this.map = map;
 
-  var view = map.getView();
-  goog.asserts.assert(!goog.isNull(view));
-
-  var x = ngeoLocation.getParam('map_x');
-  var y = ngeoLocation.getParam('map_y');
-  var zoom = ngeoLocation.getParam('map_zoom');
-
-  if (goog.isDef(x) && goog.isDef(y)) {
-    view.setCenter([+x, +y]);
-  }
-  if (goog.isDef(zoom)) {
-    view.setZoom(+zoom);
-  }
-
-  view.on('propertychange', ngeoDebounce(function() {
-    var center = view.getCenter();
-    var zoom = view.getZoom();
-    ngeoLocation.updateParams({
-      'map_zoom': zoom,
-      'map_x': Math.round(center[0]),
-      'map_y': Math.round(center[1])
-    });
-  }, 300, /* invokeApply */ true));
+  ngeoPermalink.init(map);
 };
 
 gmfModule.controller('GmfMapController', gmf.MapController);
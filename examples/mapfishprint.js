@@ -1,6 +1,7 @@
 goog.provide('mapfishprint');
 
 goog.require('ngeo.CreatePrint');
+goog.require('ngeo.CreatePrintJob');
 goog.require('ngeo.Print');
 goog.require('ngeo.PrintUtils');
 goog.require('ngeo.mapDirective');
@@ -77,13 +78,15 @@ app.PRINT_PAPER_SIZE_ = [555, 675];
 
 /**
  * @constructor
- * @param {angular.$timeout} $timeout Angular timeout service.
  * @param {ngeo.CreatePrint} ngeoCreatePrint The ngeo Create Print function.
+ * @param {ngeo.CreatePrintJob} ngeoCreatePrintJob The ngeo Create Print Job
+ *     function.
  * @param {ngeo.PrintUtils} ngeoPrintUtils The ngeo PrintUtils service.
  * @ngInject
  * @export
  */
-app.MainController = function($timeout, ngeoCreatePrint, ngeoPrintUtils) {
+app.MainController = function(ngeoCreatePrint, ngeoCreatePrintJob,
+    ngeoPrintUtils) {
 
   var projection = ol.proj.get('EPSG:21781');
   projection.setExtent([485869.5728, 76443.1884, 837076.5648, 299941.7864]);
@@ -128,10 +131,10 @@ app.MainController = function($timeout, ngeoCreatePrint, ngeoPrintUtils) {
   this.printState = '';
 
   /**
-   * @type {angular.$timeout}
+   * @type {ngeo.CreatePrintJob}
    * @private
    */
-  this.$timeout_ = $timeout;
+  this.createPrintJob_ = ngeoCreatePrintJob;
 
   /**
    * @type {ngeo.Print}
@@ -203,69 +206,28 @@ app.MainController.prototype.print = function() {
     'title': 'My print'
   });
 
-  this.print_.createReport(spec).then(
-      angular.bind(this, this.handleCreateReportSuccess_),
-      angular.bind(this, this.handleCreateReportError_));
+  this.createPrintJob_(this.print_, spec).submit().then(
+      angular.bind(this, this.handlePrintSuccess_),
+      angular.bind(this, this.handlePrintError_));
 };
 
 
 /**
- * @param {!angular.$http.Response} resp Response.
+ * @param {string} url The report URL.
  * @private
  */
-app.MainController.prototype.handleCreateReportSuccess_ = function(resp) {
-  var mfResp = /** @type {MapFishPrintReportResponse} */ (resp.data);
-  this.getStatus_(mfResp.ref);
-};
-
-
-/**
- * @param {string} ref Ref.
- * @private
- */
-app.MainController.prototype.getStatus_ = function(ref) {
-  this.print_.getStatus(ref).then(
-      angular.bind(this, this.handleGetStatusSuccess_, ref),
-      angular.bind(this, this.handleGetStatusError_));
-};
-
-
-/**
- * @param {!angular.$http.Response} resp Response.
- * @private
- */
-app.MainController.prototype.handleCreateReportError_ = function(resp) {
-  this.printState = 'Print error';
-};
-
-
-/**
- * @param {string} ref Ref.
- * @param {!angular.$http.Response} resp Response.
- * @private
- */
-app.MainController.prototype.handleGetStatusSuccess_ = function(ref, resp) {
-  var mfResp = /** @type {MapFishPrintStatusResponse} */ (resp.data);
-  var done = mfResp.done;
-  if (done) {
-    // The report is ready. Open it by changing the window location.
-    this.printState = '';
-    window.location.href = this.print_.getReportUrl(ref);
-  } else {
-    // The report is not ready yet. Check again in 1s.
-    var that = this;
-    this.$timeout_(function() {
-      that.getStatus_(ref);
-    }, 1000, false);
-  }
+app.MainController.prototype.handlePrintSuccess_ = function(url) {
+  // The report is ready. Open it by changing the window location.
+  this.printState = '';
+  window.location.href = url;
 };
 
 
 /**
- * @param {!angular.$http.Response} resp Response.
+ * @param {ngeo.PrintJobStatus} status The final status of the print job.
  * @private
  */
-app.MainController.prototype.handleGetStatusError_ = function(resp) {
+app.MainController.prototype.handlePrintError_ = function(status) {
   this.printState = 'Print error';
 };
 
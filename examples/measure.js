@@ -5,6 +5,7 @@ goog.require('ngeo.MeasureEvent');
 goog.require('ngeo.btngroupDirective');
 goog.require('ngeo.interaction.MeasureArea');
 goog.require('ngeo.interaction.MeasureAzimut');
+goog.require('ngeo.interaction.MeasureCircle');
 goog.require('ngeo.interaction.MeasureLength');
 goog.require('ngeo.mapDirective');
 goog.require('ol.Map');
@@ -98,6 +99,12 @@ app.MeasuretoolsController = function($scope, $compile, $sce,
    */
   this.measureAzimutContinueMsg = null;
 
+  /**
+   * @type {Object}
+   * @export
+   */
+  this.measureCircleContinueMsg = null;
+
   // Translations for the measure tools' tooltips.
   var measureStartMsgs = {
     'en': $sce.trustAsHtml('Click to start drawing.'),
@@ -119,6 +126,10 @@ app.MeasuretoolsController = function($scope, $compile, $sce,
     'en': $sce.trustAsHtml('Click to finish.'),
     'fr': $sce.trustAsHtml('Cliquer pour finir.')
   };
+  var measureCircleContinueMsgs = {
+    'en': $sce.trustAsHtml('Click to finish.'),
+    'fr': $sce.trustAsHtml('Cliquer pour finir.')
+  };
 
   // Create elements for the measure tools' tooltips.
   var measureStartMsg = angular.element(
@@ -133,6 +144,9 @@ app.MeasuretoolsController = function($scope, $compile, $sce,
   var measureAzimutContinueMsg = angular.element(
       '<span ng-bind-html="ctrl.measureAzimutContinueMsg"></span>');
   measureAzimutContinueMsg = $compile(measureAzimutContinueMsg)($scope);
+  var measureCircleContinueMsg = angular.element(
+      '<span ng-bind-html="ctrl.measureCircleContinueMsg"></span>');
+  measureCircleContinueMsg = $compile(measureCircleContinueMsg)($scope);
 
   // Watch the "lang" property and update the toolip messages
   // based on the selected language.
@@ -143,6 +157,7 @@ app.MeasuretoolsController = function($scope, $compile, $sce,
     this.measureLengthContinueMsg = measureLengthContinueMsgs[newVal];
     this.measureAreaContinueMsg = measureAreaContinueMsgs[newVal];
     this.measureAzimutContinueMsg = measureAzimutContinueMsgs[newVal];
+    this.measureCircleContinueMsg = measureCircleContinueMsgs[newVal];
   }));
 
   var style = new ol.style.Style({
@@ -173,6 +188,8 @@ app.MeasuretoolsController = function($scope, $compile, $sce,
    */
   this.measureLength = new ngeo.interaction.MeasureLength({
     sketchStyle: style,
+    keepResults: true,
+    modify: true,
     startMsg: measureStartMsg[0],
     continueMsg: measureLengthContinueMsg[0]
   });
@@ -188,6 +205,8 @@ app.MeasuretoolsController = function($scope, $compile, $sce,
    */
   this.measureArea = new ngeo.interaction.MeasureArea({
     sketchStyle: style,
+    keepResults: true,
+    modify: true,
     startMsg: measureStartMsg[0],
     continueMsg: measureAreaContinueMsg[0]
   });
@@ -212,6 +231,21 @@ app.MeasuretoolsController = function($scope, $compile, $sce,
   ngeoDecorateInteraction(measureAzimut);
   map.addInteraction(measureAzimut);
 
+  /**
+   * @type {ngeo.interaction.MeasureCircle}
+   * @export
+   */
+  this.measureCircle = new ngeo.interaction.MeasureCircle({
+    sketchStyle: style,
+    startMsg: measureStartMsg[0],
+    continueMsg: measureCircleContinueMsg[0]
+  });
+
+  var measureCircle = this.measureCircle;
+  measureCircle.setActive(false);
+  ngeoDecorateInteraction(measureCircle);
+  map.addInteraction(measureCircle);
+
 
   // the following code shows how one can add additional information to the
   // tooltip. This can be useful to display the elevation offset from the
@@ -27,3 +27,7 @@ goog.exportProperty(
     ngeo.format.FeatureHash.prototype,
     'writeFeatures',
     ngeo.format.FeatureHash.prototype.writeFeatures);
+goog.exportProperty(
+    ngeo.format.FeatureHash.prototype,
+    'getMaxLengthExceeded',
+    ngeo.format.FeatureHash.prototype.getMaxLengthExceeded);
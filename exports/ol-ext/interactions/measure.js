@@ -1,11 +1,14 @@
 goog.require('ngeo.interaction.MeasureArea');
 goog.require('ngeo.interaction.MeasureAzimut');
+goog.require('ngeo.interaction.MeasureCircle');
 goog.require('ngeo.interaction.MeasureLength');
 
 
 goog.exportSymbol('ngeo.interaction.MeasureArea', ngeo.interaction.MeasureArea);
 goog.exportSymbol('ngeo.interaction.MeasureAzimut',
     ngeo.interaction.MeasureAzimut);
+goog.exportSymbol('ngeo.interaction.MeasureCircle',
+    ngeo.interaction.MeasureCircle);
 goog.exportSymbol('ngeo.interaction.MeasureLength',
     ngeo.interaction.MeasureLength);
 
@@ -13,3 +16,8 @@ goog.exportProperty(
     ngeo.interaction.Measure.prototype,
     'getTooltipElement',
     ngeo.interaction.Measure.prototype.getTooltipElement);
+
+goog.exportProperty(
+    ngeo.interaction.Measure.prototype,
+    'getResults',
+    ngeo.interaction.Measure.prototype.getResults);
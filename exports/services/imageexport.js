@@ -0,0 +1,10 @@
+goog.require('ngeo.ImageExport');
+
+goog.exportProperty(
+    ngeo.ImageExport.prototype,
+    'exportMap',
+    ngeo.ImageExport.prototype.exportMap);
+goog.exportProperty(
+    ngeo.ImageExport.prototype,
+    'getImageSize',
+    ngeo.ImageExport.prototype.getImageSize);
@@ -40,3 +40,27 @@ goog.exportProperty(
     ngeo.Location.prototype,
     'setPath',
     ngeo.Location.prototype.setPath);
+goog.exportProperty(
+    ngeo.Location.prototype,
+    'getHistoryMode',
+    ngeo.Location.prototype.getHistoryMode);
+goog.exportProperty(
+    ngeo.Location.prototype,
+    'setHistoryMode',
+    ngeo.Location.prototype.setHistoryMode);
+goog.exportProperty(
+    ngeo.Location.prototype,
+    'declareParams',
+    ngeo.Location.prototype.declareParams);
+goog.exportProperty(
+    ngeo.Location.prototype,
+    'getTypedParam',
+    ngeo.Location.prototype.getTypedParam);
+goog.exportProperty(
+    ngeo.Location.prototype,
+    'updateTypedParams',
+    ngeo.Location.prototype.updateTypedParams);
+goog.exportProperty(
+    ngeo.Location.prototype,
+    'getStorage',
+    ngeo.Location.prototype.getStorage);
@@ -0,0 +1,14 @@
+goog.require('ngeo.Permalink');
+
+goog.exportProperty(
+    ngeo.Permalink.prototype,
+    'init',
+    ngeo.Permalink.prototype.init);
+goog.exportProperty(
+    ngeo.Permalink.prototype,
+    'registerState',
+    ngeo.Permalink.prototype.registerState);
+goog.exportProperty(
+    ngeo.Permalink.prototype,
+    'update',
+    ngeo.Permalink.prototype.update);
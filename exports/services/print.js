@@ -20,3 +20,7 @@ goog.exportProperty(
     ngeo.Print.prototype,
     'getStatus',
     ngeo.Print.prototype.getStatus);
+goog.exportProperty(
+    ngeo.Print.prototype,
+    'createAtlasSpec',
+    ngeo.Print.prototype.createAtlasSpec);
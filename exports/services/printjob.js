@@ -0,0 +1,14 @@
+goog.require('ngeo.PrintJob');
+
+goog.exportProperty(
+    ngeo.PrintJob.prototype,
+    'cancel',
+    ngeo.PrintJob.prototype.cancel);
+goog.exportProperty(
+    ngeo.PrintJob.prototype,
+    'isDone',
+    ngeo.PrintJob.prototype.isDone);
+goog.exportProperty(
+    ngeo.PrintJob.prototype,
+    'submit',
+    ngeo.PrintJob.prototype.submit);
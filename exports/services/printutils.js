@@ -8,3 +8,19 @@ goog.exportProperty(
     ngeo.PrintUtils.prototype,
     'createPrintMaskPostcompose',
     ngeo.PrintUtils.prototype.createPrintMaskPostcompose);
+goog.exportProperty(
+    ngeo.PrintUtils.prototype,
+    'getFramePolygon',
+    ngeo.PrintUtils.prototype.getFramePolygon);
+goog.exportProperty(
+    ngeo.PrintUtils.prototype,
+    'getGroundSize',
+    ngeo.PrintUtils.prototype.getGroundSize);
+goog.exportProperty(
+    ngeo.PrintUtils.prototype,
+    'splitExtent',
+    ngeo.PrintUtils.prototype.splitExtent);
+goog.exportProperty(
+    ngeo.PrintUtils.prototype,
+    'splitLineString',
+    ngeo.PrintUtils.prototype.splitLineString);
@@ -0,0 +1,10 @@
+goog.require('ngeo.ShortUrl');
+
+goog.exportProperty(
+    ngeo.ShortUrl.prototype,
+    'setBackend',
+    ngeo.ShortUrl.prototype.setBackend);
+goog.exportProperty(
+    ngeo.ShortUrl.prototype,
+    'shorten',
+    ngeo.ShortUrl.prototype.shorten);
@@ -157,6 +157,12 @@ MapFishPrintWmsLayer.prototype.baseURL;
 MapFishPrintWmsLayer.prototype.customParams;
 
 
+/**
+ * @type {string}
+ */
+MapFishPrintWmsLayer.prototype.imageFormat;
+
+
 /**
  * @type {Array.<string>}
  */
@@ -176,6 +182,64 @@ MapFishPrintWmsLayer.prototype.version;
 
 
 
+/**
+ * @constructor
+ * @extends {MapFishPrintLayer}
+ */
+var MapFishPrintOsmLayer = function() {};
+
+
+/**
+ * @type {string}
+ */
+MapFishPrintOsmLayer.prototype.baseURL;
+
+
+/**
+ * @type {string}
+ */
+MapFishPrintOsmLayer.prototype.imageExtension;
+
+
+/**
+ * @type {Array.<number>}
+ */
+MapFishPrintOsmLayer.prototype.maxExtent;
+
+
+/**
+ * @type {Array.<number>}
+ */
+MapFishPrintOsmLayer.prototype.resolutions;
+
+
+/**
+ * @type {Array.<number>}
+ */
+MapFishPrintOsmLayer.prototype.tileSize;
+
+
+
+/**
+ * @constructor
+ * @extends {MapFishPrintLayer}
+ */
+var MapFishPrintImageLayer = function() {};
+
+
+/**
+ * @type {string}
+ */
+MapFishPrintImageLayer.prototype.baseURL;
+
+
+/**
+ * @type {Array.<number>}
+ */
+MapFishPrintImageLayer.prototype.extent;
+
+
+
 /**
  * @constructor
  */
@@ -323,6 +387,155 @@ MapFishPrintStatusResponse.prototype.done;
 MapFishPrintStatusResponse.prototype.downloadURL;
 
 
+/**
+ * @type {number}
+ */
+MapFishPrintStatusResponse.prototype.elapsedTime;
+
+
+/**
+ * @type {string|undefined}
+ */
+MapFishPrintStatusResponse.prototype.error;
+
+
+/**
+ * @type {string}
+ */
+MapFishPrintStatusResponse.prototype.status;
+
+
+/**
+ * @type {number}
+ */
+MapFishPrintStatusResponse.prototype.waitingTime;
+
+
+
+/**
+ * @constructor
+ */
+var MapFishPrintCapabilities = function() {};
+
+
+/**
+ * @type {Array.<MapFishPrintCapabilitiesLayout>}
+ */
+MapFishPrintCapabilities.prototype.layouts;
+
+
+/**
+ * @type {Array.<string>}
+ */
+MapFishPrintCapabilities.prototype.formats;
+
+
+
+/**
+ * @constructor
+ */
+var MapFishPrintCapabilitiesLayout = function() {};
+
+
+/**
+ * @type {string}
+ */
+MapFishPrintCapabilitiesLayout.prototype.name;
+
+
+/**
+ * @type {Array.<MapFishPrintCapabilitiesAttribute>}
+ */
+MapFishPrintCapabilitiesLayout.prototype.attributes;
+
+
+
+/**
+ * @constructor
+ */
+var MapFishPrintCapabilitiesAttribute = function() {};
+
+
+/**
+ * @type {string}
+ */
+MapFishPrintCapabilitiesAttribute.prototype.name;
+
+
+/**
+ * @type {string}
+ */
+MapFishPrintCapabilitiesAttribute.prototype.type;
+
+
+/**
+ * @type {MapFishPrintCapabilitiesClientInfo|undefined}
+ */
+MapFishPrintCapabilitiesAttribute.prototype.clientInfo;
+
+
+
+/**
+ * @constructor
+ */
+var MapFishPrintCapabilitiesClientInfo = function() {};
+
+
+/**
+ * @type {Array.<number>}
+ */
+MapFishPrintCapabilitiesClientInfo.prototype.dpiSuggestions;
+
+
+/**
+ * @type {number}
+ */
+MapFishPrintCapabilitiesClientInfo.prototype.height;
+
+
+/**
+ * @type {number}
+ */
+MapFishPrintCapabilitiesClientInfo.prototype.maxDPI;
+
+
+/**
+ * @type {Array.<number>|undefined}
+ */
+MapFishPrintCapabilitiesClientInfo.prototype.scales;
+
+
+/**
+ * @type {number}
+ */
+MapFishPrintCapabilitiesClientInfo.prototype.width;
+
+
+
+/**
+ * @constructor
+ */
+var MapFishPrintLegendClass = function() {};
+
+
+/**
+ * @type {Array.<MapFishPrintLegendClass>|undefined}
+ */
+MapFishPrintLegendClass.prototype.classes;
+
+
+/**
+ * @type {Array.<string>|undefined}
+ */
+MapFishPrintLegendClass.prototype.icons;
+
+
+/**
+ * @type {string}
+ */
+MapFishPrintLegendClass.prototype.name;
+
+
 
 /**
  * @constructor
@@ -400,6 +613,42 @@ MapFishPrintSymbolizerPoint.prototype.fillColor;
 MapFishPrintSymbolizerPoint.prototype.fillOpacity;
 
 
+/**
+ * @type {number}
+ */
+MapFishPrintSymbolizerPoint.prototype.graphicHeight;
+
+
+/**
+ * @type {string}
+ */
+MapFishPrintSymbolizerPoint.prototype.graphicName;
+
+
+/**
+ * @type {number}
+ */
+MapFishPrintSymbolizerPoint.prototype.graphicOpacity;
+
+
+/**
+ * @type {number}
+ */
+MapFishPrintSymbolizerPoint.prototype.graphicWidth;
+
+
+/**
+ * @type {number}
+ */
+MapFishPrintSymbolizerPoint.prototype.graphicXOffset;
+
+
+/**
+ * @type {number}
+ */
+MapFishPrintSymbolizerPoint.prototype.graphicYOffset;
+
+
 /**
  * @type {number}
  */
@@ -13,19 +13,360 @@ ngeox.format;
 
 /**
  * @typedef {{
- *    accuracy: (number|undefined)
+ *    accuracy: (number|undefined),
+ *    decodeProperties: ((function(Object.<string, string>):
+ *        Object.<string, *>)|undefined),
+ *    decodeStyle: ((function(string): (ol.style.Style|
+ *        Array.<ol.style.Style>|ol.style.StyleFunction|undefined))|
+ *        undefined),
+ *    defaultDataProjection: (ol.proj.ProjectionLike|undefined),
+ *    encodeProperties: ((function(Object.<string, *>, ol.Feature):
+ *        Object.<string, *>)|undefined),
+ *    encodeStyle: ((function(ol.Feature): (string|undefined))|undefined),
+ *    maxLength: (number|undefined),
+ *    simplify: (number|undefined)
  * }}
  */
 ngeox.format.FeatureHashOptions;
 
 
 /**
- * The encoding and decoding accuracy.
+ * The encoding and decoding accuracy, in units of the data projection.
  * @type {number|undefined}
  */
 ngeox.format.FeatureHashOptions.prototype.accuracy;
 
 
+/**
+ * Function called with the decoded properties of a feature. It returns the
+ * properties to set in the feature. Use it to revert what
+ * `encodeProperties` does.
+ * @type {(function(Object.<string, string>): Object.<string, *>)|undefined}
+ */
+ngeox.format.FeatureHashOptions.prototype.decodeProperties;
+
+
+/**
+ * Function returning the style for a style id written by `encodeStyle`.
+ * If it returns `undefined` the feature is not styled.
+ * @type {(function(string): (ol.style.Style|Array.<ol.style.Style>|
+ *     ol.style.StyleFunction|undefined))|undefined}
+ */
+ngeox.format.FeatureHashOptions.prototype.decodeStyle;
+
+
+/**
+ * Projection of the encoded coordinates. When set, coordinates are
+ * transformed from/to the `featureProjection` given to the read and write
+ * methods. Default is no transformation.
+ * @type {ol.proj.ProjectionLike|undefined}
+ */
+ngeox.format.FeatureHashOptions.prototype.defaultDataProjection;
+
+
+/**
+ * Function called with the properties of a feature (without the geometry)
+ * and the feature itself. It returns the properties to encode, it may be
+ * used to rename, drop or shorten properties.
+ * @type {(function(Object.<string, *>, ol.Feature): Object.<string, *>)|
+ *     undefined}
+ */
+ngeox.format.FeatureHashOptions.prototype.encodeProperties;
+
+
+/**
+ * Function returning a short symbolic id (e.g. `red-marker`) for the style
+ * of a feature. The id is encoded instead of the style. If it returns
+ * `undefined` the style is encoded as usual.
+ * @type {(function(ol.Feature): (string|undefined))|undefined}
+ */
+ngeox.format.FeatureHashOptions.prototype.encodeStyle;
+
+
+/**
+ * Maximum length of the text produced by `writeFeatures`. If the encoded
+ * features are longer, the lines and polygons are simplified with an
+ * increasing tolerance until they fit. This is a best effort, points are
+ * never simplified: `getMaxLengthExceeded` tells whether the written text
+ * fits. Default is no maximum length.
+ * @type {number|undefined}
+ */
+ngeox.format.FeatureHashOptions.prototype.maxLength;
+
+
+/**
+ * Tolerance used to simplify the lines and polygons before encoding them,
+ * in units of the data projection. Default is `0` (no simplification).
+ * @type {number|undefined}
+ */
+ngeox.format.FeatureHashOptions.prototype.simplify;
+
+
+/**
+ * Definition of a typed ngeoLocation param.
+ * @typedef {{
+ *    defaultValue: (*|undefined),
+ *    type: ngeo.LocationParamType,
+ *    validate: (function(*): boolean|undefined),
+ *    values: (Array.<string>|undefined)
+ * }}
+ */
+ngeox.LocationParamDefinition;
+
+
+/**
+ * The value used when the param is missing or malformed. Default is
+ * `undefined`.
+ * @type {*|undefined}
+ */
+ngeox.LocationParamDefinition.prototype.defaultValue;
+
+
+/**
+ * The param type.
+ * @type {ngeo.LocationParamType}
+ */
+ngeox.LocationParamDefinition.prototype.type;
+
+
+/**
+ * Function called with the parsed value, returning `false` if the value is
+ * not valid (e.g. a zoom level out of range).
+ * @type {function(*): boolean|undefined}
+ */
+ngeox.LocationParamDefinition.prototype.validate;
+
+
+/**
+ * The allowed values, for `enum` params.
+ * @type {Array.<string>|undefined}
+ */
+ngeox.LocationParamDefinition.prototype.values;
+
+
+/**
+ * Options for the permalink service.
+ * @typedef {{
+ *    backgroundLayers: (Array.<ol.layer.Base>|undefined),
+ *    featureHash: (ngeo.format.FeatureHash|undefined),
+ *    featureSource: (ol.source.Vector|undefined)
+ * }}
+ */
+ngeox.PermalinkOptions;
+
+
+/**
+ * The background layers the user can choose from. They are identified by
+ * their "name" property.
+ * @type {Array.<ol.layer.Base>|undefined}
+ */
+ngeox.PermalinkOptions.prototype.backgroundLayers;
+
+
+/**
+ * The format used to encode the features. Default is a FeatureHash format
+ * with the default options.
+ * @type {ngeo.format.FeatureHash|undefined}
+ */
+ngeox.PermalinkOptions.prototype.featureHash;
+
+
+/**
+ * The source of the drawn features to store in the URL.
+ * @type {ol.source.Vector|undefined}
+ */
+ngeox.PermalinkOptions.prototype.featureSource;
+
+
+/**
+ * Options for the export of the map to an image.
+ * @typedef {{
+ *    attribution: (boolean|undefined),
+ *    dpi: (number|undefined),
+ *    northArrow: (boolean|undefined),
+ *    paperSize: ol.Size,
+ *    rotation: (number|undefined),
+ *    scale: number,
+ *    scaleBar: (boolean|undefined),
+ *    timeout: (number|undefined),
+ *    title: (string|undefined)
+ * }}
+ */
+ngeox.ImageExportOptions;
+
+
+/**
+ * Whether to draw the attributions of the layers. Default is `false`.
+ * @type {boolean|undefined}
+ */
+ngeox.ImageExportOptions.prototype.attribution;
+
+
+/**
+ * The DPI of the image. Default is `72`.
+ * @type {number|undefined}
+ */
+ngeox.ImageExportOptions.prototype.dpi;
+
+
+/**
+ * Whether to draw a north arrow. Default is `false`.
+ * @type {boolean|undefined}
+ */
+ngeox.ImageExportOptions.prototype.northArrow;
+
+
+/**
+ * The size of the map on the paper, in dots (1/72 inch), as used by
+ * `ngeo.PrintUtils`.
+ * @type {ol.Size}
+ */
+ngeox.ImageExportOptions.prototype.paperSize;
+
+
+/**
+ * The rotation of the print frame in degrees, clockwise, relative to the map
+ * view (see `ngeo.PrintUtils#createPrintMaskPostcompose`). Default is `0`.
+ * @type {number|undefined}
+ */
+ngeox.ImageExportOptions.prototype.rotation;
+
+
+/**
+ * The scale denominator of the map.
+ * @type {number}
+ */
+ngeox.ImageExportOptions.prototype.scale;
+
+
+/**
+ * Whether to draw a scale bar. Default is `false`.
+ * @type {boolean|undefined}
+ */
+ngeox.ImageExportOptions.prototype.scaleBar;
+
+
+/**
+ * The time in milliseconds after which the export is given up if the
+ * images and tiles are still loading. Default is `60000`.
+ * @type {number|undefined}
+ */
+ngeox.ImageExportOptions.prototype.timeout;
+
+
+/**
+ * The title drawn at the top of the image. Default is no title.
+ * @type {string|undefined}
+ */
+ngeox.ImageExportOptions.prototype.title;
+
+
+/**
+ * Options for the legend of print reports.
+ * @typedef {{
+ *    attributeName: (string|undefined),
+ *    getLayerName: (function(ol.layer.Base): (string|undefined)|undefined),
+ *    title: (string|undefined)
+ * }}
+ */
+ngeox.PrintLegendOptions;
+
+
+/**
+ * The name of the legend attribute in the print layout. Default is
+ * `legend`.
+ * @type {string|undefined}
+ */
+ngeox.PrintLegendOptions.prototype.attributeName;
+
+
+/**
+ * Function returning the name to display for a layer in the legend, for
+ * example the name of its layertree node. By default the "name" property of
+ * the layer is used.
+ * @type {function(ol.layer.Base): (string|undefined)|undefined}
+ */
+ngeox.PrintLegendOptions.prototype.getLayerName;
+
+
+/**
+ * The title of the legend. Default is no title.
+ * @type {string|undefined}
+ */
+ngeox.PrintLegendOptions.prototype.title;
+
+
+/**
+ * Options for the encoding of the vector layers in print reports.
+ * @typedef {{
+ *    extent: (ol.Extent|undefined),
+ *    simplify: (boolean|undefined)
+ * }}
+ */
+ngeox.PrintVectorOptions;
+
+
+/**
+ * The extent of the printed map (see `ngeo.PrintUtils#getFramePolygon`). If
+ * set, the features outside of the extent are not printed, and the geometries
+ * of the features crossing it are clipped.
+ * @type {ol.Extent|undefined}
+ */
+ngeox.PrintVectorOptions.prototype.extent;
+
+
+/**
+ * Whether to simplify the geometries to the print resolution, the size of a
+ * dot on the paper. Default is `false`.
+ * @type {boolean|undefined}
+ */
+ngeox.PrintVectorOptions.prototype.simplify;
+
+
+/**
+ * Options for the print jobs.
+ * @typedef {{
+ *    backoff: (number|undefined),
+ *    delay: (number|undefined),
+ *    maxDelay: (number|undefined),
+ *    timeout: (number|undefined)
+ * }}
+ */
+ngeox.PrintJobOptions;
+
+
+/**
+ * The factor applied to the polling delay after each status request.
+ * Default is `1.5`.
+ * @type {number|undefined}
+ */
+ngeox.PrintJobOptions.prototype.backoff;
+
+
+/**
+ * The delay in milliseconds before the first status request. Default is
+ * `1000`.
+ * @type {number|undefined}
+ */
+ngeox.PrintJobOptions.prototype.delay;
+
+
+/**
+ * The maximum delay in milliseconds between two status requests. Default is
+ * `10000`.
+ * @type {number|undefined}
+ */
+ngeox.PrintJobOptions.prototype.maxDelay;
+
+
+/**
+ * The time in milliseconds after which the job is cancelled if the report
+ * is not ready. Default is `300000` (5 minutes).
+ * @type {number|undefined}
+ */
+ngeox.PrintJobOptions.prototype.timeout;
+
+
 /**
  * Namespace.
  * @type {Object}
@@ -37,8 +378,15 @@ ngeox.interaction;
  * @typedef {{
  *    startMsg: (Element|undefined),
  *    continueMsg: (Element|undefined),
+ *    decimals: (number|undefined),
+ *    geodesic: (boolean|undefined),
+ *    keepResults: (boolean|undefined),
+ *    modify: (boolean|undefined),
+ *    precision: (number|undefined),
+ *    snapSources: (Array.<ol.source.Vector>|undefined),
  *    style: (ol.style.Style|Array.<ol.style.Style>|ol.style.StyleFunction|undefined),
- *    sketchStyle: (ol.style.Style|Array.<ol.style.Style>|ol.style.StyleFunction|undefined)
+ *    sketchStyle: (ol.style.Style|Array.<ol.style.Style>|ol.style.StyleFunction|undefined),
+ *    units: (ngeo.interaction.MeasureUnits|undefined)
  * }}
  */
 ngeox.interaction.MeasureOptions;
@@ -60,6 +408,55 @@ ngeox.interaction.MeasureOptions.prototype.startMsg;
 ngeox.interaction.MeasureOptions.prototype.continueMsg;
 
 
+/**
+ * The number of decimals of the measures. If set, it is used instead of the
+ * precision.
+ * @type {number|undefined}
+ */
+ngeox.interaction.MeasureOptions.prototype.decimals;
+
+
+/**
+ * Whether the measures are computed on the WGS84 ellipsoid (geodesic), or in
+ * the projection of the map (planar). Default is `true`.
+ * @type {boolean|undefined}
+ */
+ngeox.interaction.MeasureOptions.prototype.geodesic;
+
+
+/**
+ * Whether the finished measurements are kept when a new measurement starts
+ * and when the interaction is deactivated. Default is `false`, only the last
+ * measurement is kept while the interaction is active.
+ * @type {boolean|undefined}
+ */
+ngeox.interaction.MeasureOptions.prototype.keepResults;
+
+
+/**
+ * Whether the vertices of the finished measurements can be modified, the
+ * measure is updated while they are moved. Default is `false`. Azimut
+ * and circle measurements cannot be modified, the option is ignored for
+ * them.
+ * @type {boolean|undefined}
+ */
+ngeox.interaction.MeasureOptions.prototype.modify;
+
+
+/**
+ * The number of significant digits of the measures. Default is `3`.
+ * @type {number|undefined}
+ */
+ngeox.interaction.MeasureOptions.prototype.precision;
+
+
+/**
+ * Sources of the features the vertices of the measurements snap to.
+ * @type {Array.<ol.source.Vector>|undefined}
+ */
+ngeox.interaction.MeasureOptions.prototype.snapSources;
+
+
 /**
  * The style to be used when drawing is finished.
  * @type {ol.style.Style|Array.<ol.style.Style>|ol.style.StyleFunction|undefined}
@@ -74,6 +471,14 @@ ngeox.interaction.MeasureOptions.prototype.style;
 ngeox.interaction.MeasureOptions.prototype.sketchStyle;
 
 
+/**
+ * The unit system of the measures. Default is
+ * `ngeo.interaction.MeasureUnits.METRIC`.
+ * @type {ngeo.interaction.MeasureUnits|undefined}
+ */
+ngeox.interaction.MeasureOptions.prototype.units;
+
+
 /**
  * Namespace.
  * @type {Object}
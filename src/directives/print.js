@@ -0,0 +1,521 @@
+/**
+ * @fileoverview Provides the "ngeoPrint" directive, a widget for printing a
+ * map with MapFish Print v3.
+ *
+ * Example usage:
+ *
+ * <div ngeo-print="ctrl.printUrl"
+ *      ngeo-print-map="ctrl.map"
+ *      ngeo-print-scales="ctrl.printScales">
+ * </div>
+ *
+ * - "ngeo-print" specifies an expression providing the URL of the MapFish
+ *   Print service. The directive doesn't watch that expression.
+ *
+ * - "ngeo-print-map" specifies an expression providing the OpenLayers map.
+ *   The directive doesn't watch that expression.
+ *
+ * - "ngeo-print-scales" is optional, it specifies an expression providing
+ *   the scales (as scale denominators sorted in ascending order) to use when
+ *   the capabilities of the print service don't provide them.
+ *
+ * The directive gets the capabilities of the print service, and lets the
+ * user choose the layout, the DPI and the scale among the ones the service
+ * supports. The "String" attributes of the layout (a title, comments, etc.)
+ * are displayed as text inputs. If the layout has a legend attribute, the
+ * legend of the printed layers is added to the report.
+ *
+ * The print extent is drawn on the map as a mask centered on the map. Users
+ * drag the map to move the extent. The print frame can be rotated
+ * independently of the map view, the map is then printed with that rotation.
+ * The scale is set to the optimal scale when the map resolution changes,
+ * users can then select another one.
+ *
+ * Reports are run with an ngeo.PrintJob, and opened when they are ready.
+ *
+ * By default the directive uses "print.html" as its templateUrl. This can be
+ * changed by redefining the "ngeoPrintTemplateUrl" value.
+ *
+ * The directive has its own scope, but it is not isolate scope. That scope
+ * includes a reference to the directive's controller: the "printCtrl" scope
+ * property. The mask is removed from the map when the scope is destroyed, so
+ * applications use "ng-if" to show and hide the print widget.
+ */
+goog.provide('ngeo.PrintController');
+goog.provide('ngeo.printDirective');
+
+goog.require('goog.array');
+goog.require('goog.asserts');
+goog.require('goog.events');
+goog.require('goog.events.Key');
+goog.require('ngeo');
+goog.require('ngeo.CreatePrint');
+goog.require('ngeo.CreatePrintJob');
+goog.require('ngeo.Print');
+goog.require('ngeo.PrintFrame');
+goog.require('ngeo.PrintJob');
+goog.require('ngeo.PrintUtils');
+goog.require('ol.Map');
+goog.require('ol.Object');
+
+
+/**
+ * @const
+ * @type {string}
+ */
+ngeo.printTemplateUrl = 'print.html';
+
+
+ngeoModule.value('ngeoPrintTemplateUrl', ngeo.printTemplateUrl);
+
+
+/**
+ * @param {string|function(!angular.JQLite=, !angular.Attributes=)}
+ *     ngeoPrintTemplateUrl Template URL for the directive.
+ * @return {angular.Directive} Directive Definition Object.
+ * @ngInject
+ */
+ngeo.printDirective = function(ngeoPrintTemplateUrl) {
+  return {
+    restrict: 'A',
+    scope: true,
+    controller: 'NgeoPrintController',
+    templateUrl: ngeoPrintTemplateUrl
+  };
+};
+
+
+ngeoModule.directive('ngeoPrint', ngeo.printDirective);
+
+
+
+/**
+ * @constructor
+ * @param {angular.Scope} $scope Directive scope.
+ * @param {angular.Attributes} $attrs Attributes.
+ * @param {angular.$window} $window Angular window service.
+ * @param {ngeo.CreatePrint} ngeoCreatePrint The ngeo Create Print function.
+ * @param {ngeo.CreatePrintJob} ngeoCreatePrintJob The ngeo Create Print Job
+ *     function.
+ * @param {ngeo.PrintUtils} ngeoPrintUtils The ngeo PrintUtils service.
+ * @export
+ * @ngInject
+ */
+ngeo.PrintController = function($scope, $attrs, $window, ngeoCreatePrint,
+    ngeoCreatePrintJob, ngeoPrintUtils) {
+
+  /**
+   * @type {angular.Scope}
+   * @private
+   */
+  this.$scope_ = $scope;
+
+  /**
+   * @type {angular.$window}
+   * @private
+   */
+  this.$window_ = $window;
+
+  /**
+   * @type {ngeo.CreatePrintJob}
+   * @private
+   */
+  this.createPrintJob_ = ngeoCreatePrintJob;
+
+  /**
+   * @type {ngeo.PrintUtils}
+   * @private
+   */
+  this.printUtils_ = ngeoPrintUtils;
+
+  var url = /** @type {string} */ ($scope.$eval($attrs['ngeoPrint']));
+  goog.asserts.assertString(url);
+
+  /**
+   * @type {ngeo.Print}
+   * @private
+   */
+  this.print_ = ngeoCreatePrint(url);
+
+  /**
+   * @type {ol.Map}
+   * @private
+   */
+  this.map_ = /** @type {ol.Map} */ ($scope.$eval($attrs['ngeoPrintMap']));
+  goog.asserts.assertInstanceof(this.map_, ol.Map);
+
+  var scales = $scope.$eval($attrs['ngeoPrintScales']);
+
+  /**
+   * @type {Array.<number>}
+   * @private
+   */
+  this.defaultScales_ = goog.isDef(scales) ?
+      /** @type {Array.<number>} */ (scales) : [];
+
+  /**
+   * The layouts of the print service.
+   * @type {Array.<MapFishPrintCapabilitiesLayout>}
+   * @export
+   */
+  this.layouts = [];
+
+  /**
+   * The selected layout.
+   * @type {MapFishPrintCapabilitiesLayout}
+   * @export
+   */
+  this.layout = null;
+
+  /**
+   * The DPIs supported by the selected layout.
+   * @type {Array.<number>}
+   * @export
+   */
+  this.dpis = [];
+
+  /**
+   * @type {number|undefined}
+   * @export
+   */
+  this.dpi = undefined;
+
+  /**
+   * The scales supported by the selected layout.
+   * @type {Array.<number>}
+   * @export
+   */
+  this.scales = [];
+
+  /**
+   * @type {number|undefined}
+   * @export
+   */
+  this.scale = undefined;
+
+  /**
+   * The rotation of the print frame in degrees, clockwise, relative to the
+   * map view. The rotation input sets it to `null` or `undefined` when it is
+   * empty or invalid, `0` is used then.
+   * @type {?number|undefined}
+   * @export
+   */
+  this.rotation = 0;
+
+  /**
+   * The names of the "String" attributes of the selected layout.
+   * @type {Array.<string>}
+   * @export
+   */
+  this.attributeNames = [];
+
+  /**
+   * The values of the "String" attributes, by attribute name.
+   * @type {Object.<string, string>}
+   * @export
+   */
+  this.attributes = {};
+
+  /**
+   * The current print job.
+   * @type {ngeo.PrintJob}
+   * @export
+   */
+  this.job = null;
+
+  /**
+   * Whether getting the capabilities failed.
+   * @type {boolean}
+   * @export
+   */
+  this.capabilitiesError = false;
+
+  /**
+   * @type {ol.Size}
+   * @private
+   */
+  this.paperSize_ = null;
+
+  /**
+   * The name of the legend attribute of the selected layout, if it has one.
+   * @type {string|undefined}
+   * @private
+   */
+  this.legendAttributeName_ = undefined;
+
+  /**
+   * @type {Array.<goog.events.Key>}
+   * @private
+   */
+  this.viewListenerKeys_ = [];
+
+  /**
+   * @type {function(ol.render.Event)}
+   * @private
+   */
+  this.postcomposeListener_ = ngeoPrintUtils.createPrintMaskPostcompose(
+      goog.bind(
+          /**
+           * @return {ol.Size} Size in dots of the map to print.
+           */
+          function() {
+            return this.paperSize_;
+          }, this),
+      goog.bind(
+          /**
+           * @param {olx.FrameState} frameState Frame state.
+           * @return {number} Scale of the map to print.
+           */
+          function(frameState) {
+            return /** @type {number} */ (this.scale);
+          }, this),
+      goog.bind(
+          /**
+           * @return {number} Rotation of the print frame in degrees.
+           */
+          function() {
+            return this.getRotation_();
+          }, this));
+
+  var mapListenerKey = goog.events.listen(this.map_,
+      ol.Object.getChangeEventType('view'), this.handleViewChange_,
+      false, this);
+
+  this.registerViewListeners_();
+
+  this.print_.getCapabilities().then(goog.bind(
+      /**
+       * @param {angular.$http.Response} resp Response.
+       */
+      function(resp) {
+        this.setCapabilities_(
+            /** @type {MapFishPrintCapabilities} */ (resp.data));
+      }, this), goog.bind(function() {
+        this.capabilitiesError = true;
+      }, this));
+
+  $scope.$on('$destroy', goog.bind(function() {
+    goog.events.unlistenByKey(mapListenerKey);
+    goog.array.forEach(this.viewListenerKeys_, goog.events.unlistenByKey);
+    this.viewListenerKeys_.length = 0;
+    this.map_.un('postcompose', this.postcomposeListener_);
+    this.map_.render();
+  }, this));
+
+  $scope['printCtrl'] = this;
+};
+
+
+/**
+ * Select a layout, and update the DPI and scale choices.
+ * @param {MapFishPrintCapabilitiesLayout} layout Layout.
+ * @export
+ */
+ngeo.PrintController.prototype.setLayout = function(layout) {
+  this.layout = layout;
+
+  var /** @type {MapFishPrintCapabilitiesAttribute} */ mapAttribute = null;
+  var attributeNames = [];
+  this.legendAttributeName_ = undefined;
+  goog.array.forEach(layout.attributes, function(attribute) {
+    if (attribute.type === 'MapAttributeValues') {
+      mapAttribute = attribute;
+    } else if (attribute.type === 'LegendAttributeValue') {
+      this.legendAttributeName_ = attribute.name;
+    } else if (attribute.type === 'String') {
+      attributeNames.push(attribute.name);
+      if (!(attribute.name in this.attributes)) {
+        this.attributes[attribute.name] = '';
+      }
+    }
+  }, this);
+  this.attributeNames = attributeNames;
+
+  goog.asserts.assert(!goog.isNull(mapAttribute),
+      'the layout has no map attribute');
+  var clientInfo = mapAttribute.clientInfo;
+  goog.asserts.assert(goog.isDef(clientInfo));
+
+  this.paperSize_ = [clientInfo.width, clientInfo.height];
+
+  this.dpis = clientInfo.dpiSuggestions;
+  if (!goog.array.contains(this.dpis, this.dpi)) {
+    this.dpi = this.dpis[0];
+  }
+
+  this.scales = goog.isDef(clientInfo.scales) ?
+      clientInfo.scales : this.defaultScales_;
+  this.updateScale_();
+
+  this.map_.render();
+};
+
+
+/**
+ * Redraw the mask, to be called when the user selects another scale.
+ * @export
+ */
+ngeo.PrintController.prototype.render = function() {
+  this.map_.render();
+};
+
+
+/**
+ * Redraw the rotated print frame, to be called when the user changes the
+ * rotation. The scale is set to the optimal scale for the rotated frame.
+ * @export
+ */
+ngeo.PrintController.prototype.setRotation = function() {
+  this.updateScale_();
+  this.map_.render();
+};
+
+
+/**
+ * Print the map with the selected layout, DPI and scale, and open the report
+ * when it is ready.
+ * @export
+ */
+ngeo.PrintController.prototype.print = function() {
+  goog.asserts.assert(!goog.isNull(this.layout));
+  goog.asserts.assert(goog.isDef(this.scale) && goog.isDef(this.dpi));
+
+  if (!goog.isNull(this.job)) {
+    this.job.cancel();
+  }
+
+  var legendOptions = goog.isDef(this.legendAttributeName_) ?
+      /** @type {ngeox.PrintLegendOptions} */ ({
+        attributeName: this.legendAttributeName_
+      }) : undefined;
+
+  var spec = this.print_.createSpec(this.map_, this.scale, this.dpi,
+      this.layout.name, this.attributes, this.getRotation_(), legendOptions,
+      this.getVectorOptions_());
+
+  var job = this.createPrintJob_(this.print_, spec);
+  this.job = job;
+  job.submit().then(goog.bind(
+      /**
+       * @param {string} url The report URL.
+       */
+      function(url) {
+        if (this.job === job) {
+          this.$window_.location.href = url;
+        }
+      }, this));
+};
+
+
+/**
+ * Only the vector features inside the printed frame are sent to the print
+ * service, and their geometries are simplified to the print resolution.
+ * @return {ngeox.PrintVectorOptions} Vector options.
+ * @private
+ */
+ngeo.PrintController.prototype.getVectorOptions_ = function() {
+  var view = this.map_.getView();
+  var center = view.getCenter();
+  goog.asserts.assert(goog.isDef(center));
+  goog.asserts.assert(!goog.isNull(this.paperSize_));
+  goog.asserts.assert(goog.isDef(this.scale));
+  var frame = /** @type {ngeo.PrintFrame} */ ({
+    center: center,
+    rotation: view.getRotation() * 180 / Math.PI - this.getRotation_()
+  });
+  return /** @type {ngeox.PrintVectorOptions} */ ({
+    extent: this.printUtils_.getFramePolygon(
+        frame, this.paperSize_, this.scale).getExtent(),
+    simplify: true
+  });
+};
+
+
+/**
+ * @return {number} The rotation of the print frame, `0` if the rotation
+ *     input is empty or invalid.
+ * @private
+ */
+ngeo.PrintController.prototype.getRotation_ = function() {
+  return goog.isNumber(this.rotation) && isFinite(this.rotation) ?
+      /** @type {number} */ (this.rotation) : 0;
+};
+
+
+/**
+ * Cancel the current print job.
+ * @export
+ */
+ngeo.PrintController.prototype.cancel = function() {
+  if (!goog.isNull(this.job)) {
+    this.job.cancel();
+  }
+};
+
+
+/**
+ * @param {MapFishPrintCapabilities} capabilities Capabilities.
+ * @private
+ */
+ngeo.PrintController.prototype.setCapabilities_ = function(capabilities) {
+  this.layouts = capabilities.layouts;
+  if (this.layouts.length > 0) {
+    this.setLayout(this.layouts[0]);
+    this.map_.on('postcompose', this.postcomposeListener_);
+  }
+};
+
+
+/**
+ * Set the scale to the optimal scale for the current map resolution.
+ * @private
+ */
+ngeo.PrintController.prototype.updateScale_ = function() {
+  var mapSize = this.map_.getSize();
+  var resolution = this.map_.getView().getResolution();
+  var scale = -1;
+  // we test mapSize and resolution just to please the compiler
+  if (!goog.isNull(this.paperSize_) && goog.isDef(mapSize) &&
+      goog.isDef(resolution)) {
+    scale = this.printUtils_.getOptimalScale(mapSize, resolution,
+        this.paperSize_, this.scales, this.getRotation_());
+  }
+  this.scale = scale !== -1 ? scale : this.scales[0];
+};
+
+
+/**
+ * @private
+ */
+ngeo.PrintController.prototype.handleResolutionChange_ = function() {
+  // The listener may be executed inside or outside the Angular context,
+  // see ngeo.ScaleselectorController.
+  this.$scope_.$applyAsync(
+      /** @type {function(?)} */ (
+      goog.bind(this.updateScale_, this)));
+};
+
+
+/**
+ * @private
+ */
+ngeo.PrintController.prototype.handleViewChange_ = function() {
+  this.registerViewListeners_();
+  this.handleResolutionChange_();
+};
+
+
+/**
+ * @private
+ */
+ngeo.PrintController.prototype.registerViewListeners_ = function() {
+  goog.array.forEach(this.viewListenerKeys_, goog.events.unlistenByKey);
+  var view = this.map_.getView();
+  this.viewListenerKeys_ = [
+    goog.events.listen(view, ol.Object.getChangeEventType('resolution'),
+        this.handleResolutionChange_, false, this)
+  ];
+};
+
+
+ngeoModule.controller('NgeoPrintController', ngeo.PrintController);
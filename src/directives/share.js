@@ -0,0 +1,251 @@
+/**
+ * @fileoverview Provides the "ngeoShare" directive, a widget for sharing the
+ * current URL of the application (as given by the ngeoLocation service).
+ *
+ * Example usage:
+ *
+ * <div ngeo-share></div>
+ *
+ * The widget displays the long URL, and a shortened version of it obtained
+ * from the ngeoShortUrl service. URLs longer than `ngeo.ShortUrl.MAX_LENGTH`
+ * cannot be carried by email clients and QR codes, so they are shortened
+ * automatically. The displayed link can be copied to the clipboard.
+ *
+ * By default the directive uses "share.html" as its templateUrl. This can be
+ * changed by redefining the "ngeoShareTemplateUrl" value.
+ *
+ * The directive has its own scope, but it is not isolate scope. That scope
+ * includes a reference to the directive's controller: the "shareCtrl" scope
+ * property.
+ */
+goog.provide('ngeo.ShareController');
+goog.provide('ngeo.shareDirective');
+
+goog.require('ngeo');
+goog.require('ngeo.Location');
+goog.require('ngeo.ShortUrl');
+
+
+/**
+ * @const
+ * @type {string}
+ */
+ngeo.shareTemplateUrl = 'share.html';
+
+
+ngeoModule.value('ngeoShareTemplateUrl', ngeo.shareTemplateUrl);
+
+
+/**
+ * @param {string|function(!angular.JQLite=, !angular.Attributes=)}
+ *     ngeoShareTemplateUrl Template URL for the directive.
+ * @return {angular.Directive} Directive Definition Object.
+ * @ngInject
+ */
+ngeo.shareDirective = function(ngeoShareTemplateUrl) {
+  return {
+    restrict: 'A',
+    scope: true,
+    controller: 'NgeoShareController',
+    templateUrl: ngeoShareTemplateUrl
+  };
+};
+
+
+ngeoModule.directive('ngeoShare', ngeo.shareDirective);
+
+
+
+/**
+ * @constructor
+ * @param {angular.Scope} $scope Directive scope.
+ * @param {angular.JQLite} $element Element.
+ * @param {angular.$window} $window Angular window service.
+ * @param {ngeo.Location} ngeoLocation ngeo Location service.
+ * @param {ngeo.ShortUrl} ngeoShortUrl ngeo ShortUrl service.
+ * @export
+ * @ngInject
+ */
+ngeo.ShareController = function($scope, $element, $window, ngeoLocation,
+    ngeoShortUrl) {
+
+  /**
+   * @type {angular.JQLite}
+   * @private
+   */
+  this.$element_ = $element;
+
+  /**
+   * @type {angular.$window}
+   * @private
+   */
+  this.$window_ = $window;
+
+  /**
+   * @type {ngeo.Location}
+   * @private
+   */
+  this.ngeoLocation_ = ngeoLocation;
+
+  /**
+   * @type {ngeo.ShortUrl}
+   * @private
+   */
+  this.ngeoShortUrl_ = ngeoShortUrl;
+
+  /**
+   * The long URL.
+   * @type {string}
+   * @export
+   */
+  this.longUrl = '';
+
+  /**
+   * The short URL, `undefined` until the long URL is shortened.
+   * @type {string|undefined}
+   * @export
+   */
+  this.shortUrl = undefined;
+
+  /**
+   * Whether the short URL is displayed.
+   * @type {boolean}
+   * @export
+   */
+  this.showShortUrl = false;
+
+  /**
+   * Whether a request to the shortener is pending.
+   * @type {boolean}
+   * @export
+   */
+  this.loading = false;
+
+  /**
+   * Whether the last request to the shortener failed.
+   * @type {boolean}
+   * @export
+   */
+  this.error = false;
+
+  /**
+   * Whether the displayed URL was copied to the clipboard.
+   * @type {boolean}
+   * @export
+   */
+  this.copied = false;
+
+  this.refresh_();
+
+  $scope.$on('ngeoLocationChange', goog.bind(this.refresh_, this));
+
+  $scope['shareCtrl'] = this;
+};
+
+
+/**
+ * @return {boolean} Whether the long URL is too long to be shared.
+ * @export
+ */
+ngeo.ShareController.prototype.isTooLong = function() {
+  return this.longUrl.length > ngeo.ShortUrl.MAX_LENGTH;
+};
+
+
+/**
+ * @return {string} The URL to share.
+ * @export
+ */
+ngeo.ShareController.prototype.getUrl = function() {
+  return this.showShortUrl && goog.isDef(this.shortUrl) ?
+      this.shortUrl : this.longUrl;
+};
+
+
+/**
+ * Shorten the long URL and display the short URL.
+ * @export
+ */
+ngeo.ShareController.prototype.shorten = function() {
+  this.showShortUrl = true;
+  if (goog.isDef(this.shortUrl) || this.loading) {
+    return;
+  }
+  var longUrl = this.longUrl;
+  this.loading = true;
+  this.error = false;
+  this.ngeoShortUrl_.shorten(longUrl).then(goog.bind(
+      /**
+       * @param {string} shortUrl Short URL.
+       */
+      function(shortUrl) {
+        // ignore the responses for outdated URLs
+        if (longUrl === this.longUrl) {
+          this.shortUrl = shortUrl;
+        }
+      }, this), goog.bind(function() {
+        if (longUrl === this.longUrl) {
+          this.error = true;
+          this.showShortUrl = false;
+        }
+      }, this))['finally'](goog.bind(function() {
+        this.loading = false;
+        if (longUrl !== this.longUrl && this.showShortUrl) {
+          this.shorten();
+        }
+      }, this));
+};
+
+
+/**
+ * Display the long URL.
+ * @export
+ */
+ngeo.ShareController.prototype.showLongUrl = function() {
+  this.showShortUrl = false;
+};
+
+
+/**
+ * Copy the displayed URL to the clipboard. The URL is selected in the
+ * widget's input, so users can copy it themselves if the browser does not
+ * allow the copy.
+ * @return {boolean} Whether the URL was copied.
+ * @export
+ */
+ngeo.ShareController.prototype.copy = function() {
+  var input = this.$element_.find('input')[0];
+  this.copied = false;
+  if (goog.isDef(input)) {
+    input.select();
+    try {
+      this.copied = this.$window_.document.execCommand('copy');
+    } catch (e) {
+      // the browser does not support the copy command
+    }
+  }
+  return this.copied;
+};
+
+
+/**
+ * Update the long URL from the ngeoLocation service, the short URL is
+ * reset when the long URL changes.
+ * @private
+ */
+ngeo.ShareController.prototype.refresh_ = function() {
+  var longUrl = this.ngeoLocation_.getUriString();
+  if (longUrl === this.longUrl) {
+    return;
+  }
+  this.longUrl = longUrl;
+  this.shortUrl = undefined;
+  this.error = false;
+  this.copied = false;
+  if (this.showShortUrl || this.isTooLong()) {
+    this.shorten();
+  }
+};
+
+
+ngeoModule.controller('NgeoShareController', ngeo.ShareController);
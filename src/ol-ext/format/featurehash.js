@@ -5,24 +5,22 @@
  * The code is based on Stéphane Brunner's URLCompressed format:
  * <https://github.com/sbrunner/OpenLayers-URLCompressed>
  *
- * TODOs:
- *
- * - The OpenLayers-URLCompressed format has options where the user
- *   can define attribute and style transformers. This is currently
- *   not supported by this format.
- * - The OpenLayers-URLCompressed format has a "simplify" option.
- *   This format does not have it.
- * - ol.style.Icon styles are not supported.
- * - Transformation of coordinates during encoding and decoding is
- *   not supported.
+ * The texts written by OpenLayers 2's URLCompressed format can be read, but
+ * the texts written by this format cannot be read by URLCompressed, which
+ * does not support the version number following the leading "F".
  */
 goog.provide('ngeo.format.FeatureHash');
 
+goog.require('goog.array');
 goog.require('goog.asserts');
 goog.require('goog.color');
+goog.require('goog.events');
+goog.require('goog.object');
 goog.require('ol.Feature');
 goog.require('ol.color');
 goog.require('ol.format.TextFeature');
+goog.require('ol.geom.Circle');
+goog.require('ol.geom.GeometryCollection');
 goog.require('ol.geom.GeometryLayout');
 goog.require('ol.geom.GeometryType');
 goog.require('ol.geom.LineString');
@@ -31,8 +29,12 @@ goog.require('ol.geom.MultiPoint');
 goog.require('ol.geom.MultiPolygon');
 goog.require('ol.geom.Point');
 goog.require('ol.geom.Polygon');
+goog.require('ol.geom.flat.simplify');
+goog.require('ol.proj');
 goog.require('ol.style.Circle');
 goog.require('ol.style.Fill');
+goog.require('ol.style.Icon');
+goog.require('ol.style.ImageState');
 goog.require('ol.style.Stroke');
 goog.require('ol.style.Style');
 goog.require('ol.style.Text');
@@ -66,6 +68,8 @@ ngeo.format.FeatureHashStyleTypes_[ol.geom.GeometryType.MULTI_POINT] =
     ngeo.format.FeatureHashStyleType.POINT;
 ngeo.format.FeatureHashStyleTypes_[ol.geom.GeometryType.MULTI_POLYGON] =
     ngeo.format.FeatureHashStyleType.POLYGON;
+ngeo.format.FeatureHashStyleTypes_[ol.geom.GeometryType.CIRCLE] =
+    ngeo.format.FeatureHashStyleType.POLYGON;
 
 
 
@@ -79,6 +83,12 @@ ngeo.format.FeatureHash = function(opt_options) {
 
   var options = goog.isDef(opt_options) ? opt_options : {};
 
+  /**
+   * @inheritDoc
+   */
+  this.defaultDataProjection = goog.isDef(options.defaultDataProjection) ?
+      ol.proj.get(options.defaultDataProjection) : null;
+
   /**
    * @type {number}
    * @private
@@ -86,6 +96,59 @@ ngeo.format.FeatureHash = function(opt_options) {
   this.accuracy_ = goog.isDef(options.accuracy) ?
       options.accuracy : ngeo.format.FeatureHash.ACCURACY_;
 
+  /**
+   * @type {(function(Object.<string, *>, ol.Feature):
+   *     Object.<string, *>)|undefined}
+   * @private
+   */
+  this.encodeProperties_ = options.encodeProperties;
+
+  /**
+   * @type {(function(Object.<string, string>): Object.<string, *>)|undefined}
+   * @private
+   */
+  this.decodeProperties_ = options.decodeProperties;
+
+  /**
+   * @type {(function(ol.Feature): (string|undefined))|undefined}
+   * @private
+   */
+  this.encodeStyle_ = options.encodeStyle;
+
+  /**
+   * @type {(function(string): (ol.style.Style|Array.<ol.style.Style>|
+   *     ol.style.StyleFunction|undefined))|undefined}
+   * @private
+   */
+  this.decodeStyle_ = options.decodeStyle;
+
+  /**
+   * @type {number}
+   * @private
+   */
+  this.simplify_ = goog.isDef(options.simplify) ? options.simplify : 0;
+
+  /**
+   * @type {number|undefined}
+   * @private
+   */
+  this.maxLength_ = options.maxLength;
+
+  /**
+   * The simplification tolerance currently used by the encoder.
+   * @type {number}
+   * @private
+   */
+  this.tolerance_ = this.simplify_;
+
+  /**
+   * Whether the text written by the last `writeFeatures` call is longer than
+   * `maxLength`.
+   * @type {boolean}
+   * @private
+   */
+  this.maxLengthExceeded_ = false;
+
   /**
    * @type {number}
    * @private
@@ -120,6 +183,40 @@ ngeo.format.FeatureHash.CHAR64_ =
 ngeo.format.FeatureHash.ACCURACY_ = 1;
 
 
+/**
+ * Version of the encoding written by `writeFeatures`. The version number
+ * follows the leading "F" of the encoded features, the texts without
+ * version number are version 1 texts written by earlier releases. Bump it
+ * whenever the encoding changes (e.g. `CHAR64_` or the geometry prefix
+ * letters, which must never be digits), and keep a reader for the previous
+ * versions in `FEATURES_READERS_`.
+ * @const
+ * @private
+ */
+ngeo.format.FeatureHash.VERSION_ = 1;
+
+
+/**
+ * Maximum number of times the simplification tolerance is doubled when
+ * trying to fit the encoded features in `maxLength` characters.
+ * @const
+ * @private
+ */
+ngeo.format.FeatureHash.MAX_SIMPLIFY_ITERATIONS_ = 30;
+
+
+/**
+ * Anchors, in fractions of the icon size, of the decoded icons whose image
+ * is not loaded yet, by icon uid. `ol.style.Icon#getAnchor` returns `null`
+ * for fractional anchors until the icon image is loaded, so the features are
+ * usually written again before their anchor is known. The entries are
+ * removed once the images are loaded.
+ * @type {Object.<string, Array.<number>>}
+ * @private
+ */
+ngeo.format.FeatureHash.iconAnchors_ = {};
+
+
 /**
  * @param {number} num Number.
  * @return {string} String.
@@ -151,6 +248,55 @@ ngeo.format.FeatureHash.encodeNumber_ = function(num) {
 };
 
 
+/**
+ * Get the geometry type to use for encoding the styles of a geometry. For
+ * geometry collections this is the type of the first geometry.
+ * @param {ol.geom.Geometry} geometry Geometry.
+ * @return {ol.geom.GeometryType} Geometry type.
+ * @private
+ */
+ngeo.format.FeatureHash.getStyleGeometryType_ = function(geometry) {
+  while (geometry instanceof ol.geom.GeometryCollection) {
+    var geometries = geometry.getGeometriesArray();
+    if (geometries.length === 0) {
+      break;
+    }
+    geometry = geometries[0];
+  }
+  return geometry.getType();
+};
+
+
+/**
+ * Split a text made of consecutive encoded geometries or features. A part
+ * ends with the closing bracket matching its first opening bracket, unless
+ * that bracket is followed by an opening bracket (multi polygons are encoded
+ * as "A(...)(...)").
+ * @param {string} text Text.
+ * @return {Array.<string>} Parts.
+ * @private
+ */
+ngeo.format.FeatureHash.splitParts_ = function(text) {
+  var parts = [];
+  var depth = 0;
+  var start = 0;
+  for (var i = 0, ii = text.length; i < ii; ++i) {
+    var c = text[i];
+    if (c === '(') {
+      ++depth;
+    } else if (c === ')') {
+      --depth;
+      if (depth === 0 && text[i + 1] !== '(') {
+        parts.push(text.substring(start, i + 1));
+        start = i + 1;
+      }
+    }
+  }
+  goog.asserts.assert(start === text.length);
+  return parts;
+};
+
+
 /**
  * @param {Array.<ol.style.Style>} styles Styles.
  * @param {ol.geom.GeometryType} geometryType Geometry type.
@@ -220,10 +366,83 @@ ngeo.format.FeatureHash.encodeStylePoint_ =
     if (!goog.isNull(strokeStyle)) {
       ngeo.format.FeatureHash.encodeStyleStroke_(strokeStyle, encodedStyles);
     }
+  } else if (imageStyle instanceof ol.style.Icon) {
+    ngeo.format.FeatureHash.encodeStyleIcon_(imageStyle, encodedStyles);
+  }
+};
+
+
+/**
+ * Encode an icon style. Only the values that differ from the
+ * `ol.style.Icon` defaults are written, the anchor is written as
+ * fractions of the icon size. The anchor of the icons read by this format
+ * is written even if their image is not loaded yet, the anchor of the other
+ * icons is only known once their size is.
+ * @param {ol.style.Icon} iconStyle Icon style.
+ * @param {Array.<string>} encodedStyles Encoded styles array.
+ * @private
+ */
+ngeo.format.FeatureHash.encodeStyleIcon_ = function(iconStyle, encodedStyles) {
+  var src = iconStyle.getSrc();
+  if (!goog.isDef(src)) {
+    return;
+  }
+  if (encodedStyles.length > 0) {
+    encodedStyles.push('\'');
+  }
+  encodedStyles.push(encodeURIComponent('iconSrc*') +
+      ngeo.format.FeatureHash.encodeStyleValue_(src));
+  var scale = iconStyle.getScale();
+  if (goog.isDef(scale) && scale !== 1) {
+    encodedStyles.push('\'');
+    encodedStyles.push(encodeURIComponent('iconScale*' + scale));
+  }
+  var anchor = iconStyle.getAnchor();
+  var size = iconStyle.getSize();
+  var anchorFractions;
+  if (!goog.isNull(anchor) && !goog.isNull(size)) {
+    anchorFractions = [anchor[0] / size[0], anchor[1] / size[1]];
+  } else {
+    // the size of a decoded icon is not known before its image is loaded
+    anchorFractions = ngeo.format.FeatureHash.iconAnchors_[
+        goog.getUid(iconStyle).toString()];
+  }
+  if (goog.isDef(anchorFractions)) {
+    var anchorX = anchorFractions[0];
+    var anchorY = anchorFractions[1];
+    if (anchorX !== 0.5 || anchorY !== 0.5) {
+      encodedStyles.push('\'');
+      encodedStyles.push(
+          encodeURIComponent('iconAnchor*' + anchorX + ',' + anchorY));
+    }
+  }
+  var rotation = iconStyle.getRotation();
+  if (goog.isDef(rotation) && rotation !== 0) {
+    encodedStyles.push('\'');
+    encodedStyles.push(encodeURIComponent('iconRotation*' + rotation));
+  }
+  var opacity = iconStyle.getOpacity();
+  if (goog.isDef(opacity) && opacity !== 1) {
+    encodedStyles.push('\'');
+    encodedStyles.push(encodeURIComponent('iconOpacity*' + opacity));
   }
 };
 
 
+/**
+ * URI-encode a style value. The characters that `encodeURIComponent` leaves
+ * as-is but that are used as separators by the format are escaped too.
+ * @param {string} value Value.
+ * @return {string} Encoded value.
+ * @private
+ */
+ngeo.format.FeatureHash.encodeStyleValue_ = function(value) {
+  return encodeURIComponent(value).replace(/[()'*~]/g, function(c) {
+    return '%' + c.charCodeAt(0).toString(16).toUpperCase();
+  });
+};
+
+
 /**
  * @param {ol.style.Fill} fillStyle Fill style.
  * @param {ol.style.Stroke} strokeStyle Stroke style.
@@ -455,20 +674,95 @@ ngeo.format.FeatureHash.readMultiPolygonGeometry_ = function(text) {
 };
 
 
+/**
+ * @param {string} text Text.
+ * @return {ol.geom.Circle} Circle.
+ * @this {ngeo.format.FeatureHash}
+ * @private
+ */
+ngeo.format.FeatureHash.readCircleGeometry_ = function(text) {
+  goog.asserts.assert(text.substring(0, 2) === 'c(');
+  goog.asserts.assert(text[text.length - 1] == ')');
+  text = text.substring(2, text.length - 1);
+  // the center followed by a point of the circumference
+  var flatCoordinates = this.decodeCoordinates_(text);
+  goog.asserts.assert(flatCoordinates.length === 4);
+  var dx = flatCoordinates[2] - flatCoordinates[0];
+  var dy = flatCoordinates[3] - flatCoordinates[1];
+  return new ol.geom.Circle([flatCoordinates[0], flatCoordinates[1]],
+      Math.sqrt(dx * dx + dy * dy));
+};
+
+
+/**
+ * @param {string} text Text.
+ * @return {ol.geom.GeometryCollection} Geometry collection.
+ * @this {ngeo.format.FeatureHash}
+ * @private
+ */
+ngeo.format.FeatureHash.readGeometryCollectionGeometry_ = function(text) {
+  goog.asserts.assert(text.substring(0, 2) === 'g(');
+  goog.asserts.assert(text[text.length - 1] == ')');
+  text = text.substring(2, text.length - 1);
+  var parts = ngeo.format.FeatureHash.splitParts_(text);
+  var geometries = [];
+  for (var i = 0, ii = parts.length; i < ii; ++i) {
+    var geometryReader = ngeo.format.FeatureHash.GEOMETRY_READERS_[
+        parts[i][0]];
+    goog.asserts.assert(goog.isDef(geometryReader));
+    geometries.push(geometryReader.call(this, parts[i]));
+  }
+  return new ol.geom.GeometryCollection(geometries);
+};
+
+
+/**
+ * Keep the anchor of a decoded icon in `iconAnchors_` until its image is
+ * loaded. The image is loaded right away.
+ * @param {ol.style.Icon} iconStyle Icon style.
+ * @param {Array.<number>} anchor Anchor, in fractions of the icon size.
+ * @private
+ */
+ngeo.format.FeatureHash.keepIconAnchor_ = function(iconStyle, anchor) {
+  // the images are shared by the icons with the same source
+  if (iconStyle.getImageState() == ol.style.ImageState.LOADED) {
+    return;
+  }
+  var uid = goog.getUid(iconStyle).toString();
+  ngeo.format.FeatureHash.iconAnchors_[uid] = anchor;
+  var key = iconStyle.listenImageChange(function() {
+    var state = iconStyle.getImageState();
+    if (state == ol.style.ImageState.LOADED) {
+      delete ngeo.format.FeatureHash.iconAnchors_[uid];
+      goog.events.unlistenByKey(key);
+    } else if (state == ol.style.ImageState.ERROR) {
+      // the size of the icon remains unknown, the anchor is kept
+      goog.events.unlistenByKey(key);
+    }
+  });
+  iconStyle.load();
+};
+
+
 /**
  * @param {string} text Text.
  * @param {ol.Feature} feature Feature.
+ * @param {(function(string): (ol.style.Style|Array.<ol.style.Style>|
+ *     ol.style.StyleFunction|undefined))=} opt_decodeStyle Function
+ *     returning the style for a style id.
  * @private
  */
-ngeo.format.FeatureHash.setStyleInFeature_ = function(text, feature) {
+ngeo.format.FeatureHash.setStyleInFeature_ =
+    function(text, feature, opt_decodeStyle) {
   var fillColor, fontSize, fontColor, pointRadius, strokeColor, strokeWidth;
+  var iconSrc, iconScale, iconAnchor, iconRotation, iconOpacity, styleId;
   var parts = text.split('\'');
   for (var i = 0; i < parts.length; ++i) {
-    var part = decodeURIComponent(parts[i]);
-    var keyVal = part.split('*');
+    // split before decoding, the values may include escaped separators
+    var keyVal = parts[i].split('*');
     goog.asserts.assert(keyVal.length === 2);
-    var key = keyVal[0];
-    var val = keyVal[1];
+    var key = decodeURIComponent(keyVal[0]);
+    var val = decodeURIComponent(keyVal[1]);
     if (key === 'fillColor') {
       fillColor = val;
     } else if (key == 'fontSize') {
@@ -481,8 +775,29 @@ ngeo.format.FeatureHash.setStyleInFeature_ = function(text, feature) {
       strokeColor = val;
     } else if (key == 'strokeWidth') {
       strokeWidth = +val;
+    } else if (key == 'iconSrc') {
+      iconSrc = val;
+    } else if (key == 'iconScale') {
+      iconScale = +val;
+    } else if (key == 'iconAnchor') {
+      iconAnchor = goog.array.map(val.split(','), Number);
+      goog.asserts.assert(iconAnchor.length === 2);
+    } else if (key == 'iconRotation') {
+      iconRotation = +val;
+    } else if (key == 'iconOpacity') {
+      iconOpacity = +val;
+    } else if (key == 'styleId') {
+      styleId = val;
     }
   }
+  if (goog.isDef(styleId)) {
+    var decodedStyle = goog.isDef(opt_decodeStyle) ?
+        opt_decodeStyle(styleId) : undefined;
+    if (goog.isDef(decodedStyle)) {
+      feature.setStyle(decodedStyle);
+    }
+    return;
+  }
   var fillStyle = null;
   if (goog.isDef(fillColor)) {
     fillStyle = new ol.style.Fill({
@@ -497,7 +812,18 @@ ngeo.format.FeatureHash.setStyleInFeature_ = function(text, feature) {
     });
   }
   var imageStyle = null;
-  if (goog.isDef(pointRadius)) {
+  if (goog.isDef(iconSrc)) {
+    imageStyle = new ol.style.Icon({
+      src: iconSrc,
+      scale: iconScale,
+      anchor: iconAnchor,
+      rotation: iconRotation,
+      opacity: iconOpacity
+    });
+    if (goog.isDef(iconAnchor)) {
+      ngeo.format.FeatureHash.keepIconAnchor_(imageStyle, iconAnchor);
+    }
+  } else if (goog.isDef(pointRadius)) {
     imageStyle = new ol.style.Circle({
       radius: pointRadius,
       fill: fillStyle,
@@ -535,7 +861,8 @@ ngeo.format.FeatureHash.writeLineStringGeometry_ = function(geometry) {
   var flatCoordinates = geometry.getFlatCoordinates();
   var stride = geometry.getStride();
   var end = flatCoordinates.length;
-  return 'l(' + this.encodeCoordinates_(flatCoordinates, stride, 0, end) + ')';
+  return 'l(' +
+      this.encodeCoordinates_(flatCoordinates, stride, 0, end, 2) + ')';
 };
 
 
@@ -555,7 +882,8 @@ ngeo.format.FeatureHash.writeMultiLineStringGeometry_ = function(geometry) {
   var textArray = ['L('];
   for (var i = 0; i < lineStringCount; ++i) {
     var end = ends[i];
-    var text = this.encodeCoordinates_(flatCoordinates, stride, offset, end);
+    var text = this.encodeCoordinates_(
+        flatCoordinates, stride, offset, end, 2);
     if (i !== 0) {
       textArray.push('\'');
     }
@@ -597,6 +925,43 @@ ngeo.format.FeatureHash.writeMultiPointGeometry_ = function(geometry) {
 };
 
 
+/**
+ * @param {ol.geom.Geometry} geometry Geometry.
+ * @return {string} Encoded geometry.
+ * @this {ngeo.format.FeatureHash}
+ * @private
+ */
+ngeo.format.FeatureHash.writeCircleGeometry_ = function(geometry) {
+  goog.asserts.assertInstanceof(geometry, ol.geom.Circle);
+  // the flat coordinates are the center and a point of the circumference
+  var flatCoordinates = geometry.getFlatCoordinates();
+  var stride = geometry.getStride();
+  var end = flatCoordinates.length;
+  return 'c(' + this.encodeCoordinates_(flatCoordinates, stride, 0, end) + ')';
+};
+
+
+/**
+ * @param {ol.geom.Geometry} geometry Geometry.
+ * @return {string} Encoded geometry.
+ * @this {ngeo.format.FeatureHash}
+ * @private
+ */
+ngeo.format.FeatureHash.writeGeometryCollectionGeometry_ = function(geometry) {
+  goog.asserts.assertInstanceof(geometry, ol.geom.GeometryCollection);
+  var geometries = geometry.getGeometriesArray();
+  var textArray = ['g('];
+  for (var i = 0, ii = geometries.length; i < ii; ++i) {
+    var geometryWriter = ngeo.format.FeatureHash.GEOMETRY_WRITERS_[
+        geometries[i].getType()];
+    goog.asserts.assert(goog.isDef(geometryWriter));
+    textArray.push(geometryWriter.call(this, geometries[i]));
+  }
+  textArray.push(')');
+  return textArray.join('');
+};
+
+
 /**
  * @param {Array.<number>} flatCoordinates Flat coordinates.
  * @param {number} stride Stride.
@@ -613,7 +978,8 @@ ngeo.format.FeatureHash.encodeRings_ =
   for (var i = 0; i < linearRingCount; ++i) {
     // skip the "closing" point
     var end = ends[i] - stride;
-    var text = this.encodeCoordinates_(flatCoordinates, stride, offset, end);
+    var text = this.encodeCoordinates_(
+        flatCoordinates, stride, offset, end, 3);
     if (i !== 0) {
       textArray.push('\'');
     }
@@ -680,7 +1046,9 @@ ngeo.format.FeatureHash.GEOMETRY_READERS_ = {
   'A': ngeo.format.FeatureHash.readMultiPolygonGeometry_,
   'l': ngeo.format.FeatureHash.readLineStringGeometry_,
   'p': ngeo.format.FeatureHash.readPointGeometry_,
-  'a': ngeo.format.FeatureHash.readPolygonGeometry_
+  'a': ngeo.format.FeatureHash.readPolygonGeometry_,
+  'c': ngeo.format.FeatureHash.readCircleGeometry_,
+  'g': ngeo.format.FeatureHash.readGeometryCollectionGeometry_
 };
 
 
@@ -695,7 +1063,40 @@ ngeo.format.FeatureHash.GEOMETRY_WRITERS_ = {
   'MultiPolygon': ngeo.format.FeatureHash.writeMultiPolygonGeometry_,
   'LineString': ngeo.format.FeatureHash.writeLineStringGeometry_,
   'Point': ngeo.format.FeatureHash.writePointGeometry_,
-  'Polygon': ngeo.format.FeatureHash.writePolygonGeometry_
+  'Polygon': ngeo.format.FeatureHash.writePolygonGeometry_,
+  'Circle': ngeo.format.FeatureHash.writeCircleGeometry_,
+  'GeometryCollection':
+      ngeo.format.FeatureHash.writeGeometryCollectionGeometry_
+};
+
+
+/**
+ * @param {string} text Encoded features, without the version header.
+ * @param {olx.format.ReadOptions=} opt_options Read options.
+ * @return {Array.<ol.Feature>} Features.
+ * @this {ngeo.format.FeatureHash}
+ * @private
+ */
+ngeo.format.FeatureHash.readFeaturesV1_ = function(text, opt_options) {
+  /** @type {Array.<ol.Feature>} */
+  var features = [];
+  var parts = ngeo.format.FeatureHash.splitParts_(text);
+  for (var i = 0, ii = parts.length; i < ii; ++i) {
+    features.push(this.readFeatureFromText(parts[i], opt_options));
+  }
+  return features;
+};
+
+
+/**
+ * Features readers, by encoding version.
+ * @const
+ * @private
+ * @type {Object.<number, function(this: ngeo.format.FeatureHash, string,
+ *     olx.format.ReadOptions=): Array.<ol.Feature>>}
+ */
+ngeo.format.FeatureHash.FEATURES_READERS_ = {
+  1: ngeo.format.FeatureHash.readFeaturesV1_
 };
 
 
@@ -744,11 +1145,27 @@ ngeo.format.FeatureHash.prototype.decodeCoordinates_ =
  * @param {number} stride Stride.
  * @param {number} offset Offset.
  * @param {number} end End.
+ * @param {number=} opt_minCount If set, the coordinates are simplified
+ *     with the current tolerance, keeping at least this number of
+ *     coordinates. Not set for points, which must never be simplified.
  * @return {string} String.
  * @private
  */
 ngeo.format.FeatureHash.prototype.encodeCoordinates_ =
-    function(flatCoordinates, stride, offset, end) {
+    function(flatCoordinates, stride, offset, end, opt_minCount) {
+  if (goog.isDef(opt_minCount) && this.tolerance_ > 0) {
+    var simplifiedFlatCoordinates = [];
+    var simplifiedEnd = ol.geom.flat.simplify.douglasPeucker(
+        flatCoordinates, offset, end, stride,
+        this.tolerance_ * this.tolerance_, simplifiedFlatCoordinates, 0);
+    // the simplified coordinates are XY only
+    if (simplifiedEnd / 2 >= opt_minCount) {
+      flatCoordinates = simplifiedFlatCoordinates;
+      stride = 2;
+      offset = 0;
+      end = simplifiedEnd;
+    }
+  }
   var encodedCoordinates = '';
   for (var i = offset; i < end; i += stride) {
     var x = flatCoordinates[i];
@@ -786,16 +1203,21 @@ ngeo.format.FeatureHash.prototype.readFeatureFromText =
     var attributesText = splitIndex >= 0 ?
         attributesAndStylesText.substring(0, splitIndex) :
         attributesAndStylesText;
-    var parts = attributesText.split('\'');
+    // the attributes are empty when the feature only has styles
+    var /** @type {Object.<string, string>} */ properties = {};
+    var parts = attributesText.length > 0 ? attributesText.split('\'') : [];
     for (var i = 0; i < parts.length; ++i) {
       var part = decodeURIComponent(parts[i]);
       var keyVal = part.split('*');
       goog.asserts.assert(keyVal.length === 2);
-      feature.set(keyVal[0], keyVal[1]);
+      properties[keyVal[0]] = keyVal[1];
     }
+    feature.setProperties(goog.isDef(this.decodeProperties_) ?
+        this.decodeProperties_(properties) : properties);
     if (splitIndex >= 0) {
       var stylesText = attributesAndStylesText.substring(splitIndex + 1);
-      ngeo.format.FeatureHash.setStyleInFeature_(stylesText, feature);
+      ngeo.format.FeatureHash.setStyleInFeature_(
+          stylesText, feature, this.decodeStyle_);
     }
   }
   return feature;
@@ -808,18 +1230,15 @@ ngeo.format.FeatureHash.prototype.readFeatureFromText =
 ngeo.format.FeatureHash.prototype.readFeaturesFromText =
     function(text, opt_options) {
   goog.asserts.assert(text[0] === 'F');
-  /** @type {Array.<ol.Feature>} */
-  var features = [];
-  text = text.substring(1);
-  while (text.length > 0) {
-    var index = text.indexOf(')');
-    goog.asserts.assert(index >= 0);
-    var feature = this.readFeatureFromText(
-        text.substring(0, index + 1), opt_options);
-    features.push(feature);
-    text = text.substring(index + 1);
+  var match = /^F(\d*)/.exec(text);
+  goog.asserts.assert(!goog.isNull(match));
+  var version = match[1].length > 0 ? +match[1] : 1;
+  var featuresReader = ngeo.format.FeatureHash.FEATURES_READERS_[version];
+  if (!goog.isDef(featuresReader)) {
+    throw new Error('Unsupported feature hash version: ' + match[1]);
   }
-  return features;
+  return featuresReader.call(
+      this, text.substring(match[0].length), opt_options);
 };
 
 
@@ -832,7 +1251,17 @@ ngeo.format.FeatureHash.prototype.readGeometryFromText =
   goog.asserts.assert(goog.isDef(geometryReader));
   this.prevX_ = 0;
   this.prevY_ = 0;
-  return geometryReader.call(this, text);
+  var geometry = geometryReader.call(this, text);
+  return /** @type {ol.geom.Geometry} */ (
+      ol.format.Feature.transformWithOptions(geometry, false, opt_options));
+};
+
+
+/**
+ * @inheritDoc
+ */
+ngeo.format.FeatureHash.prototype.readProjectionFromText = function(text) {
+  return this.defaultDataProjection;
 };
 
 
@@ -860,45 +1289,60 @@ ngeo.format.FeatureHash.prototype.writeFeatureText =
 
   // encode properties
 
+  var properties = goog.object.clone(feature.getProperties());
+  goog.object.remove(properties, feature.getGeometryName());
+  if (goog.isDef(this.encodeProperties_)) {
+    properties = this.encodeProperties_(properties, feature);
+  }
+
   var /** @type {Array.<string>} */ encodedProperties = [];
-  goog.object.forEach(feature.getProperties(), (
+  goog.object.forEach(properties, (
       /**
        * @param {*} value Value.
        * @param {string} key Key.
        */
       function(value, key) {
-        if (key !== feature.getGeometryName()) {
-          if (encodedProperties.length !== 0) {
-            encodedProperties.push('\'');
-          }
-          var encoded = encodeURIComponent(
-              key.replace(/[()'*]/g, '_') + '*' +
-              value.toString().replace(/[()'*]/g, '_'));
-          encodedProperties.push(encoded);
+        if (encodedProperties.length !== 0) {
+          encodedProperties.push('\'');
         }
+        var encoded = encodeURIComponent(
+            key.replace(/[()'*]/g, '_') + '*' +
+            value.toString().replace(/[()'*]/g, '_'));
+        encodedProperties.push(encoded);
       }));
 
-  if (encodedProperties.length > 0) {
-    encodedParts.push('~');
-    Array.prototype.push.apply(encodedParts, encodedProperties);
-  }
-
   // encode styles
 
-  var styleFunction = feature.getStyleFunction();
-  if (goog.isDef(styleFunction)) {
-    var styles = styleFunction.call(feature, 0);
-    if (!goog.isNull(styles)) {
-      var encodedStyles = [];
-      ngeo.format.FeatureHash.encodeStyles_(
-          styles, geometry.getType(), encodedStyles);
-      if (encodedStyles.length > 0) {
-        encodedParts.push('~');
-        Array.prototype.push.apply(encodedParts, encodedStyles);
+  var /** @type {Array.<string>} */ encodedStyles = [];
+  var styleId = goog.isDef(this.encodeStyle_) ?
+      this.encodeStyle_(feature) : undefined;
+  if (goog.isDef(styleId)) {
+    encodedStyles.push(encodeURIComponent('styleId*') +
+        ngeo.format.FeatureHash.encodeStyleValue_(styleId));
+  } else {
+    var styleFunction = feature.getStyleFunction();
+    if (goog.isDef(styleFunction)) {
+      var styles = styleFunction.call(feature, 0);
+      if (!goog.isNull(styles)) {
+        ngeo.format.FeatureHash.encodeStyles_(styles,
+            ngeo.format.FeatureHash.getStyleGeometryType_(geometry),
+            encodedStyles);
       }
     }
   }
 
+  // the properties separator is required if there are styles
+
+  if (encodedProperties.length > 0 || encodedStyles.length > 0) {
+    encodedParts.push('~');
+    Array.prototype.push.apply(encodedParts, encodedProperties);
+  }
+
+  if (encodedStyles.length > 0) {
+    encodedParts.push('~');
+    Array.prototype.push.apply(encodedParts, encodedStyles);
+  }
+
   // append the closing bracket and return the encoded feature
 
   encodedParts.push(')');
@@ -911,9 +1355,48 @@ ngeo.format.FeatureHash.prototype.writeFeatureText =
  */
 ngeo.format.FeatureHash.prototype.writeFeaturesText =
     function(features, opt_options) {
+  this.tolerance_ = this.simplify_;
+  var text = this.encodeFeatures_(features, opt_options);
+  this.maxLengthExceeded_ = false;
+  if (goog.isDef(this.maxLength_)) {
+    // double the tolerance until the encoded features fit in the budget, the
+    // features are already encoded with the `simplify` tolerance
+    var tolerance = this.simplify_ > 0 ? 2 * this.simplify_ : this.accuracy_;
+    for (var i = 0; text.length > this.maxLength_ &&
+        i < ngeo.format.FeatureHash.MAX_SIMPLIFY_ITERATIONS_; ++i) {
+      this.tolerance_ = tolerance;
+      text = this.encodeFeatures_(features, opt_options);
+      tolerance *= 2;
+    }
+    this.tolerance_ = this.simplify_;
+    this.maxLengthExceeded_ = text.length > this.maxLength_;
+  }
+  return text;
+};
+
+
+/**
+ * Whether the text written by the last `writeFeatures` call is longer than
+ * the `maxLength` option, the features could not be simplified enough to fit
+ * in it (points, for example, are never simplified).
+ * @return {boolean} The maximum length is exceeded.
+ */
+ngeo.format.FeatureHash.prototype.getMaxLengthExceeded = function() {
+  return this.maxLengthExceeded_;
+};
+
+
+/**
+ * @param {Array.<ol.Feature>} features Features.
+ * @param {olx.format.WriteOptions=} opt_options Write options.
+ * @return {string} Encoded features.
+ * @private
+ */
+ngeo.format.FeatureHash.prototype.encodeFeatures_ =
+    function(features, opt_options) {
   var textArray = [];
   if (features.length > 0) {
-    textArray.push('F');
+    textArray.push('F' + ngeo.format.FeatureHash.VERSION_);
     for (var i = 0, ii = features.length; i < ii; ++i) {
       textArray.push(this.writeFeatureText(features[i], opt_options));
     }
@@ -1,19 +1,29 @@
 goog.provide('ngeo.MeasureEvent');
 goog.provide('ngeo.MeasureEventType');
 goog.provide('ngeo.interaction.Measure');
+goog.provide('ngeo.interaction.MeasureUnits');
 
+goog.require('goog.array');
 goog.require('goog.asserts');
 goog.require('goog.dom');
 goog.require('goog.dom.classlist');
 goog.require('goog.events');
+goog.require('goog.object');
+goog.require('ol.Collection');
+goog.require('ol.CollectionEvent');
+goog.require('ol.CollectionEventType');
 goog.require('ol.Feature');
 goog.require('ol.MapBrowserEvent');
 goog.require('ol.Overlay');
 goog.require('ol.interaction.DrawEvent');
 goog.require('ol.interaction.DrawEventType');
 goog.require('ol.interaction.Interaction');
+goog.require('ol.interaction.Modify');
+goog.require('ol.interaction.Snap');
 goog.require('ol.layer.Vector');
+goog.require('ol.proj');
 goog.require('ol.source.Vector');
+goog.require('ol.sphere.WGS84');
 goog.require('ol.style.Fill');
 goog.require('ol.style.Stroke');
 goog.require('ol.style.Style');
@@ -22,13 +32,52 @@ goog.require('ol.style.Style');
 /**
  * Interactions for measure tools base class.
  * @typedef {{
+ *    decimals: (number|undefined),
+ *    geodesic: (boolean|undefined),
+ *    keepResults: (boolean|undefined),
+ *    modify: (boolean|undefined),
+ *    precision: (number|undefined),
+ *    snapSources: (Array.<ol.source.Vector>|undefined),
  *    startMsg: (Element|undefined),
- *    style:(ol.style.Style|Array.<ol.style.Style>|ol.style.StyleFunction|undefined)
+ *    style:(ol.style.Style|Array.<ol.style.Style>|ol.style.StyleFunction|undefined),
+ *    units: (ngeo.interaction.MeasureUnits|undefined)
  * }}
  */
 ngeo.interaction.MeasureBaseOptions;
 
 
+/**
+ * The static tooltip of a finished measurement, and the key of the listener
+ * updating it when the measurement is modified.
+ * @typedef {{
+ *    feature: ol.Feature,
+ *    key: goog.events.Key,
+ *    overlay: ol.Overlay
+ * }}
+ */
+ngeo.interaction.MeasureResultTooltip;
+
+
+/**
+ * The unit systems of the measures.
+ * @enum {string}
+ */
+ngeo.interaction.MeasureUnits = {
+  /**
+   * Feet and miles.
+   */
+  IMPERIAL: 'imperial',
+  /**
+   * Meters and kilometers.
+   */
+  METRIC: 'metric',
+  /**
+   * Nautical miles.
+   */
+  NAUTICAL: 'nautical'
+};
+
+
 /**
  * @enum {string}
  */
@@ -72,6 +121,13 @@ goog.inherits(ngeo.MeasureEvent, goog.events.Event);
 /**
  * Interaction that allows measuring (length, area, ...).
  *
+ * The finished measurements are the features of the collection returned by
+ * `getResults`, and are displayed with a static tooltip. By default only the
+ * last measurement is kept. With the `keepResults` option, the measurements
+ * are kept until they are removed from the collection, and can be encoded
+ * with `ngeo.format.FeatureHash` to be stored. `ol.format.GeoJSON` encodes
+ * them too, except the circles of the circle and azimut measurements.
+ *
  * @constructor
  * @extends {ol.interaction.Interaction}
  * @param {ngeo.interaction.MeasureBaseOptions=} opt_options Options
@@ -143,6 +199,57 @@ ngeo.interaction.Measure = function(opt_options) {
    */
   this.changeEventKey_ = null;
 
+  /**
+   * Whether the measures are computed on the WGS84 ellipsoid, or in the
+   * projection of the map.
+   * @type {boolean}
+   * @private
+   */
+  this.geodesic_ = goog.isDef(options.geodesic) ? options.geodesic : true;
+
+  /**
+   * @type {ngeo.interaction.MeasureUnits}
+   * @private
+   */
+  this.units_ = goog.isDef(options.units) ? options.units :
+      ngeo.interaction.MeasureUnits.METRIC;
+
+  /**
+   * Number of significant digits of the measures.
+   * @type {number}
+   * @private
+   */
+  this.precision_ = goog.isDef(options.precision) ? options.precision : 3;
+
+  /**
+   * Number of decimals of the measures, used instead of the precision if set.
+   * @type {number|undefined}
+   * @private
+   */
+  this.decimals_ = options.decimals;
+
+  /**
+   * Whether the finished measurements are kept when a new measurement starts
+   * or when the interaction is deactivated.
+   * @type {boolean}
+   * @private
+   */
+  this.keepResults_ = options.keepResults === true;
+
+  /**
+   * The finished measurements.
+   * @type {ol.Collection.<ol.Feature>}
+   * @private
+   */
+  this.results_ = new ol.Collection();
+
+  /**
+   * The tooltips of the finished measurements, by feature uid.
+   * @type {Object.<number, ngeo.interaction.MeasureResultTooltip>}
+   * @private
+   */
+  this.resultTooltips_ = {};
+
   var style = goog.isDef(options.style) ? options.style :
       [
         new ol.style.Style({
@@ -170,7 +277,9 @@ ngeo.interaction.Measure = function(opt_options) {
    * @private
    */
   this.vectorLayer_ = new ol.layer.Vector({
-    source: new ol.source.Vector(),
+    source: new ol.source.Vector({
+      features: this.results_
+    }),
     style: style
   });
 
@@ -182,11 +291,36 @@ ngeo.interaction.Measure = function(opt_options) {
   this.drawInteraction_ = this.getDrawInteraction(options.sketchStyle,
       this.vectorLayer_.getSource());
 
+  /**
+   * The interaction used to modify the vertices of the finished
+   * measurements.
+   * @type {ol.interaction.Modify}
+   * @private
+   */
+  this.modifyInteraction_ = options.modify === true ?
+      new ol.interaction.Modify({features: this.results_}) : null;
+
+  /**
+   * The interactions snapping the vertices to the features of the snap
+   * sources.
+   * @type {Array.<ol.interaction.Snap>}
+   * @private
+   */
+  this.snapInteractions_ = goog.isDef(options.snapSources) ?
+      goog.array.map(options.snapSources, function(source) {
+        return new ol.interaction.Snap({source: source});
+      }) : [];
+
   goog.events.listen(this.drawInteraction_,
       ol.interaction.DrawEventType.DRAWSTART, this.onDrawStart_, false, this);
   goog.events.listen(this.drawInteraction_,
       ol.interaction.DrawEventType.DRAWEND, this.onDrawEnd_, false, this);
 
+  goog.events.listen(this.results_, ol.CollectionEventType.ADD,
+      this.handleResultAdd_, false, this);
+  goog.events.listen(this.results_, ol.CollectionEventType.REMOVE,
+      this.handleResultRemove_, false, this);
+
   goog.events.listen(this,
       ol.Object.getChangeEventType(ol.interaction.InteractionProperty.ACTIVE),
       this.updateState_, false, this);
@@ -239,13 +373,51 @@ ngeo.interaction.Measure.prototype.setMap = function(map) {
   this.vectorLayer_.setMap(map);
 
   var prevMap = this.drawInteraction_.getMap();
-  if (!goog.isNull(prevMap)) {
-    prevMap.removeInteraction(this.drawInteraction_);
-  }
+  goog.array.forEach(this.getInteractions_(), function(interaction) {
+    if (!goog.isNull(prevMap)) {
+      prevMap.removeInteraction(interaction);
+    }
+    if (!goog.isNull(map)) {
+      map.addInteraction(interaction);
+    }
+  });
 
-  if (!goog.isNull(map)) {
-    map.addInteraction(this.drawInteraction_);
+  goog.object.forEach(this.resultTooltips_, function(tooltip) {
+    if (!goog.isNull(prevMap)) {
+      prevMap.removeOverlay(tooltip.overlay);
+    }
+    if (!goog.isNull(map)) {
+      map.addOverlay(tooltip.overlay);
+      this.updateResultTooltip_(tooltip);
+    }
+  }, this);
+};
+
+
+/**
+ * Get the finished measurements. Removing a measurement from the collection
+ * also removes its tooltip, and the measurements added to the collection are
+ * displayed with their tooltip.
+ * @return {ol.Collection.<ol.Feature>} The measurements.
+ */
+ngeo.interaction.Measure.prototype.getResults = function() {
+  return this.results_;
+};
+
+
+/**
+ * Get the interactions used by the measure interaction. The snap
+ * interactions come last, so that they handle the events first.
+ * @return {Array.<ol.interaction.Interaction>} Interactions.
+ * @private
+ */
+ngeo.interaction.Measure.prototype.getInteractions_ = function() {
+  var interactions = [this.drawInteraction_];
+  if (!goog.isNull(this.modifyInteraction_)) {
+    interactions.push(this.modifyInteraction_);
   }
+  goog.array.extend(interactions, this.snapInteractions_);
+  return interactions;
 };
 
 
@@ -256,7 +428,9 @@ ngeo.interaction.Measure.prototype.setMap = function(map) {
  */
 ngeo.interaction.Measure.prototype.onDrawStart_ = function(evt) {
   this.sketchFeature = evt.feature;
-  this.vectorLayer_.getSource().clear(true);
+  if (!this.keepResults_) {
+    this.results_.clear();
+  }
   this.createMeasureTooltip_();
 
   var geometry = this.sketchFeature.getGeometry();
@@ -264,12 +438,7 @@ ngeo.interaction.Measure.prototype.onDrawStart_ = function(evt) {
   this.changeEventKey_ = goog.events.listen(geometry,
       goog.events.EventType.CHANGE,
       function() {
-        this.handleMeasure(goog.bind(function(measure, coord) {
-          if (!goog.isNull(coord)) {
-            this.measureTooltipElement_.innerHTML = measure;
-            this.measureTooltipOverlay_.setPosition(coord);
-          }
-        }, this));
+        this.handleMeasure(goog.bind(this.updateMeasureTooltip_, this));
       }, false, this);
 };
 
@@ -280,15 +449,128 @@ ngeo.interaction.Measure.prototype.onDrawStart_ = function(evt) {
  * @private
  */
 ngeo.interaction.Measure.prototype.onDrawEnd_ = function(evt) {
+  var feature = this.sketchFeature;
   goog.dom.classlist.add(this.measureTooltipElement_, 'tooltip-static');
   this.measureTooltipOverlay_.setOffset([0, -7]);
+  // the measure tooltip becomes the tooltip of the result.
+  // ol.interaction.Draw dispatches `drawend` before adding the feature to
+  // the results, ngeo.interaction.DrawAzimut after, handleResultAdd_ does
+  // not create another tooltip in both cases
+  this.addResultTooltip_(feature, this.measureTooltipOverlay_);
   this.dispatchEvent(new ngeo.MeasureEvent(ngeo.MeasureEventType.MEASUREEND,
-      this.sketchFeature));
+      feature));
+  this.measureTooltipElement_ = null;
+  this.measureTooltipOverlay_ = null;
   this.sketchFeature = null;
   goog.events.unlistenByKey(this.changeEventKey_);
 };
 
 
+/**
+ * Display the tooltip of the measurements added to the results by the
+ * application.
+ * @param {ol.CollectionEvent} evt Collection event.
+ * @private
+ */
+ngeo.interaction.Measure.prototype.handleResultAdd_ = function(evt) {
+  var feature = /** @type {ol.Feature} */ (evt.element);
+  if (feature === this.sketchFeature ||
+      goog.getUid(feature) in this.resultTooltips_) {
+    // a drawn measurement, added to the results before `drawend`, or after
+    // `drawend` with the tooltip already registered
+    return;
+  }
+  var element = goog.dom.createDom(goog.dom.TagName.DIV);
+  goog.dom.classlist.addAll(element,
+      ['tooltip', 'tooltip-measure', 'tooltip-static']);
+  var overlay = new ol.Overlay({
+    element: element,
+    offset: [0, -7],
+    positioning: 'bottom-center',
+    stopEvent: false
+  });
+  var map = this.getMap();
+  if (!goog.isNull(map)) {
+    map.addOverlay(overlay);
+  }
+  this.updateResultTooltip_(this.addResultTooltip_(feature, overlay));
+};
+
+
+/**
+ * @param {ol.CollectionEvent} evt Collection event.
+ * @private
+ */
+ngeo.interaction.Measure.prototype.handleResultRemove_ = function(evt) {
+  var feature = /** @type {ol.Feature} */ (evt.element);
+  var uid = goog.getUid(feature);
+  var tooltip = this.resultTooltips_[uid];
+  if (goog.isDef(tooltip)) {
+    goog.events.unlistenByKey(tooltip.key);
+    var map = this.getMap();
+    if (!goog.isNull(map)) {
+      map.removeOverlay(tooltip.overlay);
+    }
+    goog.dom.removeNode(tooltip.overlay.getElement());
+    delete this.resultTooltips_[uid];
+  }
+};
+
+
+/**
+ * Register the tooltip of a finished measurement, it is updated when the
+ * measurement is modified.
+ * @param {ol.Feature} feature The measurement.
+ * @param {ol.Overlay} overlay The overlay of the tooltip.
+ * @return {ngeo.interaction.MeasureResultTooltip} The tooltip.
+ * @private
+ */
+ngeo.interaction.Measure.prototype.addResultTooltip_ = function(
+    feature, overlay) {
+  var geometry = feature.getGeometry();
+  goog.asserts.assert(goog.isDef(geometry));
+  var tooltip = /** @type {ngeo.interaction.MeasureResultTooltip} */ ({
+    feature: feature,
+    overlay: overlay
+  });
+  tooltip.key = goog.events.listen(geometry, goog.events.EventType.CHANGE,
+      goog.partial(this.updateResultTooltip_, tooltip), false, this);
+  this.resultTooltips_[goog.getUid(feature)] = tooltip;
+  return tooltip;
+};
+
+
+/**
+ * @param {ngeo.interaction.MeasureResultTooltip} tooltip The tooltip.
+ * @private
+ */
+ngeo.interaction.Measure.prototype.updateResultTooltip_ = function(tooltip) {
+  if (goog.isNull(this.getMap())) {
+    return;
+  }
+  this.handleMeasure(function(measure, coord) {
+    if (!goog.isNull(coord)) {
+      tooltip.overlay.getElement().innerHTML = measure;
+      tooltip.overlay.setPosition(coord);
+    }
+  }, tooltip.feature);
+};
+
+
+/**
+ * @param {string} measure The measure.
+ * @param {?ol.Coordinate} coord The position of the tooltip.
+ * @private
+ */
+ngeo.interaction.Measure.prototype.updateMeasureTooltip_ = function(
+    measure, coord) {
+  if (!goog.isNull(coord)) {
+    this.measureTooltipElement_.innerHTML = measure;
+    this.measureTooltipOverlay_.setPosition(coord);
+  }
+};
+
+
 /**
  * Creates a new help tooltip
  * @private
@@ -345,8 +627,11 @@ ngeo.interaction.Measure.prototype.createMeasureTooltip_ = function() {
  */
 ngeo.interaction.Measure.prototype.removeMeasureTooltip_ = function() {
   if (!goog.isNull(this.measureTooltipElement_)) {
-    this.measureTooltipElement_.parentNode.removeChild(
-        this.measureTooltipElement_);
+    var map = this.getMap();
+    if (!goog.isNull(map)) {
+      map.removeOverlay(this.measureTooltipOverlay_);
+    }
+    goog.dom.removeNode(this.measureTooltipElement_);
     this.measureTooltipElement_ = null;
     this.measureTooltipOverlay_ = null;
   }
@@ -358,7 +643,9 @@ ngeo.interaction.Measure.prototype.removeMeasureTooltip_ = function() {
  */
 ngeo.interaction.Measure.prototype.updateState_ = function() {
   var active = this.getActive();
-  this.drawInteraction_.setActive(active);
+  goog.array.forEach(this.getInteractions_(), function(interaction) {
+    interaction.setActive(active);
+  });
   if (!this.getMap()) {
     return;
   }
@@ -366,8 +653,9 @@ ngeo.interaction.Measure.prototype.updateState_ = function() {
     this.createMeasureTooltip_();
     this.createHelpTooltip_();
   } else {
-    this.vectorLayer_.getSource().clear(true);
-    this.getMap().removeOverlay(this.measureTooltipOverlay_);
+    if (!this.keepResults_) {
+      this.results_.clear();
+    }
     this.removeMeasureTooltip_();
     this.removeHelpTooltip_();
   }
@@ -375,30 +663,166 @@ ngeo.interaction.Measure.prototype.updateState_ = function() {
 
 
 /**
- * Format measure output.
+ * @const
+ * @private
+ */
+ngeo.interaction.Measure.METERS_PER_FOOT_ = 0.3048;
+
+
+/**
+ * @const
+ * @private
+ */
+ngeo.interaction.Measure.FEET_PER_MILE_ = 5280;
+
+
+/**
+ * @const
+ * @private
+ */
+ngeo.interaction.Measure.METERS_PER_NAUTICAL_MILE_ = 1852;
+
+
+/**
+ * Get the length of a line in meters, geodesic or planar depending on the
+ * `geodesic` option.
  * @param {ol.geom.LineString} line
- * @return {string}
+ * @return {number}
  * @protected
  */
-ngeo.interaction.Measure.prototype.formatLength = function(line) {
+ngeo.interaction.Measure.prototype.getLength = function(line) {
+  var sourceProj = this.getMap().getView().getProjection();
+  if (!this.geodesic_) {
+    return line.getLength() * sourceProj.getMetersPerUnit();
+  }
   var length = 0;
-  var map = this.getMap();
-  var sourceProj = map.getView().getProjection();
   var coordinates = line.getCoordinates();
   for (var i = 0, ii = coordinates.length - 1; i < ii; ++i) {
     var c1 = ol.proj.transform(coordinates[i], sourceProj, 'EPSG:4326');
     var c2 = ol.proj.transform(coordinates[i + 1], sourceProj, 'EPSG:4326');
     length += ol.sphere.WGS84.haversineDistance(c1, c2);
   }
-  var output;
-  if (length > 1000) {
-    output = parseFloat((length / 1000).toPrecision(3)) +
-        ' ' + 'km';
-  } else {
-    output = parseFloat(length.toPrecision(3)) +
-        ' ' + 'm';
+  return length;
+};
+
+
+/**
+ * Get the area of a polygon in square meters, geodesic or planar depending
+ * on the `geodesic` option.
+ * @param {ol.geom.Polygon} polygon
+ * @return {number}
+ * @protected
+ */
+ngeo.interaction.Measure.prototype.getArea = function(polygon) {
+  var sourceProj = this.getMap().getView().getProjection();
+  if (!this.geodesic_) {
+    var metersPerUnit = sourceProj.getMetersPerUnit();
+    return Math.abs(polygon.getArea()) * metersPerUnit * metersPerUnit;
+  }
+  var geom = /** @type {ol.geom.Polygon} */ (polygon.clone().transform(
+      sourceProj, 'EPSG:4326'));
+  var coordinates = geom.getLinearRing(0).getCoordinates();
+  return Math.abs(ol.sphere.WGS84.geodesicArea(coordinates));
+};
+
+
+/**
+ * Format measure output.
+ * @param {ol.geom.LineString} line
+ * @return {string}
+ * @protected
+ */
+ngeo.interaction.Measure.prototype.formatLength = function(line) {
+  return this.formatMeters(this.getLength(line));
+};
+
+
+/**
+ * Format a length in the configured units.
+ * @param {number} length The length in meters.
+ * @return {string}
+ * @protected
+ */
+ngeo.interaction.Measure.prototype.formatMeters = function(length) {
+  var unit;
+  switch (this.units_) {
+    case ngeo.interaction.MeasureUnits.IMPERIAL:
+      length /= ngeo.interaction.Measure.METERS_PER_FOOT_;
+      unit = 'ft';
+      if (length > ngeo.interaction.Measure.FEET_PER_MILE_) {
+        length /= ngeo.interaction.Measure.FEET_PER_MILE_;
+        unit = 'mi';
+      }
+      break;
+    case ngeo.interaction.MeasureUnits.NAUTICAL:
+      length /= ngeo.interaction.Measure.METERS_PER_NAUTICAL_MILE_;
+      unit = 'NM';
+      break;
+    default:
+      unit = 'm';
+      if (length > 1000) {
+        length /= 1000;
+        unit = 'km';
+      }
   }
-  return output;
+  return this.formatNumber_(length) + ' ' + unit;
+};
+
+
+/**
+ * Format the area of a polygon.
+ * @param {ol.geom.Polygon} polygon
+ * @return {string}
+ * @protected
+ */
+ngeo.interaction.Measure.prototype.formatArea = function(polygon) {
+  return this.formatSquareMeters(this.getArea(polygon));
+};
+
+
+/**
+ * Format an area in the configured units.
+ * @param {number} area The area in square meters.
+ * @return {string}
+ * @protected
+ */
+ngeo.interaction.Measure.prototype.formatSquareMeters = function(area) {
+  var unit;
+  switch (this.units_) {
+    case ngeo.interaction.MeasureUnits.IMPERIAL:
+      var feetPerMile = ngeo.interaction.Measure.FEET_PER_MILE_;
+      var metersPerFoot = ngeo.interaction.Measure.METERS_PER_FOOT_;
+      area /= metersPerFoot * metersPerFoot;
+      unit = 'ft';
+      if (area > feetPerMile * feetPerMile) {
+        area /= feetPerMile * feetPerMile;
+        unit = 'mi';
+      }
+      break;
+    case ngeo.interaction.MeasureUnits.NAUTICAL:
+      var metersPerMile = ngeo.interaction.Measure.METERS_PER_NAUTICAL_MILE_;
+      area /= metersPerMile * metersPerMile;
+      unit = 'NM';
+      break;
+    default:
+      unit = 'm';
+      if (area > 1000000) {
+        area /= 1000000;
+        unit = 'km';
+      }
+  }
+  return this.formatNumber_(area) + ' ' + unit + '<sup>2</sup>';
+};
+
+
+/**
+ * @param {number} value Value.
+ * @return {string} The value with the configured precision or decimals.
+ * @private
+ */
+ngeo.interaction.Measure.prototype.formatNumber_ = function(value) {
+  return goog.isDef(this.decimals_) ? value.toFixed(this.decimals_) :
+      parseFloat(value.toPrecision(this.precision_)).toString();
 };
 
 
@@ -407,13 +831,17 @@ ngeo.interaction.Measure.prototype.formatLength = function(line) {
  * where to place the tooltip and determine which help message to display.
  * @param {function(string, ?ol.Coordinate)} callback The function
  *     to be called.
+ * @param {ol.Feature=} opt_feature The measurement to measure, the feature
+ *     being drawn (`sketchFeature`) by default. It is a finished measurement
+ *     when the results are modified.
  * @protected
  */
 ngeo.interaction.Measure.prototype.handleMeasure = goog.abstractMethod;
 
 
 /**
- * Get a reference to the tooltip element.
+ * Get a reference to the tooltip element of the current measurement. In
+ * `measureend` listeners, it is the tooltip of the finished measurement.
  * @return {Element}
  */
 ngeo.interaction.Measure.prototype.getTooltipElement = function() {
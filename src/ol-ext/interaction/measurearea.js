@@ -1,15 +1,15 @@
 goog.provide('ngeo.interaction.MeasureArea');
 
 goog.require('ngeo.interaction.Measure');
+goog.require('ol.geom.LineString');
 goog.require('ol.geom.Polygon');
 goog.require('ol.interaction.Draw');
-goog.require('ol.sphere.WGS84');
 
 
 
 /**
  * @classdesc
- * Interaction dedicated to measure length.
+ * Interaction dedicated to measure area and perimeter.
  *
  * @constructor
  * @extends {ngeo.interaction.Measure}
@@ -55,9 +55,11 @@ ngeo.interaction.MeasureArea.prototype.getDrawInteraction = function(style,
 /**
  * @inheritDoc
  */
-ngeo.interaction.MeasureArea.prototype.handleMeasure = function(callback) {
+ngeo.interaction.MeasureArea.prototype.handleMeasure = function(callback,
+    opt_feature) {
+  var feature = goog.isDef(opt_feature) ? opt_feature : this.sketchFeature;
   var geom = /** @type {ol.geom.Polygon} */
-      (this.sketchFeature.getGeometry());
+      (feature.getGeometry());
   var output = this.formatMeasure_(geom);
   var verticesCount = geom.getCoordinates()[0].length;
   var coord = null;
@@ -69,24 +71,18 @@ ngeo.interaction.MeasureArea.prototype.handleMeasure = function(callback) {
 
 
 /**
- * Format measure output.
+ * Format measure output: the area, and the perimeter below.
  * @param {ol.geom.Polygon} polygon
  * @return {string}
  * @private
  */
 ngeo.interaction.MeasureArea.prototype.formatMeasure_ = function(polygon) {
-  var map = this.getMap();
-  var sourceProj = map.getView().getProjection();
-  var geom = /** @type {ol.geom.Polygon} */ (polygon.clone().transform(
-      sourceProj, 'EPSG:4326'));
-  var coordinates = geom.getLinearRing(0).getCoordinates();
-  var area = Math.abs(ol.sphere.WGS84.geodesicArea(coordinates));
-  var output;
-  if (area > 1000000) {
-    output = parseFloat((area / 1000000).toPrecision(3)) +
-        ' ' + 'km<sup>2</sup>';
-  } else {
-    output = parseFloat(area.toPrecision(3)) + ' ' + 'm<sup>2</sup>';
+  var coordinates = polygon.getLinearRing(0).getCoordinates();
+  var first = coordinates[0];
+  var last = coordinates[coordinates.length - 1];
+  if (first[0] !== last[0] || first[1] !== last[1]) {
+    coordinates.push(first);
   }
-  return output;
+  var perimeter = new ol.geom.LineString(coordinates);
+  return this.formatArea(polygon) + '<br/>' + this.formatLength(perimeter);
 };
@@ -3,6 +3,7 @@ goog.provide('ngeo.interaction.MeasureAzimut');
 
 goog.require('goog.asserts');
 goog.require('goog.events');
+goog.require('goog.object');
 goog.require('ngeo.interaction.Measure');
 goog.require('ol.Feature');
 goog.require('ol.MapBrowserEvent');
@@ -33,7 +34,13 @@ ngeo.interaction.MeasureAzimut = function(opt_options) {
 
   var options = goog.isDef(opt_options) ? opt_options : {};
 
-  goog.base(this, options);
+  // ol.interaction.Modify does not support geometry collections, the
+  // modify option is ignored
+  var measureOptions = /** @type {ngeox.interaction.MeasureOptions} */ (
+      goog.object.clone(options));
+  measureOptions.modify = false;
+
+  goog.base(this, measureOptions);
 
 
   /**
@@ -65,9 +72,11 @@ ngeo.interaction.MeasureAzimut.prototype.getDrawInteraction = function(style,
 /**
  * @inheritDoc
  */
-ngeo.interaction.MeasureAzimut.prototype.handleMeasure = function(callback) {
+ngeo.interaction.MeasureAzimut.prototype.handleMeasure = function(callback,
+    opt_feature) {
+  var feature = goog.isDef(opt_feature) ? opt_feature : this.sketchFeature;
   var geom = /** @type {ol.geom.GeometryCollection} */
-      (this.sketchFeature.getGeometry());
+      (feature.getGeometry());
   var line = /** @type {ol.geom.LineString} */ (geom.getGeometries()[0]);
   var output = this.formatMeasure_(line);
   callback(output, line.getLastCoordinate());
@@ -0,0 +1,92 @@
+goog.provide('ngeo.interaction.MeasureCircle');
+
+goog.require('goog.object');
+goog.require('ngeo.interaction.Measure');
+goog.require('ol.geom.Circle');
+goog.require('ol.geom.LineString');
+goog.require('ol.interaction.Draw');
+
+
+
+/**
+ * @classdesc
+ * Interaction dedicated to measure the radius, circumference and area of a
+ * circle.
+ *
+ * The results are circle geometries, they can be encoded with
+ * `ngeo.format.FeatureHash` but not with `ol.format.GeoJSON`.
+ *
+ * @constructor
+ * @extends {ngeo.interaction.Measure}
+ * @param {ngeox.interaction.MeasureOptions=} opt_options Options
+ */
+ngeo.interaction.MeasureCircle = function(opt_options) {
+
+  var options = goog.isDef(opt_options) ? opt_options : {};
+
+  // ol.interaction.Modify does not support circles, the modify option is
+  // ignored
+  var measureOptions = /** @type {ngeox.interaction.MeasureOptions} */ (
+      goog.object.clone(options));
+  measureOptions.modify = false;
+
+  goog.base(this, measureOptions);
+
+
+  /**
+   * Message to show after the first point is clicked.
+   * @type {Element}
+   */
+  this.continueMsg = goog.isDef(options.continueMsg) ? options.continueMsg :
+      goog.dom.createDom(goog.dom.TagName.SPAN, {}, 'Click to finish.');
+
+};
+goog.inherits(ngeo.interaction.MeasureCircle, ngeo.interaction.Measure);
+
+
+/**
+ * @inheritDoc
+ */
+ngeo.interaction.MeasureCircle.prototype.getDrawInteraction = function(style,
+    source) {
+
+  return new ol.interaction.Draw(
+      /** @type {olx.interaction.DrawOptions} */ ({
+        type: 'Circle',
+        source: source,
+        style: style
+      }));
+
+};
+
+
+/**
+ * @inheritDoc
+ */
+ngeo.interaction.MeasureCircle.prototype.handleMeasure = function(callback,
+    opt_feature) {
+  var feature = goog.isDef(opt_feature) ? opt_feature : this.sketchFeature;
+  var geom = /** @type {ol.geom.Circle} */
+      (feature.getGeometry());
+  var output = this.formatMeasure_(geom);
+  callback(output, geom.getCenter());
+};
+
+
+/**
+ * Format measure output: the radius, the circumference and the area. The
+ * radius is measured along the parallel of the center, the circumference
+ * and the area are computed from the radius.
+ * @param {ol.geom.Circle} circle
+ * @return {string}
+ * @private
+ */
+ngeo.interaction.MeasureCircle.prototype.formatMeasure_ = function(circle) {
+  var center = circle.getCenter();
+  var radius = this.getLength(new ol.geom.LineString([
+    center, [center[0] + circle.getRadius(), center[1]]
+  ]));
+  return 'r = ' + this.formatMeters(radius) +
+      '<br/>C = ' + this.formatMeters(2 * Math.PI * radius) +
+      '<br/>A = ' + this.formatSquareMeters(Math.PI * radius * radius);
+};
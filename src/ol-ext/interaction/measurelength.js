@@ -54,9 +54,11 @@ ngeo.interaction.MeasureLength.prototype.getDrawInteraction = function(style,
 /**
  * @inheritDoc
  */
-ngeo.interaction.MeasureLength.prototype.handleMeasure = function(callback) {
+ngeo.interaction.MeasureLength.prototype.handleMeasure = function(callback,
+    opt_feature) {
+  var feature = goog.isDef(opt_feature) ? opt_feature : this.sketchFeature;
   var geom = /** @type {ol.geom.LineString} */
-      (this.sketchFeature.getGeometry());
+      (feature.getGeometry());
   var output = this.formatMeasure_(geom);
   var coord = geom.getLastCoordinate();
   callback(output, coord);
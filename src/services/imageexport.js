@@ -0,0 +1,505 @@
+/**
+ * @fileoverview Provides a service to export the map to a PNG image in the
+ * browser, for applications without a MapFish Print server or working
+ * offline.
+ *
+ * The exported area is the print frame drawn on the map by
+ * `ngeo.PrintUtils#createPrintMaskPostcompose` for the same paper size,
+ * scale and rotation. The map is rendered at the requested DPI, and a title,
+ * a scale bar, a north arrow and the attributions of the layers can be drawn
+ * over it.
+ *
+ * Example:
+ *
+ * ngeoImageExport.exportMap(map, {
+ *   paperSize: [555, 675],
+ *   scale: 25000,
+ *   dpi: 150,
+ *   title: 'My map',
+ *   scaleBar: true,
+ *   northArrow: true,
+ *   attribution: true
+ * }).then(function(blob) {
+ *   // save or display the image
+ * });
+ *
+ * The images and tiles of the layers must be loaded with CORS enabled (see
+ * the "crossOrigin" option of the sources), otherwise the browser does not
+ * allow the export and the promise is rejected.
+ */
+
+goog.provide('ngeo.ImageExport');
+
+goog.require('goog.array');
+goog.require('goog.asserts');
+goog.require('goog.crypt.base64');
+goog.require('goog.dom');
+goog.require('goog.dom.TagName');
+goog.require('goog.events');
+goog.require('goog.events.Key');
+goog.require('goog.object');
+goog.require('goog.string');
+goog.require('ngeo');
+goog.require('ngeo.PrintUtils');
+goog.require('ol.Map');
+goog.require('ol.MapEventType');
+goog.require('ol.View');
+goog.require('ol.layer.Group');
+goog.require('ol.layer.Layer');
+goog.require('ol.render.EventType');
+goog.require('ol.source.ImageEventType');
+goog.require('ol.source.Source');
+goog.require('ol.source.State');
+goog.require('ol.source.TileEvent');
+goog.require('ol.source.TileEventType');
+
+
+
+/**
+ * @constructor
+ * @param {angular.$q} $q Angular q service.
+ * @param {angular.$timeout} $timeout Angular timeout service.
+ * @ngInject
+ */
+ngeo.ImageExport = function($q, $timeout) {
+
+  /**
+   * @type {angular.$q}
+   * @private
+   */
+  this.$q_ = $q;
+
+  /**
+   * @type {angular.$timeout}
+   * @private
+   */
+  this.$timeout_ = $timeout;
+};
+
+
+/**
+ * Delay in milliseconds after a render of the map before checking that all
+ * the images and tiles are loaded, the map loads its tiles after rendering.
+ * @const
+ * @private
+ */
+ngeo.ImageExport.RENDER_DELAY_ = 100;
+
+
+/**
+ * Default time in milliseconds after which the export is given up.
+ * @const
+ * @private
+ */
+ngeo.ImageExport.TIMEOUT_ = 60000;
+
+
+/**
+ * Get the size of the exported image.
+ * @param {ol.Size} paperSize Size of the map on the paper (dots).
+ * @param {number} dpi DPI.
+ * @return {ol.Size} Size of the image in pixels.
+ */
+ngeo.ImageExport.prototype.getImageSize = function(paperSize, dpi) {
+  var ratio = dpi / ngeo.PrintUtils.DOTS_PER_INCH;
+  return [
+    Math.round(paperSize[0] * ratio),
+    Math.round(paperSize[1] * ratio)
+  ];
+};
+
+
+/**
+ * Export the map to a PNG image. The map is rendered in a map of the size
+ * of the image, sharing the layers of the map.
+ * @param {ol.Map} map Map.
+ * @param {ngeox.ImageExportOptions} options Options.
+ * @return {angular.$q.Promise} Promise resolved with the PNG image, as a
+ *     `Blob`, or rejected with the error preventing the export.
+ */
+ngeo.ImageExport.prototype.exportMap = function(map, options) {
+  var dpi = goog.isDef(options.dpi) ?
+      options.dpi : ngeo.PrintUtils.DOTS_PER_INCH;
+  var rotation = goog.isDef(options.rotation) ? options.rotation : 0;
+  var size = this.getImageSize(options.paperSize, dpi);
+
+  var view = map.getView();
+  var center = view.getCenter();
+  goog.asserts.assert(goog.isDef(center));
+
+  // seen from the rotated frame, the map is rotated the other way
+  var exportView = new ol.View({
+    center: center,
+    projection: view.getProjection(),
+    resolution: options.scale / (ngeo.PrintUtils.INCHES_PER_METER * dpi),
+    rotation: view.getRotation() - rotation * Math.PI / 180
+  });
+
+  var exportMap = new ol.Map({
+    controls: [],
+    interactions: [],
+    pixelRatio: 1,
+    view: exportView
+  });
+  exportMap.setLayerGroup(map.getLayerGroup());
+  exportMap.setSize(size);
+
+  var deferred = this.$q_.defer();
+  var sources = ngeo.ImageExport.getSources_(map.getLayerGroup());
+  var /** @type {Array.<goog.events.Key>} */ keys = [];
+  var /** @type {HTMLCanvasElement} */ mapCanvas = null;
+  var /** @type {angular.$q.Promise} */ checkPromise = null;
+  // the images and tiles being loaded, by uid
+  var /** @type {Object.<number, boolean>} */ loading = {};
+  var /** @type {angular.$q.Promise} */ timeoutPromise = null;
+
+  var dispose = goog.bind(function() {
+    this.$timeout_.cancel(timeoutPromise);
+    if (!goog.isNull(checkPromise)) {
+      this.$timeout_.cancel(checkPromise);
+      checkPromise = null;
+    }
+    goog.array.forEach(keys, goog.events.unlistenByKey);
+    // release the listeners of the export map on the layers
+    exportMap.setLayerGroup(new ol.layer.Group());
+    exportMap.dispose();
+  }, this);
+
+  var exportImage = goog.bind(function() {
+    checkPromise = null;
+    if (!goog.object.isEmpty(loading) || goog.isNull(mapCanvas) ||
+        goog.array.some(sources, function(source) {
+          return source.getState() === ol.source.State.LOADING;
+        })) {
+      return;
+    }
+    try {
+      var canvas = this.drawImage_(mapCanvas, exportView, options, sources);
+      deferred.resolve(ngeo.ImageExport.toBlob_(canvas));
+    } catch (e) {
+      // the canvas is tainted by images loaded without CORS
+      deferred.reject(e);
+    }
+    dispose();
+  }, this);
+
+  // The sources are shared with the map, their events are also fired for
+  // the loads of the map. Only the loads starting during the export are
+  // waited for, the end of a load started before is ignored. The export map
+  // is rendered again at the end of every load, to draw the loaded image or
+  // tile and to check again for pending loads.
+  goog.array.forEach(sources, function(source) {
+    keys.push(goog.events.listen(source, [
+      ol.source.ImageEventType.IMAGELOADSTART,
+      ol.source.TileEventType.TILELOADSTART
+    ], function(evt) {
+      loading[ngeo.ImageExport.getLoadUid_(evt)] = true;
+    }));
+    keys.push(goog.events.listen(source, [
+      ol.source.ImageEventType.IMAGELOADEND,
+      ol.source.ImageEventType.IMAGELOADERROR,
+      ol.source.TileEventType.TILELOADEND,
+      ol.source.TileEventType.TILELOADERROR
+    ], function(evt) {
+      delete loading[ngeo.ImageExport.getLoadUid_(evt)];
+      exportMap.render();
+    }));
+  });
+
+  keys.push(goog.events.listen(exportMap, ol.render.EventType.POSTCOMPOSE,
+      /**
+       * @param {ol.render.Event} evt Postcompose event.
+       */
+      function(evt) {
+        mapCanvas = evt.context.canvas;
+      }));
+
+  // the map is rendered again when images or tiles are loaded, it is
+  // exported after the first render without pending loads
+  keys.push(goog.events.listen(exportMap, ol.MapEventType.POSTRENDER,
+      goog.bind(function() {
+        if (!goog.isNull(checkPromise)) {
+          this.$timeout_.cancel(checkPromise);
+        }
+        checkPromise = this.$timeout_(
+            exportImage, ngeo.ImageExport.RENDER_DELAY_, false);
+      }, this)));
+
+  timeoutPromise = this.$timeout_(function() {
+    deferred.reject(new Error('The images and tiles took too long to load'));
+    dispose();
+  }, goog.isDef(options.timeout) ?
+      options.timeout : ngeo.ImageExport.TIMEOUT_, false);
+
+  exportMap.render();
+
+  return deferred.promise;
+};
+
+
+/**
+ * @param {ol.source.ImageEvent|ol.source.TileEvent} evt Load event.
+ * @return {number} The uid of the image or tile being loaded.
+ * @private
+ */
+ngeo.ImageExport.getLoadUid_ = function(evt) {
+  return goog.getUid(evt instanceof ol.source.TileEvent ?
+      evt.tile : evt.image);
+};
+
+
+/**
+ * @param {HTMLCanvasElement} mapCanvas Canvas of the rendered map.
+ * @param {ol.View} view View of the rendered map.
+ * @param {ngeox.ImageExportOptions} options Options.
+ * @param {Array.<ol.source.Source>} sources Sources of the layers.
+ * @return {HTMLCanvasElement} Canvas of the image.
+ * @private
+ */
+ngeo.ImageExport.prototype.drawImage_ = function(
+    mapCanvas, view, options, sources) {
+  var canvas = /** @type {HTMLCanvasElement} */
+      (goog.dom.createElement(goog.dom.TagName.CANVAS));
+  canvas.width = mapCanvas.width;
+  canvas.height = mapCanvas.height;
+  var context = /** @type {CanvasRenderingContext2D} */
+      (canvas.getContext('2d'));
+
+  // the canvas of the map is transparent where there are no layers
+  context.fillStyle = '#fff';
+  context.fillRect(0, 0, canvas.width, canvas.height);
+  context.drawImage(mapCanvas, 0, 0);
+
+  // the overlays have the same size on the paper whatever the DPI
+  var ratio = goog.isDef(options.dpi) ?
+      options.dpi / ngeo.PrintUtils.DOTS_PER_INCH : 1;
+
+  var top = 0;
+  if (goog.isDef(options.title) && options.title !== '') {
+    top = ngeo.ImageExport.drawTitle_(context, options.title, ratio);
+  }
+  if (options.northArrow === true) {
+    var rotation = view.getRotation();
+    goog.asserts.assert(goog.isDef(rotation));
+    ngeo.ImageExport.drawNorthArrow_(context, rotation, top, ratio);
+  }
+  if (options.scaleBar === true) {
+    var resolution = view.getResolution();
+    goog.asserts.assert(goog.isDef(resolution));
+    ngeo.ImageExport.drawScaleBar_(context, resolution, ratio);
+  }
+  if (options.attribution === true) {
+    var attributions = ngeo.ImageExport.getAttributions_(sources);
+    if (attributions.length > 0) {
+      ngeo.ImageExport.drawAttributions_(
+          context, attributions.join(' | '), ratio);
+    }
+  }
+
+  return canvas;
+};
+
+
+/**
+ * Draw the title at the top of the image.
+ * @param {CanvasRenderingContext2D} context Context.
+ * @param {string} title Title.
+ * @param {number} ratio Size ratio of the overlays.
+ * @return {number} The height of the title band.
+ * @private
+ */
+ngeo.ImageExport.drawTitle_ = function(context, title, ratio) {
+  var fontSize = 16 * ratio;
+  var padding = 8 * ratio;
+  var height = fontSize + 2 * padding;
+  var width = context.canvas.width;
+  context.fillStyle = 'rgba(255, 255, 255, 0.8)';
+  context.fillRect(0, 0, width, height);
+  context.font = 'bold ' + fontSize + 'px sans-serif';
+  context.textAlign = 'center';
+  context.textBaseline = 'top';
+  context.fillStyle = '#000';
+  context.fillText(title, width / 2, padding, width - 2 * padding);
+  return height;
+};
+
+
+/**
+ * Draw the north arrow at the top right corner of the image.
+ * @param {CanvasRenderingContext2D} context Context.
+ * @param {number} rotation Rotation of the view in radians.
+ * @param {number} top The top of the free area of the image.
+ * @param {number} ratio Size ratio of the overlays.
+ * @private
+ */
+ngeo.ImageExport.drawNorthArrow_ = function(context, rotation, top, ratio) {
+  var radius = 15 * ratio;
+  var x = context.canvas.width - radius - 10 * ratio;
+  var y = top + radius + 10 * ratio;
+
+  context.save();
+  context.translate(x, y);
+  context.fillStyle = 'rgba(255, 255, 255, 0.8)';
+  context.beginPath();
+  context.arc(0, 0, radius, 0, 2 * Math.PI);
+  context.fill();
+
+  // the north is rotated with the view, clockwise
+  context.rotate(rotation);
+  context.fillStyle = '#000';
+  context.beginPath();
+  context.moveTo(0, -radius * 0.8);
+  context.lineTo(radius * 0.4, radius * 0.6);
+  context.lineTo(0, radius * 0.3);
+  context.lineTo(-radius * 0.4, radius * 0.6);
+  context.closePath();
+  context.fill();
+  context.restore();
+};
+
+
+/**
+ * Draw the scale bar at the bottom left corner of the image. The bar is at
+ * most a quarter of the width of the image, with a rounded length.
+ * @param {CanvasRenderingContext2D} context Context.
+ * @param {number} resolution Resolution of the rendered map.
+ * @param {number} ratio Size ratio of the overlays.
+ * @private
+ */
+ngeo.ImageExport.drawScaleBar_ = function(context, resolution, ratio) {
+  var length = ngeo.ImageExport.getRoundLength_(
+      context.canvas.width / 4 * resolution);
+  var barWidth = length / resolution;
+  var label = length >= 1000 ? length / 1000 + ' km' : length + ' m';
+
+  var fontSize = 10 * ratio;
+  var margin = 10 * ratio;
+  var padding = 4 * ratio;
+  var tickHeight = 6 * ratio;
+  var x = margin + padding;
+  var y = context.canvas.height - margin - padding;
+
+  context.fillStyle = 'rgba(255, 255, 255, 0.8)';
+  context.fillRect(margin, y - tickHeight - fontSize - 2 * padding,
+      barWidth + 2 * padding, tickHeight + fontSize + 3 * padding);
+
+  context.strokeStyle = '#000';
+  context.lineWidth = 2 * ratio;
+  context.beginPath();
+  context.moveTo(x, y - tickHeight);
+  context.lineTo(x, y);
+  context.lineTo(x + barWidth, y);
+  context.lineTo(x + barWidth, y - tickHeight);
+  context.stroke();
+
+  context.font = fontSize + 'px sans-serif';
+  context.textAlign = 'center';
+  context.textBaseline = 'bottom';
+  context.fillStyle = '#000';
+  context.fillText(label, x + barWidth / 2, y - padding);
+};
+
+
+/**
+ * Draw the attributions at the bottom right corner of the image.
+ * @param {CanvasRenderingContext2D} context Context.
+ * @param {string} text Text of the attributions.
+ * @param {number} ratio Size ratio of the overlays.
+ * @private
+ */
+ngeo.ImageExport.drawAttributions_ = function(context, text, ratio) {
+  var fontSize = 9 * ratio;
+  var padding = 3 * ratio;
+  var width = context.canvas.width;
+  var height = context.canvas.height;
+  context.font = fontSize + 'px sans-serif';
+  var textWidth = Math.min(context.measureText(text).width,
+      width - 2 * padding);
+  context.fillStyle = 'rgba(255, 255, 255, 0.8)';
+  context.fillRect(width - textWidth - 2 * padding,
+      height - fontSize - 2 * padding, textWidth + 2 * padding,
+      fontSize + 2 * padding);
+  context.textAlign = 'right';
+  context.textBaseline = 'bottom';
+  context.fillStyle = '#000';
+  context.fillText(text, width - padding, height - padding, textWidth);
+};
+
+
+/**
+ * Get the largest round length (1, 2 or 5 times a power of ten) shorter than
+ * a length.
+ * @param {number} maxLength Maximum length.
+ * @return {number} Round length.
+ * @private
+ */
+ngeo.ImageExport.getRoundLength_ = function(maxLength) {
+  var power = Math.pow(10, Math.floor(Math.log(maxLength) / Math.LN10));
+  var digit = maxLength / power;
+  return (digit >= 5 ? 5 : digit >= 2 ? 2 : 1) * power;
+};
+
+
+/**
+ * Get the sources of the visible layers of a layer group and its
+ * sub-groups.
+ * @param {ol.layer.Group} group Layer group.
+ * @return {Array.<ol.source.Source>} Sources.
+ * @private
+ */
+ngeo.ImageExport.getSources_ = function(group) {
+  var sources = [];
+  group.getLayers().forEach(function(layer) {
+    if (!layer.getVisible()) {
+      return;
+    }
+    if (layer instanceof ol.layer.Group) {
+      goog.array.extend(sources, ngeo.ImageExport.getSources_(layer));
+    } else {
+      goog.asserts.assertInstanceof(layer, ol.layer.Layer);
+      sources.push(layer.getSource());
+    }
+  });
+  return sources;
+};
+
+
+/**
+ * Get the text of the attributions of sources, without duplicates.
+ * @param {Array.<ol.source.Source>} sources Sources.
+ * @return {Array.<string>} Attributions.
+ * @private
+ */
+ngeo.ImageExport.getAttributions_ = function(sources) {
+  var attributions = [];
+  goog.array.forEach(sources, function(source) {
+    var sourceAttributions = source.getAttributions();
+    if (!goog.isNull(sourceAttributions)) {
+      goog.array.forEach(sourceAttributions, function(attribution) {
+        // the attributions are HTML, only their text is drawn
+        var text = goog.string.trim(goog.string.unescapeEntities(
+            attribution.getHTML().replace(/<[^>]*>/g, '')));
+        if (text !== '' && !goog.array.contains(attributions, text)) {
+          attributions.push(text);
+        }
+      });
+    }
+  });
+  return attributions;
+};
+
+
+/**
+ * @param {HTMLCanvasElement} canvas Canvas.
+ * @return {Blob} PNG image.
+ * @private
+ */
+ngeo.ImageExport.toBlob_ = function(canvas) {
+  var dataUrl = canvas.toDataURL('image/png');
+  var bytes = goog.crypt.base64.decodeStringToByteArray(
+      dataUrl.substr(dataUrl.indexOf(',') + 1));
+  return new Blob([new Uint8Array(bytes)], {type: 'image/png'});
+};
+
+
+ngeoModule.service('ngeoImageExport', ngeo.ImageExport);
@@ -14,14 +14,60 @@
  *
  * app.module.config(ngeo.mockLocationProvider);
  *
+ * By default the browser history entry is replaced when the URL changes. In
+ * "push" mode a new history entry is created for each "settled" URL, i.e.
+ * a URL that did not change for some time (`ngeo.Location.SETTLE_DELAY`),
+ * so the back button returns to the previous map view rather than to every
+ * intermediate view:
+ *
+ * ngeoLocation.setHistoryMode(ngeo.LocationHistoryMode.PUSH);
+ *
+ * When the user navigates the history the location is updated and an
+ * "ngeoLocationChange" event is broadcast, as for any other URL change. In
+ * that case the event listeners receive `true` as their second argument:
+ *
+ * $scope.$on('ngeoLocationChange', function(event, fromHistory) {
+ *   if (fromHistory) {
+ *     // apply the new params
+ *   }
+ * });
+ *
+ * Typed params can be declared, so consumers get values of the expected type
+ * instead of strings. Malformed values are replaced by the param's default
+ * value, and a warning is logged:
+ *
+ * ngeoLocation.declareParams({
+ *   'map_zoom': {type: ngeo.LocationParamType.NUMBER, defaultValue: 0},
+ *   'map_center': {type: ngeo.LocationParamType.COORDINATE},
+ *   'lang': {type: ngeo.LocationParamType.ENUM, values: ['en', 'fr']}
+ * });
+ * var zoom = ngeoLocation.getTypedParam('map_zoom');
+ * ngeoLocation.updateTypedParams({'map_center': [1000, 2000]});
+ *
+ * The params are stored in the URL's query string by default. They can be
+ * stored in the URL's fragment instead (e.g. for deployments behind proxies
+ * that strip or cache by query string) by redefining the
+ * "ngeoLocationStorage" value:
+ *
+ * app.module.value('ngeoLocationStorage', ngeo.LocationStorage.FRAGMENT);
+ *
+ * In that mode the fragment is owned by ngeoLocation, so Angular's $location
+ * service must be mocked with ngeo.mockLocationProvider.
  */
 
 goog.provide('ngeo.Location');
+goog.provide('ngeo.LocationHistoryMode');
+goog.provide('ngeo.LocationParamType');
+goog.provide('ngeo.LocationStorage');
 goog.provide('ngeo.MockLocationProvider');
 
 goog.require('goog.Uri');
+goog.require('goog.array');
+goog.require('goog.asserts');
 goog.require('goog.object');
+goog.require('goog.uri.utils');
 goog.require('ngeo');
+goog.require('ngeo.Debounce');
 
 
 /**
@@ -30,14 +76,78 @@ goog.require('ngeo');
 ngeo.MockLocationProvider;
 
 
+/**
+ * @enum {string}
+ */
+ngeo.LocationHistoryMode = {
+  /**
+   * Create a new history entry for each settled URL.
+   */
+  PUSH: 'push',
+  /**
+   * Replace the current history entry.
+   */
+  REPLACE: 'replace'
+};
+
+
+/**
+ * @enum {string}
+ */
+ngeo.LocationStorage = {
+  /**
+   * Store the params in the URL's fragment ("#a=b&c=d").
+   */
+  FRAGMENT: 'fragment',
+  /**
+   * Store the params in the URL's query string ("?a=b&c=d").
+   */
+  QUERY: 'query'
+};
+
+
+ngeoModule.value('ngeoLocationStorage', ngeo.LocationStorage.QUERY);
+
+
+/**
+ * @enum {string}
+ */
+ngeo.LocationParamType = {
+  /**
+   * "true" or "false" ("1" and "0" are also accepted).
+   */
+  BOOLEAN: 'boolean',
+  /**
+   * Two comma-separated numbers, read as an `ol.Coordinate`.
+   */
+  COORDINATE: 'coordinate',
+  /**
+   * One of the strings listed in the param's `values`.
+   */
+  ENUM: 'enum',
+  /**
+   * Comma-separated strings, read as an array.
+   */
+  LIST: 'list',
+  /**
+   * A finite number.
+   */
+  NUMBER: 'number'
+};
+
+
 
 /**
  * The ngeo Location type.
  * @param {Location} location Location.
  * @param {History} history History.
+ * @param {angular.$log=} opt_log Angular log service, used to warn about
+ *     malformed typed params.
+ * @param {ngeo.LocationStorage=} opt_storage Where the params are stored.
+ *     Default is `query`.
  * @constructor
  */
-ngeo.Location = function(location, history) {
+ngeo.Location = function(location, history, opt_log, opt_storage) {
   /**
    * @type {History}
    * @private
@@ -49,6 +159,120 @@ ngeo.Location = function(location, history) {
    * @private
    */
   this.uri_ = goog.Uri.parse(location);
+
+  /**
+   * @type {ngeo.LocationStorage}
+   * @private
+   */
+  this.storage_ = goog.isDef(opt_storage) ?
+      opt_storage : ngeo.LocationStorage.QUERY;
+
+  /**
+   * The params, when stored in the fragment.
+   * @type {goog.Uri.QueryData}
+   * @private
+   */
+  this.fragmentData_ = null;
+
+  this.readFragment_(location);
+
+  /**
+   * @type {ngeo.LocationHistoryMode}
+   * @private
+   */
+  this.historyMode_ = ngeo.LocationHistoryMode.REPLACE;
+
+  /**
+   * @type {angular.$log|undefined}
+   * @private
+   */
+  this.log_ = opt_log;
+
+  /**
+   * @type {Object.<string, ngeox.LocationParamDefinition>}
+   * @private
+   */
+  this.paramDefinitions_ = {};
+};
+
+
+/**
+ * Time (in ms) after which an unchanged URL is considered settled, and
+ * creates a new history entry on its next change in "push" mode.
+ * @const
+ * @type {number}
+ */
+ngeo.Location.SETTLE_DELAY = 1000;
+
+
+/**
+ * Get the params data, from the query string or from the fragment depending
+ * on the storage mode.
+ * @return {!goog.Uri.QueryData} Params data.
+ * @private
+ */
+ngeo.Location.prototype.getParamsData_ = function() {
+  if (this.storage_ == ngeo.LocationStorage.FRAGMENT) {
+    goog.asserts.assert(!goog.isNull(this.fragmentData_));
+    return this.fragmentData_;
+  } else {
+    return this.uri_.getQueryData();
+  }
+};
+
+
+/**
+ * Parse the fragment params in fragment mode. The fragment is read from the
+ * raw location since `goog.Uri` decodes it, which would make encoded "&" and
+ * "=" characters ambiguous.
+ * @param {Location} location Location.
+ * @private
+ */
+ngeo.Location.prototype.readFragment_ = function(location) {
+  if (this.storage_ == ngeo.LocationStorage.FRAGMENT) {
+    var fragment = goog.uri.utils.getFragmentEncoded(String(location));
+    this.fragmentData_ = new goog.Uri.QueryData(
+        goog.isNull(fragment) ? '' : fragment);
+    this.writeFragment_();
+  }
+};
+
+
+/**
+ * Write the fragment params in the URI in fragment mode.
+ * @private
+ */
+ngeo.Location.prototype.writeFragment_ = function() {
+  if (this.storage_ == ngeo.LocationStorage.FRAGMENT) {
+    this.uri_.setFragment(this.fragmentData_.toString());
+  }
+};
+
+
+/**
+ * Get the storage mode of the params.
+ * @return {ngeo.LocationStorage} The storage mode.
+ */
+ngeo.Location.prototype.getStorage = function() {
+  return this.storage_;
+};
+
+
+/**
+ * Get the history mode.
+ * @return {ngeo.LocationHistoryMode} The history mode.
+ */
+ngeo.Location.prototype.getHistoryMode = function() {
+  return this.historyMode_;
+};
+
+
+/**
+ * Set the history mode.
+ * @param {ngeo.LocationHistoryMode} mode The history mode.
+ */
+ngeo.Location.prototype.setHistoryMode = function(mode) {
+  this.historyMode_ = mode;
 };
 
 
@@ -78,7 +302,13 @@ ngeo.Location.prototype.getUriString = function(opt_params) {
   var extendedUri;
   if (goog.isDef(opt_params)) {
     extendedUri = this.uri_.clone();
-    extendedUri.getQueryData().extend(opt_params);
+    if (this.storage_ == ngeo.LocationStorage.FRAGMENT) {
+      var fragmentData = this.fragmentData_.clone();
+      fragmentData.extend(opt_params);
+      extendedUri.setFragment(fragmentData.toString());
+    } else {
+      extendedUri.getQueryData().extend(opt_params);
+    }
   } else {
     extendedUri = this.uri_;
   }
@@ -91,7 +321,7 @@ ngeo.Location.prototype.getUriString = function(opt_params) {
  * @return {boolean} True if the param exists.
  */
 ngeo.Location.prototype.hasParam = function(key) {
-  return this.uri_.getQueryData().containsKey(key);
+  return this.getParamsData_().containsKey(key);
 };
 
 
@@ -100,7 +330,7 @@ ngeo.Location.prototype.hasParam = function(key) {
  * @return {string} Param value.
  */
 ngeo.Location.prototype.getParam = function(key) {
-  return /** @type {string} */ (this.uri_.getQueryData().get(key));
+  return /** @type {string} */ (this.getParamsData_().get(key));
 };
 
 
@@ -108,7 +338,104 @@ ngeo.Location.prototype.getParam = function(key) {
  * @return {Array.<string>} Param keys.
  */
 ngeo.Location.prototype.getParamKeys = function() {
-  return this.uri_.getQueryData().getKeys();
+  return this.getParamsData_().getKeys();
+};
+
+
+/**
+ * Declare typed params.
+ * @param {Object.<string, ngeox.LocationParamDefinition>} definitions
+ *     Param definitions, by param key.
+ */
+ngeo.Location.prototype.declareParams = function(definitions) {
+  goog.object.extend(this.paramDefinitions_, definitions);
+};
+
+
+/**
+ * Get the value of a declared param. The param's default value is returned
+ * if the param is missing or malformed.
+ * @param {string} key Param key.
+ * @return {*} Param value.
+ */
+ngeo.Location.prototype.getTypedParam = function(key) {
+  var definition = this.paramDefinitions_[key];
+  goog.asserts.assert(goog.isDef(definition),
+      'param ' + key + ' is not declared');
+  var value = this.getParam(key);
+  if (!goog.isDef(value)) {
+    return definition.defaultValue;
+  }
+  var parsed = ngeo.Location.parseParam_(value, definition);
+  if (!goog.isDef(parsed) || (goog.isDef(definition.validate) &&
+      !definition.validate(parsed))) {
+    if (goog.isDef(this.log_)) {
+      this.log_.warn('Invalid value "' + value + '" for the "' + key +
+          '" param, using the default value.');
+    }
+    return definition.defaultValue;
+  }
+  return parsed;
+};
+
+
+/**
+ * Update declared params from typed values. `undefined` values delete the
+ * params.
+ * @param {Object.<string, *>} params Typed params.
+ */
+ngeo.Location.prototype.updateTypedParams = function(params) {
+  var /** @type {Object.<string, string>} */ encodedParams = {};
+  goog.object.forEach(params, function(value, key) {
+    var definition = this.paramDefinitions_[key];
+    goog.asserts.assert(goog.isDef(definition),
+        'param ' + key + ' is not declared');
+    if (goog.isDef(value)) {
+      encodedParams[key] = goog.isArray(value) ?
+          value.join(',') : String(value);
+    } else {
+      this.deleteParam(key);
+    }
+  }, this);
+  this.updateParams(encodedParams);
+};
+
+
+/**
+ * @param {string} value Param value.
+ * @param {ngeox.LocationParamDefinition} definition Param definition.
+ * @return {*} The parsed value, `undefined` if the value is malformed.
+ * @private
+ */
+ngeo.Location.parseParam_ = function(value, definition) {
+  var type = definition.type;
+  if (type == ngeo.LocationParamType.NUMBER) {
+    var number = value.length > 0 ? +value : NaN;
+    return isFinite(number) ? number : undefined;
+  } else if (type == ngeo.LocationParamType.BOOLEAN) {
+    if (value == 'true' || value == '1') {
+      return true;
+    } else if (value == 'false' || value == '0') {
+      return false;
+    }
+    return undefined;
+  } else if (type == ngeo.LocationParamType.LIST) {
+    return value.length > 0 ? value.split(',') : [];
+  } else if (type == ngeo.LocationParamType.ENUM) {
+    goog.asserts.assert(goog.isDef(definition.values));
+    return goog.array.contains(definition.values, value) ? value : undefined;
+  } else if (type == ngeo.LocationParamType.COORDINATE) {
+    var parts = value.split(',');
+    if (parts.length == 2 && parts[0].length > 0 && parts[1].length > 0) {
+      var coordinate = [+parts[0], +parts[1]];
+      if (isFinite(coordinate[0]) && isFinite(coordinate[1])) {
+        return coordinate;
+      }
+    }
+    return undefined;
+  }
+  goog.asserts.fail('unknown param type ' + type);
+  return undefined;
 };
 
 
@@ -116,10 +443,11 @@ ngeo.Location.prototype.getParamKeys = function() {
  * @param {Object.<string, string>} params
  */
 ngeo.Location.prototype.updateParams = function(params) {
-  var qd = this.uri_.getQueryData();
+  var qd = this.getParamsData_();
   goog.object.forEach(params, function(val, key) {
     qd.set(key, val);
   });
+  this.writeFragment_();
 };
 
 
@@ -127,14 +455,32 @@ ngeo.Location.prototype.updateParams = function(params) {
  * @param {string} key Param key.
  */
 ngeo.Location.prototype.deleteParam = function(key) {
-  this.uri_.getQueryData().remove(key);
+  this.getParamsData_().remove(key);
+  this.writeFragment_();
 };
 
 
 /**
+ * Write the location's URI in the browser history. A new history entry is
+ * created in "push" mode.
  */
 ngeo.Location.prototype.refresh = function() {
-  this.history_.replaceState(null, '', this.getUriString());
+  if (this.historyMode_ == ngeo.LocationHistoryMode.PUSH) {
+    this.history_.pushState(null, '', this.getUriString());
+  } else {
+    this.history_.replaceState(null, '', this.getUriString());
+  }
+};
+
+
+/**
+ * Set the location's URI from the browser location, for example after the
+ * user navigated the history.
+ * @param {Location} location Location.
+ */
+ngeo.Location.prototype.setUri = function(location) {
+  this.uri_ = goog.Uri.parse(location);
+  this.readFragment_(location);
 };
 
 
@@ -152,27 +498,68 @@ ngeo.Location.prototype.setPath = function(path) {
  *
  * @param {angular.Scope} $rootScope The root scope.
  * @param {angular.$window} $window Angular window service.
+ * @param {angular.$log} $log Angular log service.
+ * @param {ngeo.Debounce} ngeoDebounce ngeo Debounce service.
+ * @param {ngeo.LocationStorage} ngeoLocationStorage Where the params are
+ *     stored.
  * @return {ngeo.Location} The ngeo location service.
  * @ngInject
  */
-ngeo.LocationFactory = function($rootScope, $window) {
+ngeo.LocationFactory = function($rootScope, $window, $log, ngeoDebounce,
+    ngeoLocationStorage) {
   var history = $window.history;
-  var service = new ngeo.Location($window.location, $window.history);
+  var service = new ngeo.Location($window.location, $window.history, $log,
+      ngeoLocationStorage);
 
   var lastUri = service.getUriString();
+
+  // in push mode only the first change after a settled URL creates a new
+  // history entry, the following changes replace that entry
+  var settled = true;
+  var settle = ngeoDebounce(function() {
+    settled = true;
+  }, ngeo.Location.SETTLE_DELAY, /* invokeApply */ false);
+
   $rootScope.$watch(function() {
     var newUri = service.getUriString();
     if (lastUri !== newUri) {
       $rootScope.$evalAsync(function() {
         lastUri = newUri;
-        if (goog.isDef(history) && goog.isDef(history.replaceState)) {
-          history.replaceState(null, '', newUri);
+        if (goog.isDef(history)) {
+          if (service.getHistoryMode() == ngeo.LocationHistoryMode.PUSH &&
+              settled && goog.isDef(history.pushState)) {
+            history.pushState(null, '', newUri);
+          } else if (goog.isDef(history.replaceState)) {
+            history.replaceState(null, '', newUri);
+          }
         }
+        settled = false;
+        settle();
         $rootScope.$broadcast('ngeoLocationChange');
       });
     }
   });
 
+  if (goog.isDef($window.addEventListener)) {
+    var handleHistoryChange = function() {
+      $rootScope.$apply(function() {
+        service.setUri($window.location);
+        var newUri = service.getUriString();
+        // browsers may fire both "popstate" and "hashchange"
+        if (lastUri !== newUri) {
+          lastUri = newUri;
+          settled = true;
+          $rootScope.$broadcast('ngeoLocationChange', true);
+        }
+      });
+    };
+    $window.addEventListener('popstate', handleHistoryChange);
+    if (ngeoLocationStorage == ngeo.LocationStorage.FRAGMENT) {
+      // the user may edit the fragment in the address bar
+      $window.addEventListener('hashchange', handleHistoryChange);
+    }
+  }
+
   return service;
 };
 
@@ -182,8 +569,10 @@ ngeoModule.factory('ngeoLocation', ngeo.LocationFactory);
 
 /**
  * A function that changes Angular's $location provider to avoid problem
- * when both ngeoLocation and $location are used in an application. This
- * is how you can use that function in an application:
+ * when both ngeoLocation and $location are used in an application. It is
+ * required when the params are stored in the fragment, as $location would
+ * otherwise rewrite the fragment. This is how you can use that function in an
+ * application:
  *
  * app.module.config(ngeo.mockLocationProvider);
  *
@@ -0,0 +1,524 @@
+/**
+ * @fileoverview Provides a service that keeps the state of a map in the URL
+ * (using the ngeoLocation service), and restores that state when the
+ * application is loaded.
+ *
+ * The following state is stored:
+ *
+ * - the view center, zoom and rotation ("map_x", "map_y", "map_zoom" and
+ *   "map_rotation" params),
+ * - the background layer ("map_bg" param),
+ * - the visibility ("map_layers" param) and opacity ("map_opacity_<name>"
+ *   params) of the map layers,
+ * - the drawn features, encoded with ngeo.format.FeatureHash
+ *   ("map_features" param).
+ *
+ * Layers are identified by their "name" property, layers without a name are
+ * ignored. The layers added to the map after `init` (for example by a layer
+ * tree) get the state found in the URL when they are added.
+ *
+ * Example:
+ *
+ * ngeoPermalink.init(map, {
+ *   backgroundLayers: backgroundLayers,
+ *   featureSource: drawSource
+ * });
+ *
+ * Applications can register their own state keys:
+ *
+ * ngeoPermalink.registerState('theme', function() {
+ *   return theme.name;
+ * }, function(value) {
+ *   setTheme(value);
+ * });
+ *
+ * The service cannot observe application states, so applications call
+ * `ngeoPermalink.update()` when one of their states changes.
+ *
+ * When the user navigates the browser history (see the ngeoLocation "push"
+ * history mode) the map state and the registered states are restored from
+ * the new URL.
+ */
+
+goog.provide('ngeo.Permalink');
+
+goog.require('goog.array');
+goog.require('goog.asserts');
+goog.require('goog.object');
+goog.require('goog.string');
+goog.require('ngeo');
+goog.require('ngeo.BackgroundEventType');
+goog.require('ngeo.BackgroundLayerMgr');
+goog.require('ngeo.Debounce');
+goog.require('ngeo.Location');
+goog.require('ngeo.LocationParamType');
+goog.require('ngeo.format.FeatureHash');
+goog.require('ol.layer.Group');
+
+
+/**
+ * @typedef {{
+ *   getter: function(): (string|undefined),
+ *   setter: function(string)
+ * }}
+ */
+ngeo.PermalinkState;
+
+
+
+/**
+ * @constructor
+ * @param {angular.Scope} $rootScope The root scope.
+ * @param {angular.$log} $log Angular log service.
+ * @param {ngeo.Location} ngeoLocation ngeo Location service.
+ * @param {ngeo.BackgroundLayerMgr} ngeoBackgroundLayerMgr Background layer
+ *     manager.
+ * @param {ngeo.Debounce} ngeoDebounce ngeo Debounce service.
+ * @ngInject
+ */
+ngeo.Permalink = function($rootScope, $log, ngeoLocation,
+    ngeoBackgroundLayerMgr, ngeoDebounce) {
+
+  /**
+   * @type {angular.Scope}
+   * @private
+   */
+  this.$rootScope_ = $rootScope;
+
+  /**
+   * @type {angular.$log}
+   * @private
+   */
+  this.$log_ = $log;
+
+  /**
+   * @type {ngeo.Location}
+   * @private
+   */
+  this.ngeoLocation_ = ngeoLocation;
+
+  ngeoLocation.declareParams({
+    'map_x': {type: ngeo.LocationParamType.NUMBER},
+    'map_y': {type: ngeo.LocationParamType.NUMBER},
+    'map_zoom': {type: ngeo.LocationParamType.NUMBER},
+    'map_rotation': {type: ngeo.LocationParamType.NUMBER},
+    'map_layers': {type: ngeo.LocationParamType.LIST}
+  });
+
+  /**
+   * @type {ngeo.BackgroundLayerMgr}
+   * @private
+   */
+  this.ngeoBackgroundLayerMgr_ = ngeoBackgroundLayerMgr;
+
+  /**
+   * @type {ol.Map}
+   * @private
+   */
+  this.map_ = null;
+
+  /**
+   * @type {Array.<ol.layer.Base>}
+   * @private
+   */
+  this.backgroundLayers_ = [];
+
+  /**
+   * @type {ol.source.Vector}
+   * @private
+   */
+  this.featureSource_ = null;
+
+  /**
+   * @type {ngeo.format.FeatureHash}
+   * @private
+   */
+  this.featureHash_ = null;
+
+  /**
+   * Names of the layers listed in the "map_layers" param that are not in
+   * the map yet.
+   * @type {Array.<string>}
+   * @private
+   */
+  this.pendingVisibleLayers_ = [];
+
+  /**
+   * Opacities read from the "map_opacity_<name>" params for the layers that
+   * are not in the map yet, by layer name.
+   * @type {Object.<string, number>}
+   * @private
+   */
+  this.pendingOpacities_ = {};
+
+  /**
+   * @type {Object.<string, ngeo.PermalinkState>}
+   * @private
+   */
+  this.states_ = {};
+
+  /**
+   * Whether the state is being restored from the URL. The URL is not
+   * written while it is.
+   * @type {boolean}
+   * @private
+   */
+  this.restoring_ = false;
+
+  /**
+   * Debounced version of `write_`.
+   * @type {function()}
+   * @private
+   */
+  this.debouncedWrite_ = ngeoDebounce(
+      goog.bind(this.write_, this), 300, /* invokeApply */ true);
+};
+
+
+/**
+ * @const
+ * @private
+ */
+ngeo.Permalink.OPACITY_PREFIX_ = 'map_opacity_';
+
+
+/**
+ * Initialize the service with a map. The state found in the URL is applied
+ * to the map, and the URL is then updated when the map changes.
+ * @param {ol.Map} map Map.
+ * @param {ngeox.PermalinkOptions=} opt_options Options.
+ */
+ngeo.Permalink.prototype.init = function(map, opt_options) {
+  goog.asserts.assert(goog.isNull(this.map_));
+  var options = goog.isDef(opt_options) ? opt_options : {};
+
+  this.map_ = map;
+
+  this.featureSource_ = goog.isDef(options.featureSource) ?
+      options.featureSource : null;
+
+  this.featureHash_ = goog.isDef(options.featureHash) ?
+      options.featureHash : new ngeo.format.FeatureHash();
+
+  this.backgroundLayers_ = goog.isDef(options.backgroundLayers) ?
+      options.backgroundLayers : [];
+
+  this.readView_();
+  this.readBackgroundLayer_();
+  this.readLayers_();
+  this.readFeatures_();
+
+  var view = map.getView();
+  goog.asserts.assert(!goog.isNull(view));
+  view.on('propertychange', this.update, this);
+  map.getLayerGroup().on('change', this.handleLayerGroupChange_, this);
+  this.ngeoBackgroundLayerMgr_.on(
+      ngeo.BackgroundEventType.CHANGE, this.update, this);
+  if (!goog.isNull(this.featureSource_)) {
+    this.featureSource_.on('change', this.update, this);
+  }
+
+  this.$rootScope_.$on('ngeoLocationChange', goog.bind(
+      /**
+       * @param {angular.Scope.Event} event Event.
+       * @param {boolean=} opt_fromHistory The change comes from the history.
+       */
+      function(event, opt_fromHistory) {
+        if (opt_fromHistory) {
+          // the URL already has the restored state, writing it would add a
+          // history entry
+          this.restoring_ = true;
+          try {
+            this.readView_();
+            this.readBackgroundLayer_();
+            this.readLayers_();
+            if (!goog.isNull(this.featureSource_)) {
+              this.featureSource_.clear();
+            }
+            this.readFeatures_();
+            this.readStates_();
+          } finally {
+            this.restoring_ = false;
+          }
+        }
+      }, this));
+};
+
+
+/**
+ * Register an application state. If the URL has a param for that state the
+ * setter is called with its value.
+ * @param {string} key Param key.
+ * @param {function(): (string|undefined)} getter Function returning the
+ *     current value of the state, `undefined` removes the param.
+ * @param {function(string)} setter Function applying a value read from the
+ *     URL.
+ */
+ngeo.Permalink.prototype.registerState = function(key, getter, setter) {
+  goog.asserts.assert(!(key in this.states_));
+  this.states_[key] = {
+    getter: getter,
+    setter: setter
+  };
+  var value = this.ngeoLocation_.getParam(key);
+  if (goog.isDef(value)) {
+    setter(value);
+  }
+};
+
+
+/**
+ * Schedule an update of the URL. To be called when a registered state
+ * changes. Nothing is written while the state is restored from the URL.
+ */
+ngeo.Permalink.prototype.update = function() {
+  if (!this.restoring_) {
+    this.debouncedWrite_();
+  }
+};
+
+
+/**
+ * @private
+ */
+ngeo.Permalink.prototype.readView_ = function() {
+  var view = this.map_.getView();
+  var x = this.ngeoLocation_.getTypedParam('map_x');
+  var y = this.ngeoLocation_.getTypedParam('map_y');
+  var zoom = this.ngeoLocation_.getTypedParam('map_zoom');
+  var rotation = this.ngeoLocation_.getTypedParam('map_rotation');
+
+  if (goog.isDef(x) && goog.isDef(y)) {
+    view.setCenter([/** @type {number} */ (x), /** @type {number} */ (y)]);
+  }
+  if (goog.isDef(zoom)) {
+    view.setZoom(/** @type {number} */ (zoom));
+  }
+  if (goog.isDef(rotation)) {
+    view.setRotation(/** @type {number} */ (rotation));
+  }
+};
+
+
+/**
+ * @private
+ */
+ngeo.Permalink.prototype.readBackgroundLayer_ = function() {
+  var name = this.ngeoLocation_.getParam('map_bg');
+  if (goog.isDef(name)) {
+    var layer = goog.array.find(this.backgroundLayers_, function(layer) {
+      return layer.get('name') === name;
+    });
+    if (!goog.isNull(layer) &&
+        layer !== this.ngeoBackgroundLayerMgr_.get(this.map_)) {
+      this.ngeoBackgroundLayerMgr_.set(this.map_, layer);
+    }
+  }
+};
+
+
+/**
+ * Read the state of the layers from the URL. The layers that are not in the
+ * map yet get their state when they are added (for example by a layer
+ * tree), until then their state is kept in the URL.
+ * @private
+ */
+ngeo.Permalink.prototype.readLayers_ = function() {
+  var visible = /** @type {Array.<string>|undefined} */ (
+      this.ngeoLocation_.getTypedParam('map_layers'));
+  this.pendingVisibleLayers_ = goog.isDef(visible) ?
+      goog.array.clone(visible) : [];
+
+  this.pendingOpacities_ = {};
+  goog.array.forEach(this.ngeoLocation_.getParamKeys(), function(key) {
+    if (goog.string.startsWith(key, ngeo.Permalink.OPACITY_PREFIX_)) {
+      var definitions = {};
+      definitions[key] = {
+        type: ngeo.LocationParamType.NUMBER,
+        validate: function(opacity) {
+          return opacity >= 0 && opacity <= 1;
+        }
+      };
+      this.ngeoLocation_.declareParams(definitions);
+      var opacity = this.ngeoLocation_.getTypedParam(key);
+      if (goog.isDef(opacity)) {
+        var name = key.substring(ngeo.Permalink.OPACITY_PREFIX_.length);
+        this.pendingOpacities_[name] = /** @type {number} */ (opacity);
+      }
+    }
+  }, this);
+
+  if (goog.isDef(visible)) {
+    goog.array.forEach(this.getLayers_(), function(layer) {
+      if (!goog.array.contains(visible, layer.get('name'))) {
+        layer.setVisible(false);
+      }
+    });
+  }
+  this.applyPendingLayerStates_();
+};
+
+
+/**
+ * Apply the pending states to the layers of the map.
+ * @private
+ */
+ngeo.Permalink.prototype.applyPendingLayerStates_ = function() {
+  goog.array.forEach(this.getLayers_(), function(layer) {
+    var name = /** @type {string} */ (layer.get('name'));
+    // the pending states are removed before they are applied, as applying
+    // them changes the layer group again
+    if (goog.array.remove(this.pendingVisibleLayers_, name)) {
+      layer.setVisible(true);
+    }
+    if (name in this.pendingOpacities_) {
+      var opacity = this.pendingOpacities_[name];
+      delete this.pendingOpacities_[name];
+      layer.setOpacity(opacity);
+    }
+  }, this);
+};
+
+
+/**
+ * @private
+ */
+ngeo.Permalink.prototype.handleLayerGroupChange_ = function() {
+  this.applyPendingLayerStates_();
+  this.update();
+};
+
+
+/**
+ * Call the setters of the registered states found in the URL.
+ * @private
+ */
+ngeo.Permalink.prototype.readStates_ = function() {
+  goog.object.forEach(this.states_, function(state, key) {
+    var value = this.ngeoLocation_.getParam(key);
+    if (goog.isDef(value)) {
+      state.setter(value);
+    }
+  }, this);
+};
+
+
+/**
+ * The features of a malformed "map_features" param, or of a param written
+ * by a newer version of the format, are ignored.
+ * @private
+ */
+ngeo.Permalink.prototype.readFeatures_ = function() {
+  var encodedFeatures = this.ngeoLocation_.getParam('map_features');
+  if (!goog.isNull(this.featureSource_) && goog.isDef(encodedFeatures)) {
+    var features;
+    try {
+      features = this.featureHash_.readFeatures(encodedFeatures);
+    } catch (e) {
+      this.$log_.warn('Cannot read the "map_features" param: ' + e.message);
+      return;
+    }
+    this.featureSource_.addFeatures(features);
+  }
+};
+
+
+/**
+ * Get the named layers of the map, without the background layer.
+ * @return {Array.<ol.layer.Layer>} Layers.
+ * @private
+ */
+ngeo.Permalink.prototype.getLayers_ = function() {
+  var background = this.ngeoBackgroundLayerMgr_.get(this.map_);
+  var layers = [];
+  var collect = function(group) {
+    group.getLayers().forEach(function(layer) {
+      if (layer === background) {
+        return;
+      }
+      if (layer instanceof ol.layer.Group) {
+        collect(layer);
+      } else if (goog.isDef(layer.get('name'))) {
+        layers.push(layer);
+      }
+    });
+  };
+  collect(this.map_.getLayerGroup());
+  return layers;
+};
+
+
+/**
+ * Write the state of the map and the registered states in the URL.
+ * @private
+ */
+ngeo.Permalink.prototype.write_ = function() {
+  var view = this.map_.getView();
+  var center = view.getCenter();
+
+  var /** @type {Object.<string, string>} */ params = {};
+
+  if (goog.isDef(center)) {
+    params['map_x'] = Math.round(center[0]) + '';
+    params['map_y'] = Math.round(center[1]) + '';
+  }
+  // the zoom is undefined if the resolution is not a zoom level
+  var zoom = view.getZoom();
+  if (goog.isDef(zoom)) {
+    params['map_zoom'] = zoom + '';
+  } else {
+    this.ngeoLocation_.deleteParam('map_zoom');
+  }
+  params['map_rotation'] = view.getRotation() + '';
+
+  var background = this.ngeoBackgroundLayerMgr_.get(this.map_);
+  if (!goog.isNull(background) && goog.isDef(background.get('name'))) {
+    params['map_bg'] = /** @type {string} */ (background.get('name'));
+  } else {
+    this.ngeoLocation_.deleteParam('map_bg');
+  }
+
+  var visible = [];
+  goog.array.forEach(this.getLayers_(), function(layer) {
+    var name = /** @type {string} */ (layer.get('name'));
+    if (layer.getVisible()) {
+      visible.push(name);
+    }
+    var key = ngeo.Permalink.OPACITY_PREFIX_ + name;
+    var opacity = layer.getOpacity();
+    if (opacity !== 1) {
+      params[key] = (Math.round(opacity * 100) / 100) + '';
+    } else {
+      this.ngeoLocation_.deleteParam(key);
+    }
+  }, this);
+  // keep the state of the layers that are not in the map yet
+  goog.array.extend(visible, this.pendingVisibleLayers_);
+  goog.object.forEach(this.pendingOpacities_, function(opacity, name) {
+    params[ngeo.Permalink.OPACITY_PREFIX_ + name] = opacity + '';
+  });
+  params['map_layers'] = visible.join(',');
+
+  if (!goog.isNull(this.featureSource_)) {
+    var features = this.featureSource_.getFeatures();
+    if (features.length > 0) {
+      params['map_features'] = this.featureHash_.writeFeatures(features);
+    } else {
+      this.ngeoLocation_.deleteParam('map_features');
+    }
+  }
+
+  goog.object.forEach(this.states_, function(state, key) {
+    var value = state.getter();
+    if (goog.isDef(value)) {
+      params[key] = value;
+    } else {
+      this.ngeoLocation_.deleteParam(key);
+    }
+  }, this);
+
+  this.ngeoLocation_.updateParams(params);
+};
+
+
+ngeoModule.service('ngeoPermalink', ngeo.Permalink);
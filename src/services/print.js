@@ -5,6 +5,7 @@
  * ngeo.Print objects expose the following methods:
  *
  * - createSpec: create a report specification object
+ * - createAtlasSpec: create the specification of a multi-page report
  * - createReport: send a create report request
  * - getStatus: get the status of a report
  * - getReportUrl: get the URL of a report
@@ -24,35 +25,58 @@
  * TODO and limitations:
  *
  * - createSpec should also accept a bbox instead of a center and a scale.
- * - Add support for ol.style.RegularShape. MapFish Print supports symbols
- *   like crosses, stars and squares, so printing regular shapes should be
- *   possible.
+ * - ol.style.RegularShape are printed with the closest MapFish Print symbol
+ *   (circle, square, triangle, star or cross). Polygons with more than four
+ *   points are printed as circles.
  * - ol.style.Icon may use a sprite image, and offsets to define to rectangle
  *   to use within the sprite. This type of icons won't be printed correctly
  *   as MapFish Print does not support sprite icons.
+ * - Vector features are only clipped to the print extent when it is given to
+ *   createSpec (see ngeox.PrintVectorOptions). Geometry collections are not
+ *   clipped.
  */
 
 goog.provide('ngeo.CreatePrint');
 goog.provide('ngeo.Print');
 
+goog.require('goog.array');
 goog.require('goog.color');
+goog.require('goog.dom');
+goog.require('goog.dom.TagName');
 goog.require('goog.math');
 goog.require('goog.object');
+goog.require('goog.uri.utils');
 goog.require('ngeo');
+goog.require('ngeo.PrintFrame');
+goog.require('ol.Feature');
 goog.require('ol.color');
+goog.require('ol.extent');
 goog.require('ol.format.GeoJSON');
 goog.require('ol.geom.GeometryType');
+goog.require('ol.geom.LineString');
+goog.require('ol.geom.MultiLineString');
+goog.require('ol.geom.MultiPoint');
+goog.require('ol.geom.MultiPolygon');
+goog.require('ol.geom.Point');
+goog.require('ol.geom.Polygon');
+goog.require('ol.layer.Group');
 goog.require('ol.layer.Image');
+goog.require('ol.layer.Layer');
 goog.require('ol.layer.Tile');
 goog.require('ol.layer.Vector');
+goog.require('ol.render');
 goog.require('ol.size');
+goog.require('ol.source.ImageStatic');
 goog.require('ol.source.ImageWMS');
 goog.require('ol.source.TileWMS');
 goog.require('ol.source.Vector');
 goog.require('ol.source.WMTS');
+goog.require('ol.source.XYZ');
 goog.require('ol.style.Circle');
 goog.require('ol.style.Fill');
+goog.require('ol.style.Icon');
 goog.require('ol.style.Image');
+goog.require('ol.style.RegularShape');
 goog.require('ol.style.Stroke');
 goog.require('ol.style.Style');
 goog.require('ol.style.Text');
@@ -123,6 +147,31 @@ ngeo.Print = function(url, $http) {
 ngeo.Print.FEAT_STYLE_PROP_PREFIX_ = '_ngeo_style_';
 
 
+/**
+ * Size in pixels of the swatches of the vector styles in the legend.
+ * @const
+ * @private
+ */
+ngeo.Print.LEGEND_SWATCH_SIZE_ = 20;
+
+
+/**
+ * The extent vector features are clipped to is the print extent buffered by
+ * this fraction of its size, so that the edges created by the clipping and
+ * the symbols of the features close to the frame stay off the paper.
+ * @const
+ * @private
+ */
+ngeo.Print.CLIP_BUFFER_RATIO_ = 0.1;
+
+
+/**
+ * @const
+ * @private
+ */
+ngeo.Print.INCHES_PER_METER_ = 39.37;
+
+
 /**
  * Cancel a report.
  * @param {string} ref Print report reference.
@@ -145,22 +194,38 @@ ngeo.Print.prototype.cancel = function(ref, opt_httpConfig) {
  * @param {number} dpi DPI.
  * @param {string} layout Layout.
  * @param {Object.<string, *>} customAttributes Custom attributes.
+ * @param {number=} opt_rotation Rotation of the print frame in degrees,
+ *     clockwise, relative to the map view (see
+ *     `ngeo.PrintUtils#createPrintMaskPostcompose`). Default is `0`.
+ * @param {ngeox.PrintLegendOptions=} opt_legendOptions Legend options. If
+ *     set, a legend attribute is built from the printed layers.
+ * @param {ngeox.PrintVectorOptions=} opt_vectorOptions Options for the
+ *     encoding of the vector layers.
  * @return {MapFishPrintSpec} The print spec.
  */
 ngeo.Print.prototype.createSpec = function(
-    map, scale, dpi, layout, customAttributes) {
+    map, scale, dpi, layout, customAttributes, opt_rotation,
+    opt_legendOptions, opt_vectorOptions) {
 
   var specMap = /** @type {MapFishPrintMap} */ ({
     dpi: dpi
   });
 
-  this.encodeMap_(map, scale, specMap);
+  var rotation = goog.isDef(opt_rotation) ? opt_rotation : 0;
+
+  this.encodeMap_(map, scale, rotation, specMap, opt_vectorOptions);
 
   var attributes = /** @type {MapFishPrintAttributes} */ ({
     map: specMap
   });
   goog.object.extend(attributes, customAttributes);
 
+  if (goog.isDef(opt_legendOptions)) {
+    var attributeName = goog.isDef(opt_legendOptions.attributeName) ?
+        opt_legendOptions.attributeName : 'legend';
+    attributes[attributeName] = this.encodeLegend_(map, opt_legendOptions);
+  }
+
   var spec = /** @type {MapFishPrintSpec} */ ({
     attributes: attributes,
     layout: layout
@@ -171,12 +236,59 @@ ngeo.Print.prototype.createSpec = function(
 
 
 /**
+ * Create the specification of a multi-page report, with one page per frame
+ * (see `ngeo.PrintUtils#splitExtent` and `ngeo.PrintUtils#splitLineString`).
+ * The pages are given to MapFish Print as the rows of a "datasource"
+ * attribute, each row having its own "map" attribute.
  * @param {ol.Map} map Map.
+ * @param {Array.<ngeo.PrintFrame>} frames Page frames.
  * @param {number} scale Scale.
+ * @param {number} dpi DPI.
+ * @param {string} layout Layout.
+ * @param {Object.<string, *>} customAttributes Custom attributes.
+ * @param {string=} opt_datasourceName Name of the datasource attribute in
+ *     the layout. Default is `datasource`.
+ * @return {MapFishPrintSpec} The print spec.
+ */
+ngeo.Print.prototype.createAtlasSpec = function(
+    map, frames, scale, dpi, layout, customAttributes, opt_datasourceName) {
+
+  var specMap = /** @type {MapFishPrintMap} */ ({
+    dpi: dpi
+  });
+
+  // the layers are the same on every page, so they are only encoded once
+  this.encodeMap_(map, scale, 0, specMap);
+
+  var pages = goog.array.map(frames, function(frame) {
+    var pageMap = /** @type {MapFishPrintMap} */ (goog.object.clone(specMap));
+    pageMap.center = frame.center;
+    pageMap.rotation = frame.rotation;
+    return {'map': pageMap};
+  });
+
+  var attributes = /** @type {MapFishPrintAttributes} */ ({});
+  attributes[goog.isDef(opt_datasourceName) ?
+      opt_datasourceName : 'datasource'] = pages;
+  goog.object.extend(attributes, customAttributes);
+
+  return /** @type {MapFishPrintSpec} */ ({
+    attributes: attributes,
+    layout: layout
+  });
+};
+
+
+/**
+ * @param {ol.Map} map Map.
+ * @param {number} scale Scale.
+ * @param {number} rotation Rotation of the print frame in degrees.
  * @param {MapFishPrintMap} object Object.
+ * @param {ngeox.PrintVectorOptions=} opt_vectorOptions Vector options.
  * @private
  */
-ngeo.Print.prototype.encodeMap_ = function(map, scale, object) {
+ngeo.Print.prototype.encodeMap_ = function(
+    map, scale, rotation, object, opt_vectorOptions) {
   var view = map.getView();
   var viewCenter = view.getCenter();
   var viewProjection = view.getProjection();
@@ -188,26 +300,139 @@ ngeo.Print.prototype.encodeMap_ = function(map, scale, object) {
 
   object.center = viewCenter;
   object.projection = viewProjection.getCode();
-  object.rotation = viewRotation * 180 / Math.PI;
+  // seen from the rotated frame, the map is rotated the other way
+  object.rotation = viewRotation * 180 / Math.PI - rotation;
   object.scale = scale;
   object.layers = [];
 
-  var layersCollection = map.getLayers();
-  goog.asserts.assert(!goog.isNull(layersCollection));
-  var layers = layersCollection.getArray().slice().reverse();
+  var vectorOptions = goog.isDef(opt_vectorOptions) ? opt_vectorOptions : {};
+  var clipExtent;
+  if (goog.isDef(vectorOptions.extent)) {
+    var extent = vectorOptions.extent;
+    clipExtent = ol.extent.buffer(extent, ngeo.Print.CLIP_BUFFER_RATIO_ *
+        Math.max(ol.extent.getWidth(extent), ol.extent.getHeight(extent)));
+  }
+  // the size of a dot on the paper, in map units
+  var tolerance = vectorOptions.simplify === true ?
+      scale / (ngeo.Print.INCHES_PER_METER_ * object.dpi) : undefined;
+
+  goog.asserts.assert(goog.isDef(viewResolution));
 
-  goog.array.forEach(layers,
+  var layerStates = ngeo.Print.getLayerStates_(map);
+  goog.array.forEach(layerStates,
       /**
-       * @param {ol.layer.Layer} layer Layer.
-       * @param {number} idx Index.
-       * @param {Array.<ol.layer.Layer>} layers Layers.
+       * @param {ngeo.Print.LayerState_} layerState Layer state.
        */
-      function(layer, idx, layers) {
-        if (layer.getVisible()) {
-          goog.asserts.assert(goog.isDef(viewResolution));
-          this.encodeLayer(object.layers, layer, viewResolution);
+      function(layerState) {
+        var length = object.layers.length;
+        this.encodeLayer(object.layers, layerState.layer, viewResolution,
+            clipExtent, tolerance);
+        for (var i = length, ii = object.layers.length; i < ii; ++i) {
+          object.layers[i].opacity *= layerState.opacity;
         }
       }, this);
+
+  object.layers = ngeo.Print.mergeWmsLayers_(object.layers);
+};
+
+
+/**
+ * A layer to print, with the opacity of the groups it belongs to.
+ * @typedef {{layer: ol.layer.Layer, opacity: number}}
+ * @private
+ */
+ngeo.Print.LayerState_;
+
+
+/**
+ * Get the visible layers of a map, from the top to the bottom. The layer
+ * groups are flattened: the layers of invisible groups are ignored, and the
+ * opacity of the groups is multiplied.
+ * @param {ol.Map} map Map.
+ * @return {Array.<ngeo.Print.LayerState_>} Layer states.
+ * @private
+ */
+ngeo.Print.getLayerStates_ = function(map) {
+  var /** @type {Array.<ngeo.Print.LayerState_>} */ layerStates = [];
+  /**
+   * @param {ol.layer.Group} group Layer group.
+   * @param {number} opacity Opacity of the group.
+   */
+  var collect = function(group, opacity) {
+    var layers = group.getLayers().getArray();
+    for (var i = layers.length - 1; i >= 0; --i) {
+      var layer = layers[i];
+      if (!layer.getVisible()) {
+        continue;
+      }
+      if (layer instanceof ol.layer.Group) {
+        collect(layer, opacity * layer.getOpacity());
+      } else {
+        goog.asserts.assertInstanceof(layer, ol.layer.Layer);
+        layerStates.push({layer: layer, opacity: opacity});
+      }
+    }
+  };
+  collect(map.getLayerGroup(), 1);
+  return layerStates;
+};
+
+
+/**
+ * Merge the adjacent WMS layers that can be requested together, to reduce
+ * the number of requests sent to the WMS servers.
+ * @param {Array.<MapFishPrintLayer>} layers Layers, from the top to the
+ *     bottom.
+ * @return {Array.<MapFishPrintLayer>} Merged layers.
+ * @private
+ */
+ngeo.Print.mergeWmsLayers_ = function(layers) {
+  var /** @type {Array.<MapFishPrintLayer>} */ merged = [];
+  goog.array.forEach(layers, function(layer) {
+    var previous = merged.length > 0 ? merged[merged.length - 1] : null;
+    if (!goog.isNull(previous) &&
+        ngeo.Print.canMergeWmsLayers_(previous, layer)) {
+      var above = /** @type {MapFishPrintWmsLayer} */ (previous);
+      var below = /** @type {MapFishPrintWmsLayer} */ (layer);
+      // WMS layers are drawn in the order of the LAYERS param, so the
+      // layers below come first
+      var object = /** @type {MapFishPrintWmsLayer} */ (
+          goog.object.clone(above));
+      object.layers = below.layers.concat(above.layers);
+      merged[merged.length - 1] = object;
+    } else {
+      merged.push(layer);
+    }
+  });
+  return merged;
+};
+
+
+/**
+ * Two WMS layers can be requested together if they come from the same server
+ * and have the same opacity and parameters. Layers with styles are not
+ * merged, as the STYLES param would not match the merged LAYERS param.
+ * @param {MapFishPrintLayer} layer1 Layer.
+ * @param {MapFishPrintLayer} layer2 Layer.
+ * @return {boolean} Whether the layers can be merged.
+ * @private
+ */
+ngeo.Print.canMergeWmsLayers_ = function(layer1, layer2) {
+  if (layer1.type !== 'wms' || layer2.type !== 'wms' ||
+      layer1.opacity !== layer2.opacity) {
+    return false;
+  }
+  var wmsLayer1 = /** @type {MapFishPrintWmsLayer} */ (layer1);
+  var wmsLayer2 = /** @type {MapFishPrintWmsLayer} */ (layer2);
+  var hasStyles = function(wmsLayer) {
+    var styles = wmsLayer.customParams['STYLES'];
+    return goog.isDefAndNotNull(styles) && styles !== '';
+  };
+  return wmsLayer1.baseURL === wmsLayer2.baseURL &&
+      wmsLayer1.imageFormat === wmsLayer2.imageFormat &&
+      wmsLayer1.version === wmsLayer2.version &&
+      !hasStyles(wmsLayer1) && !hasStyles(wmsLayer2) &&
+      goog.object.equals(wmsLayer1.customParams, wmsLayer2.customParams);
 };
 
 
@@ -215,18 +440,202 @@ ngeo.Print.prototype.encodeMap_ = function(map, scale, object) {
  * @param {Array.<MapFishPrintLayer>} arr Array.
  * @param {ol.layer.Base} layer Layer.
  * @param {number} resolution Resolution.
+ * @param {ol.Extent=} opt_clipExtent Extent vector features are clipped to.
+ * @param {number=} opt_tolerance Tolerance used to simplify the geometries
+ *     of the vector features.
  */
-ngeo.Print.prototype.encodeLayer = function(arr, layer, resolution) {
+ngeo.Print.prototype.encodeLayer = function(
+    arr, layer, resolution, opt_clipExtent, opt_tolerance) {
   if (layer instanceof ol.layer.Image) {
     this.encodeImageLayer_(arr, layer);
   } else if (layer instanceof ol.layer.Tile) {
     this.encodeTileLayer_(arr, layer);
   } else if (layer instanceof ol.layer.Vector) {
-    this.encodeVectorLayer_(arr, layer, resolution);
+    this.encodeVectorLayer_(
+        arr, layer, resolution, opt_clipExtent, opt_tolerance);
   }
 };
 
 
+/**
+ * Build the legend of the visible layers of a map, in the order of the
+ * printed layers.
+ * @param {ol.Map} map Map.
+ * @param {ngeox.PrintLegendOptions} options Legend options.
+ * @return {MapFishPrintLegendClass} Legend.
+ * @private
+ */
+ngeo.Print.prototype.encodeLegend_ = function(map, options) {
+  var getLayerName = goog.isDef(options.getLayerName) ?
+      options.getLayerName :
+      /**
+       * @param {ol.layer.Base} layer Layer.
+       * @return {string|undefined} Name.
+       */
+      function(layer) {
+        return /** @type {string|undefined} */ (layer.get('name'));
+      };
+
+  var resolution = map.getView().getResolution();
+  goog.asserts.assert(goog.isDef(resolution));
+
+  var /** @type {Array.<MapFishPrintLegendClass>} */ classes = [];
+  var layerStates = ngeo.Print.getLayerStates_(map);
+  goog.array.forEach(layerStates, function(layerState) {
+    var layer = layerState.layer;
+    var legendClass = this.encodeLayerLegend_(
+        layer, getLayerName(layer), resolution);
+    if (!goog.isNull(legendClass)) {
+      classes.push(legendClass);
+    }
+  }, this);
+
+  return /** @type {MapFishPrintLegendClass} */ ({
+    name: goog.isDef(options.title) ? options.title : '',
+    classes: classes
+  });
+};
+
+
+/**
+ * @param {ol.layer.Base} layer Layer.
+ * @param {string|undefined} name Name of the layer in the legend.
+ * @param {number} resolution Resolution.
+ * @return {MapFishPrintLegendClass} Legend class, `null` if the layer has
+ *     no legend.
+ * @private
+ */
+ngeo.Print.prototype.encodeLayerLegend_ = function(layer, name, resolution) {
+  var source = layer instanceof ol.layer.Layer ? layer.getSource() : null;
+
+  if (source instanceof ol.source.ImageWMS ||
+      source instanceof ol.source.TileWMS) {
+    var url = source instanceof ol.source.ImageWMS ?
+        source.getUrl() : source.getUrls()[0];
+    if (!goog.isDef(url)) {
+      return null;
+    }
+    var wmsLayers = source.getParams()['LAYERS'].split(',');
+    var classes = goog.array.map(wmsLayers, function(wmsLayer) {
+      return /** @type {MapFishPrintLegendClass} */ ({
+        name: wmsLayer,
+        icons: [ngeo.Print.getWmsLegendUrl_(url, wmsLayer)]
+      });
+    });
+    if (classes.length == 1) {
+      if (goog.isDef(name)) {
+        classes[0].name = name;
+      }
+      return classes[0];
+    }
+    return /** @type {MapFishPrintLegendClass} */ ({
+      name: goog.isDef(name) ? name : '',
+      classes: classes
+    });
+  } else if (layer instanceof ol.layer.Vector) {
+    var icons = this.getVectorLegendIcons_(layer, resolution);
+    if (icons.length > 0) {
+      return /** @type {MapFishPrintLegendClass} */ ({
+        name: goog.isDef(name) ? name : '',
+        icons: icons
+      });
+    }
+  }
+
+  return null;
+};
+
+
+/**
+ * @param {string} url URL of the WMS service.
+ * @param {string} layer WMS layer name.
+ * @return {string} GetLegendGraphic URL.
+ * @private
+ */
+ngeo.Print.getWmsLegendUrl_ = function(url, layer) {
+  return ngeo.Print.getAbsoluteUrl_(goog.uri.utils.appendParamsFromMap(url, {
+    'SERVICE': 'WMS',
+    'REQUEST': 'GetLegendGraphic',
+    'VERSION': '1.1.1',
+    'FORMAT': 'image/png',
+    'LAYER': layer
+  }));
+};
+
+
+/**
+ * Get a swatch of each distinct style of the features of a vector layer.
+ * @param {ol.layer.Vector} layer Layer.
+ * @param {number} resolution Resolution.
+ * @return {Array.<string>} Swatches, as data URLs.
+ * @private
+ */
+ngeo.Print.prototype.getVectorLegendIcons_ = function(layer, resolution) {
+  var source = layer.getSource();
+  goog.asserts.assertInstanceof(source, ol.source.Vector);
+
+  var icons = [];
+  var encoded = {};
+  goog.array.forEach(source.getFeatures(), function(feature) {
+    var geometry = feature.getGeometry();
+    if (!goog.isDefAndNotNull(geometry) ||
+        !(geometry.getType() in ngeo.PrintStyleTypes_)) {
+      return;
+    }
+    var styleType = ngeo.PrintStyleTypes_[geometry.getType()];
+    var styles = ngeo.Print.getFeatureStyles_(feature, layer, resolution);
+    if (goog.isNull(styles) || styles.length === 0) {
+      return;
+    }
+    var key = styleType + ':' + goog.array.map(styles, goog.getUid).join(',');
+    if (!(key in encoded)) {
+      encoded[key] = true;
+      icons.push(ngeo.Print.createStyleSwatch_(styles, styleType));
+    }
+  });
+  return icons;
+};
+
+
+/**
+ * @param {Array.<ol.style.Style>} styles Styles.
+ * @param {ngeo.PrintStyleType} styleType The type of geometry to draw.
+ * @return {string} The swatch, as a data URL.
+ * @private
+ */
+ngeo.Print.createStyleSwatch_ = function(styles, styleType) {
+  var size = ngeo.Print.LEGEND_SWATCH_SIZE_;
+  var canvas = /** @type {HTMLCanvasElement} */
+      (goog.dom.createElement(goog.dom.TagName.CANVAS));
+  canvas.width = size;
+  canvas.height = size;
+  var context = /** @type {CanvasRenderingContext2D} */
+      (canvas.getContext('2d'));
+
+  var geometry;
+  if (styleType == ngeo.PrintStyleType.POINT) {
+    geometry = new ol.geom.Point([size / 2, size / 2]);
+  } else if (styleType == ngeo.PrintStyleType.LINE_STRING) {
+    geometry = new ol.geom.LineString([[2, size - 2], [size - 2, 2]]);
+  } else {
+    geometry = new ol.geom.Polygon([[
+      [2, 2], [2, size - 2], [size - 2, size - 2], [size - 2, 2], [2, 2]
+    ]]);
+  }
+  var feature = new ol.Feature(geometry);
+
+  var render = ol.render.toContext(context, {
+    size: [size, size],
+    pixelRatio: 1
+  });
+  goog.array.forEach(styles, function(style) {
+    render.drawFeature(feature, style);
+  });
+
+  return canvas.toDataURL('image/png');
+};
+
+
 /**
  * @param {Array.<MapFishPrintLayer>} arr Array.
  * @param {ol.layer.Image} layer Layer.
@@ -237,10 +646,41 @@ ngeo.Print.prototype.encodeImageLayer_ = function(arr, layer) {
   var source = layer.getSource();
   if (source instanceof ol.source.ImageWMS) {
     this.encodeImageWmsLayer_(arr, layer);
+  } else if (source instanceof ol.source.ImageStatic) {
+    this.encodeImageStaticLayer_(arr, layer);
   }
 };
 
 
+/**
+ * @param {Array.<MapFishPrintLayer>} arr Array.
+ * @param {ol.layer.Image} layer Layer.
+ * @private
+ */
+ngeo.Print.prototype.encodeImageStaticLayer_ = function(arr, layer) {
+  var source = layer.getSource();
+
+  goog.asserts.assertInstanceof(layer, ol.layer.Image);
+  goog.asserts.assertInstanceof(source, ol.source.ImageStatic);
+
+  // the source doesn't expose its URL and extent, but they are the ones of
+  // its image, which is returned for any extent intersecting it
+  var image = source.getImage([-Infinity, -Infinity, Infinity, Infinity],
+      0, 1, source.getProjection());
+  goog.asserts.assert(!goog.isNull(image));
+  var imageElement = image.getImage();
+  goog.asserts.assertInstanceof(imageElement, HTMLImageElement);
+
+  var object = /** @type {MapFishPrintImageLayer} */ ({
+    baseURL: ngeo.Print.getAbsoluteUrl_(imageElement.src),
+    extent: image.getExtent(),
+    opacity: layer.getOpacity(),
+    type: 'image'
+  });
+  arr.push(object);
+};
+
+
 /**
  * @param {Array.<MapFishPrintLayer>} arr Array.
  * @param {ol.layer.Image} layer Layer.
@@ -312,6 +752,8 @@ ngeo.Print.prototype.encodeTileLayer_ = function(arr, layer) {
     this.encodeTileWmtsLayer_(arr, layer);
   } else if (source instanceof ol.source.TileWMS) {
     this.encodeTileWmsLayer_(arr, layer);
+  } else if (source instanceof ol.source.XYZ) {
+    this.encodeTileXyzLayer_(arr, layer);
   }
 };
 
@@ -387,13 +829,50 @@ ngeo.Print.prototype.encodeTileWmsLayer_ = function(arr, layer) {
 };
 
 
+/**
+ * Encode XYZ layers (including OSM layers) as MapFish Print "osm" layers.
+ * @param {Array.<MapFishPrintLayer>} arr Array.
+ * @param {ol.layer.Tile} layer Layer.
+ * @private
+ */
+ngeo.Print.prototype.encodeTileXyzLayer_ = function(arr, layer) {
+  var source = layer.getSource();
+
+  goog.asserts.assertInstanceof(layer, ol.layer.Tile);
+  goog.asserts.assertInstanceof(source, ol.source.XYZ);
+
+  var urls = source.getUrls();
+  goog.asserts.assert(!goog.isNull(urls) && urls.length > 0);
+  var url = urls[0];
+
+  var tileGrid = source.getTileGrid();
+
+  var extension = /\.(\w+)(\?|$)/.exec(url);
+
+  var object = /** @type {MapFishPrintOsmLayer} */ ({
+    baseURL: ngeo.Print.getAbsoluteUrl_(url),
+    imageExtension: !goog.isNull(extension) ? extension[1] : 'png',
+    maxExtent: tileGrid.getExtent(),
+    opacity: layer.getOpacity(),
+    resolutions: tileGrid.getResolutions(),
+    tileSize: ol.size.toSize(tileGrid.getTileSize(0)),
+    type: 'osm'
+  });
+  arr.push(object);
+};
+
+
 /**
  * @param {Array.<MapFishPrintLayer>} arr Array.
  * @param {ol.layer.Vector} layer Layer.
  * @param {number} resolution Resolution.
+ * @param {ol.Extent=} opt_clipExtent Extent the features are clipped to.
+ *     Features outside of it are not encoded.
+ * @param {number=} opt_tolerance Tolerance used to simplify the geometries.
  * @private
  */
-ngeo.Print.prototype.encodeVectorLayer_ = function(arr, layer, resolution) {
+ngeo.Print.prototype.encodeVectorLayer_ = function(
+    arr, layer, resolution, opt_clipExtent, opt_tolerance) {
   var source = layer.getSource();
   goog.asserts.assertInstanceof(source, ol.source.Vector);
 
@@ -415,19 +894,25 @@ ngeo.Print.prototype.encodeVectorLayer_ = function(arr, layer, resolution) {
       continue;
     }
 
+    var originalGeometry = geometry;
+    if (goog.isDef(opt_clipExtent)) {
+      geometry = ngeo.Print.clipGeometry_(geometry, opt_clipExtent);
+      // no need to encode features outside of the print extent
+      if (goog.isNull(geometry)) {
+        continue;
+      }
+    }
+    if (goog.isDef(opt_tolerance)) {
+      geometry = geometry.simplify(opt_tolerance);
+    }
+
     var geometryType = geometry.getType();
     var geojsonFeature = geojsonFormat.writeFeatureObject(feature);
-
-    var styles = null;
-    var styleFunction = feature.getStyleFunction();
-    if (goog.isDef(styleFunction)) {
-      styles = styleFunction.call(feature, resolution);
-    } else {
-      styleFunction = layer.getStyleFunction();
-      if (goog.isDef(styleFunction)) {
-        styles = styleFunction.call(layer, feature, resolution);
-      }
+    if (geometry !== originalGeometry) {
+      geojsonFeature.geometry = geojsonFormat.writeGeometryObject(geometry);
     }
+
+    var styles = ngeo.Print.getFeatureStyles_(feature, layer, resolution);
     if (!goog.isNull(styles) && styles.length > 0) {
       geojsonFeatures.push(geojsonFeature);
       if (goog.isNull(geojsonFeature.properties)) {
@@ -465,6 +950,232 @@ ngeo.Print.prototype.encodeVectorLayer_ = function(arr, layer, resolution) {
 };
 
 
+/**
+ * Clip a geometry to an extent. Lines are cut where they leave the extent,
+ * and polygon rings are clipped with the Sutherland-Hodgman algorithm.
+ * @param {ol.geom.Geometry} geometry Geometry.
+ * @param {ol.Extent} extent Extent.
+ * @return {ol.geom.Geometry} The clipped geometry, the geometry itself if it
+ *     is inside the extent, or `null` if it is outside of the extent.
+ * @private
+ */
+ngeo.Print.clipGeometry_ = function(geometry, extent) {
+  var geometryExtent = geometry.getExtent();
+  if (!ol.extent.intersects(extent, geometryExtent)) {
+    return null;
+  }
+  if (ol.extent.containsExtent(extent, geometryExtent)) {
+    return geometry;
+  }
+
+  var parts, polygons;
+  switch (geometry.getType()) {
+    case ol.geom.GeometryType.POINT:
+      goog.asserts.assertInstanceof(geometry, ol.geom.Point);
+      return ol.extent.containsCoordinate(extent, geometry.getCoordinates()) ?
+          geometry : null;
+    case ol.geom.GeometryType.MULTI_POINT:
+      goog.asserts.assertInstanceof(geometry, ol.geom.MultiPoint);
+      var points = goog.array.filter(geometry.getCoordinates(),
+          function(point) {
+            return ol.extent.containsCoordinate(extent, point);
+          });
+      return points.length > 0 ? new ol.geom.MultiPoint(points) : null;
+    case ol.geom.GeometryType.LINE_STRING:
+      goog.asserts.assertInstanceof(geometry, ol.geom.LineString);
+      parts = ngeo.Print.clipLine_(geometry.getCoordinates(), extent);
+      break;
+    case ol.geom.GeometryType.MULTI_LINE_STRING:
+      goog.asserts.assertInstanceof(geometry, ol.geom.MultiLineString);
+      parts = [];
+      goog.array.forEach(geometry.getCoordinates(), function(line) {
+        goog.array.extend(parts, ngeo.Print.clipLine_(line, extent));
+      });
+      break;
+    case ol.geom.GeometryType.POLYGON:
+      goog.asserts.assertInstanceof(geometry, ol.geom.Polygon);
+      var polygon = ngeo.Print.clipPolygon_(geometry.getCoordinates(), extent);
+      return goog.isNull(polygon) ? null : new ol.geom.Polygon(polygon);
+    case ol.geom.GeometryType.MULTI_POLYGON:
+      goog.asserts.assertInstanceof(geometry, ol.geom.MultiPolygon);
+      polygons = [];
+      goog.array.forEach(geometry.getCoordinates(), function(rings) {
+        var polygon = ngeo.Print.clipPolygon_(rings, extent);
+        if (!goog.isNull(polygon)) {
+          polygons.push(polygon);
+        }
+      });
+      return polygons.length > 0 ? new ol.geom.MultiPolygon(polygons) : null;
+    default:
+      return geometry;
+  }
+
+  if (parts.length === 0) {
+    return null;
+  }
+  return parts.length === 1 ? new ol.geom.LineString(parts[0]) :
+      new ol.geom.MultiLineString(parts);
+};
+
+
+/**
+ * Clip the coordinates of a line to an extent (Liang-Barsky algorithm).
+ * @param {Array.<ol.Coordinate>} coordinates Coordinates of the line.
+ * @param {ol.Extent} extent Extent.
+ * @return {Array.<Array.<ol.Coordinate>>} The coordinates of the parts of the
+ *     line inside the extent.
+ * @private
+ */
+ngeo.Print.clipLine_ = function(coordinates, extent) {
+  var parts = [];
+  var part = null;
+  for (var i = 1, ii = coordinates.length; i < ii; ++i) {
+    var start = coordinates[i - 1];
+    var end = coordinates[i];
+    var dx = end[0] - start[0];
+    var dy = end[1] - start[1];
+    var p = [-dx, dx, -dy, dy];
+    var q = [
+      start[0] - extent[0], extent[2] - start[0],
+      start[1] - extent[1], extent[3] - start[1]
+    ];
+    var t0 = 0;
+    var t1 = 1;
+    for (var j = 0; j < 4 && t0 <= t1; ++j) {
+      if (p[j] === 0) {
+        if (q[j] < 0) {
+          // parallel to the edge and outside of the extent
+          t0 = 1;
+          t1 = 0;
+        }
+      } else {
+        var t = q[j] / p[j];
+        if (p[j] < 0) {
+          t0 = Math.max(t0, t);
+        } else {
+          t1 = Math.min(t1, t);
+        }
+      }
+    }
+    if (t0 > t1) {
+      if (!goog.isNull(part)) {
+        parts.push(part);
+        part = null;
+      }
+      continue;
+    }
+    if (goog.isNull(part)) {
+      part = [[start[0] + t0 * dx, start[1] + t0 * dy]];
+    }
+    part.push([start[0] + t1 * dx, start[1] + t1 * dy]);
+    if (t1 < 1) {
+      // the line leaves the extent
+      parts.push(part);
+      part = null;
+    }
+  }
+  if (!goog.isNull(part)) {
+    parts.push(part);
+  }
+  return parts;
+};
+
+
+/**
+ * Clip the rings of a polygon to an extent (Sutherland-Hodgman algorithm).
+ * @param {Array.<Array.<ol.Coordinate>>} rings Coordinates of the rings of
+ *     the polygon.
+ * @param {ol.Extent} extent Extent.
+ * @return {Array.<Array.<ol.Coordinate>>} The coordinates of the clipped
+ *     rings, or `null` if the exterior ring is outside of the extent.
+ * @private
+ */
+ngeo.Print.clipPolygon_ = function(rings, extent) {
+  var clippedRings = [];
+  for (var i = 0, ii = rings.length; i < ii; ++i) {
+    var ring = ngeo.Print.clipRing_(rings[i], extent);
+    if (!goog.isNull(ring)) {
+      clippedRings.push(ring);
+    } else if (i === 0) {
+      return null;
+    }
+  }
+  return clippedRings;
+};
+
+
+/**
+ * @param {Array.<ol.Coordinate>} ring Coordinates of a closed ring.
+ * @param {ol.Extent} extent Extent.
+ * @return {Array.<ol.Coordinate>} The coordinates of the clipped ring, or
+ *     `null` if the ring is outside of the extent.
+ * @private
+ */
+ngeo.Print.clipRing_ = function(ring, extent) {
+  // the edges of the extent, as [axis, bound, sign of the inside]
+  var edges = [
+    [0, extent[0], 1], [0, extent[2], -1],
+    [1, extent[1], 1], [1, extent[3], -1]
+  ];
+  // the ring is clipped open, and closed again at the end
+  var output = ring.slice(0, ring.length - 1);
+  for (var i = 0; i < 4 && output.length > 0; ++i) {
+    var axis = edges[i][0];
+    var bound = edges[i][1];
+    var sign = edges[i][2];
+    var input = output;
+    output = [];
+    var previous = input[input.length - 1];
+    var previousInside = (previous[axis] - bound) * sign >= 0;
+    for (var j = 0, jj = input.length; j < jj; ++j) {
+      var current = input[j];
+      var currentInside = (current[axis] - bound) * sign >= 0;
+      if (currentInside !== previousInside) {
+        var t = (bound - previous[axis]) / (current[axis] - previous[axis]);
+        var intersection = [
+          previous[0] + t * (current[0] - previous[0]),
+          previous[1] + t * (current[1] - previous[1])
+        ];
+        intersection[axis] = bound;
+        output.push(intersection);
+      }
+      if (currentInside) {
+        output.push([current[0], current[1]]);
+      }
+      previous = current;
+      previousInside = currentInside;
+    }
+  }
+  if (output.length < 3) {
+    return null;
+  }
+  output.push(output[0].slice());
+  return output;
+};
+
+
+/**
+ * @param {ol.Feature} feature Feature.
+ * @param {ol.layer.Vector} layer The layer of the feature.
+ * @param {number} resolution Resolution.
+ * @return {Array.<ol.style.Style>} The styles of the feature.
+ * @private
+ */
+ngeo.Print.getFeatureStyles_ = function(feature, layer, resolution) {
+  var styles = null;
+  var styleFunction = feature.getStyleFunction();
+  if (goog.isDef(styleFunction)) {
+    styles = styleFunction.call(feature, resolution);
+  } else {
+    styleFunction = layer.getStyleFunction();
+    if (goog.isDef(styleFunction)) {
+      styles = styleFunction.call(layer, feature, resolution);
+    }
+  }
+  return goog.isDef(styles) ? styles : null;
+};
+
+
 /**
  * @param {MapFishPrintVectorStyle} object MapFish style object.
  * @param {ol.geom.GeometryType} geometryType Type of the GeoJSON geometry
@@ -558,14 +1269,15 @@ ngeo.Print.prototype.encodeVectorStylePoint_ =
       type: 'point'
     });
     symbolizer.pointRadius = imageStyle.getRadius();
-    var fillStyle = imageStyle.getFill();
-    if (!goog.isNull(fillStyle)) {
-      this.encodeVectorStyleFill_(symbolizer, fillStyle);
-    }
-    var strokeStyle = imageStyle.getStroke();
-    if (!goog.isNull(strokeStyle)) {
-      this.encodeVectorStyleStroke_(symbolizer, strokeStyle);
-    }
+    this.encodeVectorStyleShape_(symbolizer, imageStyle.getFill(),
+        imageStyle.getStroke());
+  } else if (imageStyle instanceof ol.style.RegularShape) {
+    symbolizer = /** @type {MapFishPrintSymbolizerPoint} */ ({
+      type: 'point'
+    });
+    this.encodeVectorStyleRegularShape_(symbolizer, imageStyle);
+    this.encodeVectorStyleShape_(symbolizer, imageStyle.getFill(),
+        imageStyle.getStroke());
   } else if (imageStyle instanceof ol.style.Icon) {
     var src = imageStyle.getSrc();
     if (goog.isDef(src)) {
@@ -573,6 +1285,7 @@ ngeo.Print.prototype.encodeVectorStylePoint_ =
         type: 'point',
         externalGraphic: src
       });
+      this.encodeVectorStyleIcon_(symbolizer, imageStyle);
       var rotation = imageStyle.getRotation();
       if (rotation !== 0) {
         symbolizer.rotation = goog.math.toDegrees(rotation);
@@ -585,6 +1298,101 @@ ngeo.Print.prototype.encodeVectorStylePoint_ =
 };
 
 
+/**
+ * @param {MapFishPrintSymbolizerPoint} symbolizer MapFish Print symbolizer.
+ * @param {!ol.style.Icon} iconStyle Icon style.
+ * @private
+ */
+ngeo.Print.prototype.encodeVectorStyleIcon_ = function(symbolizer, iconStyle) {
+  var opacity = iconStyle.getOpacity();
+  if (opacity !== 1) {
+    symbolizer.graphicOpacity = opacity;
+  }
+  // the size and the anchor are only known once the image is loaded, if no
+  // size is given in the options
+  var size = iconStyle.getSize();
+  if (!goog.isNull(size)) {
+    var scale = iconStyle.getScale();
+    symbolizer.graphicWidth = size[0] * scale;
+    symbolizer.graphicHeight = size[1] * scale;
+    var anchor = iconStyle.getAnchor();
+    if (!goog.isNull(anchor)) {
+      // MapFish Print centers the graphic on the point, the offsets move it
+      // so that the anchor is on the point. MapFish Print uses the opposite
+      // direction of OpenLayers for the y axis.
+      var xOffset = (size[0] / 2 - anchor[0]) * scale;
+      var yOffset = (anchor[1] - size[1] / 2) * scale;
+      if (xOffset !== 0) {
+        symbolizer.graphicXOffset = xOffset;
+      }
+      if (yOffset !== 0) {
+        symbolizer.graphicYOffset = yOffset;
+      }
+    }
+  }
+};
+
+
+/**
+ * Encode a regular shape as the closest MapFish Print symbol.
+ * @param {MapFishPrintSymbolizerPoint} symbolizer MapFish Print symbolizer.
+ * @param {!ol.style.RegularShape} shapeStyle Regular shape style.
+ * @private
+ */
+ngeo.Print.prototype.encodeVectorStyleRegularShape_ =
+    function(symbolizer, shapeStyle) {
+  var points = shapeStyle.getPoints();
+  var radius = shapeStyle.getRadius();
+  var radius2 = shapeStyle.getRadius2();
+  var isStar = goog.isDef(radius2) && radius2 !== radius;
+
+  var graphicName = 'circle';
+  // the angle for which the OpenLayers shape and the MapFish Print symbol
+  // have the same orientation
+  var symbolAngle = 0;
+  var pointRadius = radius;
+  if (points === 4 && radius2 === 0) {
+    graphicName = 'cross';
+  } else if (points === 3 && !isStar) {
+    graphicName = 'triangle';
+  } else if (points === 4 && !isStar) {
+    graphicName = 'square';
+    symbolAngle = Math.PI / 4;
+    // the radius of an OpenLayers square is half its diagonal
+    pointRadius = radius / Math.SQRT2;
+  } else if (points === 5 && isStar) {
+    graphicName = 'star';
+  }
+
+  symbolizer.graphicName = graphicName;
+  symbolizer.pointRadius = pointRadius;
+  if (graphicName !== 'circle') {
+    var rotation = shapeStyle.getRotation() + shapeStyle.getAngle() -
+        symbolAngle;
+    if (rotation !== 0) {
+      symbolizer.rotation = goog.math.toDegrees(rotation);
+    }
+  }
+};
+
+
+/**
+ * @param {MapFishPrintSymbolizerPoint} symbolizer MapFish Print symbolizer.
+ * @param {ol.style.Fill} fillStyle Fill style.
+ * @param {ol.style.Stroke} strokeStyle Stroke style.
+ * @private
+ */
+ngeo.Print.prototype.encodeVectorStyleShape_ =
+    function(symbolizer, fillStyle, strokeStyle) {
+  if (!goog.isNull(fillStyle)) {
+    this.encodeVectorStyleFill_(symbolizer, fillStyle);
+  }
+  if (!goog.isNull(strokeStyle)) {
+    this.encodeVectorStyleStroke_(symbolizer, strokeStyle);
+  }
+};
+
+
 /**
  * @param {Array.<MapFishPrintSymbolizer>} symbolizers Array of MapFish Print
  *     symbolizers.
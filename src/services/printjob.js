@@ -0,0 +1,378 @@
+/**
+ * @fileoverview Provides a function to create ngeo.PrintJob objects, used to
+ * run a MapFish Print report from its submission to its download URL.
+ *
+ * A print job sends the create report request, then polls the status of the
+ * report with an increasing delay until the report is done. The job exposes
+ * the state of the report (status, waiting and elapsed times), can be
+ * cancelled, and is cancelled on the server when it takes too long.
+ *
+ * Example:
+ *
+ * var print = ngeoCreatePrint('http://example.com/print');
+ * var spec = print.createSpec(map, scale, dpi, layout, customAttributes);
+ * var job = ngeoCreatePrintJob(print, spec);
+ * job.submit().then(function(url) {
+ *   $window.location.href = url;
+ * }, function(status) {
+ *   // status is ngeo.PrintJobStatus.ERROR, CANCELLED or TIMEOUT
+ * });
+ */
+
+goog.provide('ngeo.CreatePrintJob');
+goog.provide('ngeo.PrintJob');
+goog.provide('ngeo.PrintJobStatus');
+
+goog.require('goog.asserts');
+goog.require('ngeo');
+goog.require('ngeo.Print');
+
+
+/**
+ * @typedef {function(ngeo.Print, MapFishPrintSpec,
+ *     ngeox.PrintJobOptions=):!ngeo.PrintJob}
+ */
+ngeo.CreatePrintJob;
+
+
+/**
+ * The status of a print job. `WAITING`, `RUNNING`, `FINISHED`, `CANCELLED`
+ * and `ERROR` are the statuses of MapFish Print reports.
+ * @enum {string}
+ */
+ngeo.PrintJobStatus = {
+  CANCELLED: 'cancelled',
+  ERROR: 'error',
+  FINISHED: 'finished',
+  NEW: 'new',
+  RUNNING: 'running',
+  SUBMITTED: 'submitted',
+  TIMEOUT: 'timeout',
+  WAITING: 'waiting'
+};
+
+
+
+/**
+ * @constructor
+ * @param {ngeo.Print} print The print service to use.
+ * @param {MapFishPrintSpec} spec The report specification.
+ * @param {angular.$q} $q Angular q service.
+ * @param {angular.$timeout} $timeout Angular timeout service.
+ * @param {ngeox.PrintJobOptions=} opt_options Options.
+ */
+ngeo.PrintJob = function(print, spec, $q, $timeout, opt_options) {
+
+  var options = goog.isDef(opt_options) ? opt_options : {};
+
+  /**
+   * @type {ngeo.Print}
+   * @private
+   */
+  this.print_ = print;
+
+  /**
+   * @type {MapFishPrintSpec}
+   * @private
+   */
+  this.spec_ = spec;
+
+  /**
+   * @type {angular.$q}
+   * @private
+   */
+  this.$q_ = $q;
+
+  /**
+   * @type {angular.$timeout}
+   * @private
+   */
+  this.$timeout_ = $timeout;
+
+  /**
+   * @type {number}
+   * @private
+   */
+  this.backoff_ = goog.isDef(options.backoff) ? options.backoff : 1.5;
+
+  /**
+   * @type {number}
+   * @private
+   */
+  this.delay_ = goog.isDef(options.delay) ? options.delay : 1000;
+
+  /**
+   * @type {number}
+   * @private
+   */
+  this.maxDelay_ = goog.isDef(options.maxDelay) ? options.maxDelay : 10000;
+
+  /**
+   * @type {number}
+   * @private
+   */
+  this.timeout_ = goog.isDef(options.timeout) ? options.timeout : 300000;
+
+  /**
+   * The status of the job.
+   * @type {ngeo.PrintJobStatus}
+   * @export
+   */
+  this.status = ngeo.PrintJobStatus.NEW;
+
+  /**
+   * The reference of the report, set once the report is submitted.
+   * @type {string|undefined}
+   * @export
+   */
+  this.ref = undefined;
+
+  /**
+   * The time in milliseconds the report waited in the print queue, as
+   * reported by the print service.
+   * @type {number}
+   * @export
+   */
+  this.waitingTime = 0;
+
+  /**
+   * The time in milliseconds elapsed since the report was submitted, as
+   * reported by the print service.
+   * @type {number}
+   * @export
+   */
+  this.elapsedTime = 0;
+
+  /**
+   * The download URL of the report, set when the report is finished.
+   * @type {string|undefined}
+   * @export
+   */
+  this.downloadUrl = undefined;
+
+  /**
+   * The error message of the print service, if any.
+   * @type {string|undefined}
+   * @export
+   */
+  this.error = undefined;
+
+  /**
+   * @type {angular.$q.Deferred}
+   * @private
+   */
+  this.deferred_ = null;
+
+  /**
+   * Deferred resolved to abort the pending HTTP request.
+   * @type {angular.$q.Deferred}
+   * @private
+   */
+  this.canceler_ = null;
+
+  /**
+   * @type {angular.$q.Promise}
+   * @private
+   */
+  this.pollPromise_ = null;
+
+  /**
+   * @type {angular.$q.Promise}
+   * @private
+   */
+  this.timeoutPromise_ = null;
+};
+
+
+/**
+ * Submit the report. Can only be called once.
+ * @return {angular.$q.Promise} Promise resolved with the download URL of the
+ *     report, or rejected with the final status of the job.
+ */
+ngeo.PrintJob.prototype.submit = function() {
+  goog.asserts.assert(this.status === ngeo.PrintJobStatus.NEW,
+      'the job is already submitted');
+
+  this.deferred_ = this.$q_.defer();
+  this.status = ngeo.PrintJobStatus.SUBMITTED;
+  this.canceler_ = this.$q_.defer();
+
+  this.timeoutPromise_ = this.$timeout_(goog.bind(function() {
+    this.timeoutPromise_ = null;
+    this.stop_(ngeo.PrintJobStatus.TIMEOUT);
+  }, this), this.timeout_, false);
+
+  this.print_.createReport(this.spec_, /** @type {angular.$http.Config} */ ({
+    timeout: this.canceler_.promise
+  })).then(goog.bind(
+      /**
+       * @param {angular.$http.Response} resp Response.
+       */
+      function(resp) {
+        if (this.isDone()) {
+          return;
+        }
+        var mfResp = /** @type {MapFishPrintReportResponse} */ (resp.data);
+        this.ref = mfResp.ref;
+        this.schedulePoll_(this.delay_);
+      }, this), goog.bind(this.handleError_, this));
+
+  return this.deferred_.promise;
+};
+
+
+/**
+ * Cancel the job. The report is cancelled on the server if it was submitted.
+ */
+ngeo.PrintJob.prototype.cancel = function() {
+  this.stop_(ngeo.PrintJobStatus.CANCELLED);
+};
+
+
+/**
+ * @return {boolean} Whether the job is over (finished, failed or cancelled).
+ */
+ngeo.PrintJob.prototype.isDone = function() {
+  return this.status === ngeo.PrintJobStatus.FINISHED ||
+      this.status === ngeo.PrintJobStatus.ERROR ||
+      this.status === ngeo.PrintJobStatus.CANCELLED ||
+      this.status === ngeo.PrintJobStatus.TIMEOUT;
+};
+
+
+/**
+ * @param {number} delay Delay in milliseconds.
+ * @private
+ */
+ngeo.PrintJob.prototype.schedulePoll_ = function(delay) {
+  this.pollPromise_ = this.$timeout_(goog.bind(function() {
+    this.pollPromise_ = null;
+    this.poll_(Math.min(delay * this.backoff_, this.maxDelay_));
+  }, this), delay, false);
+};
+
+
+/**
+ * @param {number} nextDelay Delay before the next status request.
+ * @private
+ */
+ngeo.PrintJob.prototype.poll_ = function(nextDelay) {
+  goog.asserts.assert(goog.isDef(this.ref));
+  this.print_.getStatus(this.ref, /** @type {angular.$http.Config} */ ({
+    timeout: this.canceler_.promise
+  })).then(goog.bind(
+      /**
+       * @param {angular.$http.Response} resp Response.
+       */
+      function(resp) {
+        if (this.isDone()) {
+          return;
+        }
+        var mfResp = /** @type {MapFishPrintStatusResponse} */ (resp.data);
+        if (goog.isDef(mfResp.waitingTime)) {
+          this.waitingTime = mfResp.waitingTime;
+        }
+        if (goog.isDef(mfResp.elapsedTime)) {
+          this.elapsedTime = mfResp.elapsedTime;
+        }
+        if (mfResp.status === ngeo.PrintJobStatus.ERROR ||
+            mfResp.status === ngeo.PrintJobStatus.CANCELLED) {
+          this.error = mfResp.error;
+          this.stop_(/** @type {ngeo.PrintJobStatus} */ (mfResp.status),
+              /* stoppedByServer */ true);
+        } else if (mfResp.done) {
+          this.finish_();
+        } else {
+          this.status = mfResp.status === ngeo.PrintJobStatus.WAITING ?
+              ngeo.PrintJobStatus.WAITING : ngeo.PrintJobStatus.RUNNING;
+          this.schedulePoll_(nextDelay);
+        }
+      }, this), goog.bind(this.handleError_, this));
+};
+
+
+/**
+ * @private
+ */
+ngeo.PrintJob.prototype.finish_ = function() {
+  goog.asserts.assert(goog.isDef(this.ref));
+  this.clearTimeouts_();
+  this.status = ngeo.PrintJobStatus.FINISHED;
+  this.downloadUrl = this.print_.getReportUrl(this.ref);
+  this.deferred_.resolve(this.downloadUrl);
+};
+
+
+/**
+ * @param {angular.$http.Response} resp Response.
+ * @private
+ */
+ngeo.PrintJob.prototype.handleError_ = function(resp) {
+  if (this.isDone()) {
+    // the request was aborted by stop_
+    return;
+  }
+  this.error = goog.isDefAndNotNull(resp.data) &&
+      goog.isString(resp.data['error']) ? resp.data['error'] :
+      resp.status + ' ' + resp.statusText;
+  this.stop_(ngeo.PrintJobStatus.ERROR);
+};
+
+
+/**
+ * Stop the job and reject the promise. The report is cancelled on the server
+ * unless the server already stopped it.
+ * @param {ngeo.PrintJobStatus} status The final status.
+ * @param {boolean=} opt_stoppedByServer The server already stopped the
+ *     report.
+ * @private
+ */
+ngeo.PrintJob.prototype.stop_ = function(status, opt_stoppedByServer) {
+  if (this.status === ngeo.PrintJobStatus.NEW || this.isDone()) {
+    return;
+  }
+  this.clearTimeouts_();
+  this.canceler_.resolve();
+  if (goog.isDef(this.ref) && !opt_stoppedByServer) {
+    this.print_.cancel(this.ref);
+  }
+  this.status = status;
+  this.deferred_.reject(status);
+};
+
+
+/**
+ * @private
+ */
+ngeo.PrintJob.prototype.clearTimeouts_ = function() {
+  if (!goog.isNull(this.pollPromise_)) {
+    this.$timeout_.cancel(this.pollPromise_);
+    this.pollPromise_ = null;
+  }
+  if (!goog.isNull(this.timeoutPromise_)) {
+    this.$timeout_.cancel(this.timeoutPromise_);
+    this.timeoutPromise_ = null;
+  }
+};
+
+
+/**
+ * @param {angular.$q} $q Angular q service.
+ * @param {angular.$timeout} $timeout Angular timeout service.
+ * @return {ngeo.CreatePrintJob} The function to create a print job.
+ * @ngInject
+ */
+ngeo.createPrintJobServiceFactory = function($q, $timeout) {
+  return (
+      /**
+       * @param {ngeo.Print} print The print service to use.
+       * @param {MapFishPrintSpec} spec The report specification.
+       * @param {ngeox.PrintJobOptions=} opt_options Options.
+       */
+      function(print, spec, opt_options) {
+        return new ngeo.PrintJob(print, spec, $q, $timeout, opt_options);
+      });
+};
+
+
+ngeoModule.factory('ngeoCreatePrintJob', ngeo.createPrintJobServiceFactory);
@@ -1,10 +1,38 @@
 /**
  * @fileoverview Provides a service with print utility functions.
+ *
+ * The service also splits extents and lines into the page frames of an
+ * atlas, to be printed with `ngeo.Print#createAtlasSpec`. The frames can be
+ * previewed on the map by adding their polygons to a feature overlay:
+ *
+ * var frames = ngeoPrintUtils.splitLineString(route, paperSize, scale);
+ * frames.forEach(function(frame) {
+ *   featureOverlay.addFeature(new ol.Feature(
+ *       ngeoPrintUtils.getFramePolygon(frame, paperSize, scale)));
+ * });
  */
 
+goog.provide('ngeo.PrintFrame');
 goog.provide('ngeo.PrintUtils');
 
+goog.require('goog.array');
+goog.require('goog.asserts');
 goog.require('ngeo');
+goog.require('ol.extent');
+goog.require('ol.geom.LineString');
+goog.require('ol.geom.Polygon');
+
+
+/**
+ * A page frame of an atlas: the center of the page in map coordinates, and
+ * the rotation of the map on the page in degrees, clockwise (the frame
+ * itself is rotated counter-clockwise in map coordinates).
+ * @typedef {{
+ *   center: ol.Coordinate,
+ *   rotation: number
+ * }}
+ */
+ngeo.PrintFrame;
 
 
 
@@ -17,16 +45,16 @@ ngeo.PrintUtils = function() {
 
 /**
  * @const
- * @private
+ * @type {number}
  */
-ngeo.PrintUtils.INCHES_PER_METER_ = 39.37;
+ngeo.PrintUtils.INCHES_PER_METER = 39.37;
 
 
 /**
  * @const
- * @private
+ * @type {number}
  */
-ngeo.PrintUtils.DOTS_PER_INCH_ = 72;
+ngeo.PrintUtils.DOTS_PER_INCH = 72;
 
 
 /**
@@ -36,11 +64,14 @@ ngeo.PrintUtils.DOTS_PER_INCH_ = 72;
  * size in dots of the map to print.
  * @param {function(olx.FrameState):number} getScale User-defined function
  * returning the scale of the map to print.
+ * @param {function():number=} opt_getRotation User-defined function
+ * returning the rotation of the print frame in degrees, clockwise, relative
+ * to the map view. The frame is not rotated by default.
  * @return {function(ol.render.Event)} Function to use as a map postcompose
  * listener.
  */
 ngeo.PrintUtils.prototype.createPrintMaskPostcompose =
-    function(getSize, getScale) {
+    function(getSize, getScale, opt_getRotation) {
 
   return (
       /**
@@ -60,9 +91,11 @@ ngeo.PrintUtils.prototype.createPrintMaskPostcompose =
 
         var size = getSize();
         var scale = getScale(frameState);
+        var rotation = goog.isDef(opt_getRotation) ?
+            opt_getRotation() * Math.PI / 180 : 0;
 
-        var ppi = ngeo.PrintUtils.DOTS_PER_INCH_;
-        var ipm = ngeo.PrintUtils.INCHES_PER_METER_;
+        var ppi = ngeo.PrintUtils.DOTS_PER_INCH;
+        var ipm = ngeo.PrintUtils.INCHES_PER_METER;
 
         var extentHalfWidth =
             (((size[0] / ppi) / ipm) * scale / resolution) / 2;
@@ -70,10 +103,23 @@ ngeo.PrintUtils.prototype.createPrintMaskPostcompose =
         var extentHalfHeight =
             (((size[1] / ppi) / ipm) * scale / resolution) / 2;
 
-        var minx = centerX - extentHalfWidth;
-        var miny = centerY - extentHalfHeight;
-        var maxx = centerX + extentHalfWidth;
-        var maxy = centerY + extentHalfHeight;
+        var cos = Math.cos(rotation);
+        var sin = Math.sin(rotation);
+
+        // the corners of the frame, rotated around the center of the map
+        // (the y axis of the canvas points down, so the rotation is
+        // clockwise)
+        var corners = goog.array.map([
+          [-extentHalfWidth, -extentHalfHeight],
+          [-extentHalfWidth, extentHalfHeight],
+          [extentHalfWidth, extentHalfHeight],
+          [extentHalfWidth, -extentHalfHeight]
+        ], function(corner) {
+          return [
+            centerX + corner[0] * cos - corner[1] * sin,
+            centerY + corner[0] * sin + corner[1] * cos
+          ];
+        });
 
         context.beginPath();
         context.moveTo(0, 0);
@@ -83,11 +129,11 @@ ngeo.PrintUtils.prototype.createPrintMaskPostcompose =
         context.lineTo(0, 0);
         context.closePath();
 
-        context.moveTo(minx, miny);
-        context.lineTo(minx, maxy);
-        context.lineTo(maxx, maxy);
-        context.lineTo(maxx, miny);
-        context.lineTo(minx, miny);
+        context.moveTo(corners[0][0], corners[0][1]);
+        context.lineTo(corners[1][0], corners[1][1]);
+        context.lineTo(corners[2][0], corners[2][1]);
+        context.lineTo(corners[3][0], corners[3][1]);
+        context.lineTo(corners[0][0], corners[0][1]);
         context.closePath();
 
         context.fillStyle = 'rgba(0, 5, 25, 0.5)';
@@ -104,20 +150,31 @@ ngeo.PrintUtils.prototype.createPrintMaskPostcompose =
  * @param {Array.<number>} printMapScales Supported map scales on the paper.
  * The scales are provided as scale denominators, sorted in ascending order.
  * E.g. `[500, 1000, 2000, 4000]`.
+ * @param {number=} opt_rotation Rotation of the print frame in degrees. The
+ * optimal scale is the one for which the rotated frame fits in the map.
  * @return {number} The best scale. `-1` is returned if there is no optimal
  * scale, that is the optimal scale is lower than or equal to the first value
  * in `printMapScales`.
  */
 ngeo.PrintUtils.prototype.getOptimalScale = function(
-    mapSize, mapResolution, printMapSize, printMapScales) {
+    mapSize, mapResolution, printMapSize, printMapScales, opt_rotation) {
 
   var mapWidth = mapSize[0] * mapResolution;
   var mapHeight = mapSize[1] * mapResolution;
 
-  var scaleWidth = mapWidth * ngeo.PrintUtils.INCHES_PER_METER_ *
-      ngeo.PrintUtils.DOTS_PER_INCH_ / printMapSize[0];
-  var scaleHeight = mapHeight * ngeo.PrintUtils.INCHES_PER_METER_ *
-      ngeo.PrintUtils.DOTS_PER_INCH_ / printMapSize[1];
+  var rotation = goog.isDef(opt_rotation) ?
+      opt_rotation * Math.PI / 180 : 0;
+  var cos = Math.abs(Math.cos(rotation));
+  var sin = Math.abs(Math.sin(rotation));
+
+  // size of the bounding box of the rotated frame
+  var printWidth = printMapSize[0] * cos + printMapSize[1] * sin;
+  var printHeight = printMapSize[0] * sin + printMapSize[1] * cos;
+
+  var scaleWidth = mapWidth * ngeo.PrintUtils.INCHES_PER_METER *
+      ngeo.PrintUtils.DOTS_PER_INCH / printWidth;
+  var scaleHeight = mapHeight * ngeo.PrintUtils.INCHES_PER_METER *
+      ngeo.PrintUtils.DOTS_PER_INCH / printHeight;
 
   var scale = Math.min(scaleWidth, scaleHeight);
 
@@ -132,4 +189,135 @@ ngeo.PrintUtils.prototype.getOptimalScale = function(
 };
 
 
+/**
+ * Get the size of a page on the ground.
+ * @param {ol.Size} printMapSize Size of the map on the paper (dots).
+ * @param {number} scale Scale denominator.
+ * @return {ol.Size} Size in map units (meters).
+ */
+ngeo.PrintUtils.prototype.getGroundSize = function(printMapSize, scale) {
+  var ppi = ngeo.PrintUtils.DOTS_PER_INCH;
+  var ipm = ngeo.PrintUtils.INCHES_PER_METER;
+  return [
+    printMapSize[0] / ppi / ipm * scale,
+    printMapSize[1] / ppi / ipm * scale
+  ];
+};
+
+
+/**
+ * Split an extent into a grid of page frames covering it. The frames are
+ * ordered by row, from the top left corner.
+ * @param {ol.Extent} extent Extent.
+ * @param {ol.Size} printMapSize Size of the map on the paper (dots).
+ * @param {number} scale Scale denominator.
+ * @param {number=} opt_overlap Overlap between two pages, as a fraction of
+ *     the page size. Default is `0`.
+ * @return {Array.<ngeo.PrintFrame>} Frames.
+ */
+ngeo.PrintUtils.prototype.splitExtent = function(
+    extent, printMapSize, scale, opt_overlap) {
+  var overlap = goog.isDef(opt_overlap) ? opt_overlap : 0;
+  goog.asserts.assert(overlap >= 0 && overlap < 1);
+  var size = this.getGroundSize(printMapSize, scale);
+  var stepX = size[0] * (1 - overlap);
+  var stepY = size[1] * (1 - overlap);
+
+  var cols = Math.max(1, Math.ceil((ol.extent.getWidth(extent) - size[0]) /
+      stepX) + 1);
+  var rows = Math.max(1, Math.ceil((ol.extent.getHeight(extent) - size[1]) /
+      stepY) + 1);
+
+  // the grid is centered on the extent
+  var center = ol.extent.getCenter(extent);
+  var left = center[0] - (size[0] + (cols - 1) * stepX) / 2 + size[0] / 2;
+  var top = center[1] + (size[1] + (rows - 1) * stepY) / 2 - size[1] / 2;
+
+  var frames = [];
+  for (var row = 0; row < rows; ++row) {
+    for (var col = 0; col < cols; ++col) {
+      frames.push({
+        center: [left + col * stepX, top - row * stepY],
+        rotation: 0
+      });
+    }
+  }
+  return frames;
+};
+
+
+/**
+ * Split a line into page frames following it. Each frame is oriented along
+ * the part of the line it covers, so that the line goes from the left to the
+ * right of the page.
+ * @param {ol.geom.LineString} lineString Line.
+ * @param {ol.Size} printMapSize Size of the map on the paper (dots).
+ * @param {number} scale Scale denominator.
+ * @param {number=} opt_overlap Overlap between two pages, as a fraction of
+ *     the page width. Default is `0`.
+ * @return {Array.<ngeo.PrintFrame>} Frames.
+ */
+ngeo.PrintUtils.prototype.splitLineString = function(
+    lineString, printMapSize, scale, opt_overlap) {
+  var overlap = goog.isDef(opt_overlap) ? opt_overlap : 0;
+  goog.asserts.assert(overlap >= 0 && overlap < 1);
+  var pageLength = this.getGroundSize(printMapSize, scale)[0];
+  var step = pageLength * (1 - overlap);
+  var length = lineString.getLength();
+
+  var frames = [];
+  var start = 0;
+  do {
+    var end = Math.min(start + pageLength, length);
+    var first = length > 0 ?
+        lineString.getCoordinateAt(start / length) :
+        lineString.getFirstCoordinate();
+    var last = length > 0 ?
+        lineString.getCoordinateAt(end / length) :
+        lineString.getLastCoordinate();
+    var dx = last[0] - first[0];
+    var dy = last[1] - first[1];
+    frames.push({
+      center: [(first[0] + last[0]) / 2, (first[1] + last[1]) / 2],
+      rotation: dx === 0 && dy === 0 ? 0 : Math.atan2(dy, dx) * 180 / Math.PI
+    });
+    start += step;
+  } while (start + pageLength * overlap < length);
+  return frames;
+};
+
+
+/**
+ * Get the polygon of a page frame in map coordinates, to preview it on the
+ * map.
+ * @param {ngeo.PrintFrame} frame Frame.
+ * @param {ol.Size} printMapSize Size of the map on the paper (dots).
+ * @param {number} scale Scale denominator.
+ * @return {ol.geom.Polygon} Polygon.
+ */
+ngeo.PrintUtils.prototype.getFramePolygon = function(
+    frame, printMapSize, scale) {
+  var size = this.getGroundSize(printMapSize, scale);
+  var halfWidth = size[0] / 2;
+  var halfHeight = size[1] / 2;
+  var rotation = frame.rotation * Math.PI / 180;
+  var cos = Math.cos(rotation);
+  var sin = Math.sin(rotation);
+  var center = frame.center;
+  var ring = goog.array.map([
+    [-halfWidth, -halfHeight],
+    [halfWidth, -halfHeight],
+    [halfWidth, halfHeight],
+    [-halfWidth, halfHeight],
+    [-halfWidth, -halfHeight]
+  ], function(corner) {
+    return [
+      center[0] + corner[0] * cos - corner[1] * sin,
+      center[1] + corner[0] * sin + corner[1] * cos
+    ];
+  });
+  return new ol.geom.Polygon([ring]);
+};
+
+
 ngeoModule.service('ngeoPrintUtils', ngeo.PrintUtils);
@@ -0,0 +1,120 @@
+/**
+ * @fileoverview Provides a service for shortening URLs, for example
+ * permalinks too long to be sent by email or encoded in QR codes.
+ *
+ * By default the service sends the URL to shorten in a POST request (as the
+ * "url" form param) to the URL defined by the "ngeoShortUrlServiceUrl"
+ * value, and expects a JSON response with a "short_url" property:
+ *
+ * app.module.value('ngeoShortUrlServiceUrl',
+ *     'http://example.com/short/create');
+ *
+ * ngeoShortUrl.shorten(longUrl).then(function(shortUrl) {
+ *   // ...
+ * });
+ *
+ * Applications using another shortener set their own backend, a function
+ * receiving the URL to shorten and returning a promise resolved with the
+ * short URL:
+ *
+ * ngeoShortUrl.setBackend(function(longUrl) {
+ *   return $http.get(...).then(...);
+ * });
+ */
+goog.provide('ngeo.ShortUrl');
+goog.provide('ngeo.ShortUrlBackend');
+
+goog.require('goog.asserts');
+goog.require('goog.uri.utils');
+goog.require('ngeo');
+
+
+/**
+ * @typedef {function(string): angular.$q.Promise}
+ */
+ngeo.ShortUrlBackend;
+
+
+ngeoModule.value('ngeoShortUrlServiceUrl', '');
+
+
+
+/**
+ * @constructor
+ * @param {angular.$http} $http Angular $http service.
+ * @param {string} ngeoShortUrlServiceUrl URL of the shortener service.
+ * @ngInject
+ */
+ngeo.ShortUrl = function($http, ngeoShortUrlServiceUrl) {
+
+  /**
+   * @type {angular.$http}
+   * @private
+   */
+  this.$http_ = $http;
+
+  /**
+   * @type {string}
+   * @private
+   */
+  this.serviceUrl_ = ngeoShortUrlServiceUrl;
+
+  /**
+   * @type {ngeo.ShortUrlBackend}
+   * @private
+   */
+  this.backend_ = goog.bind(this.httpBackend_, this);
+};
+
+
+/**
+ * Maximum length of the URLs that can safely be sent by email or encoded in
+ * QR codes. Longer URLs should be shortened.
+ * @const
+ * @type {number}
+ */
+ngeo.ShortUrl.MAX_LENGTH = 2000;
+
+
+/**
+ * Set the backend used to shorten URLs.
+ * @param {ngeo.ShortUrlBackend} backend Backend.
+ */
+ngeo.ShortUrl.prototype.setBackend = function(backend) {
+  this.backend_ = backend;
+};
+
+
+/**
+ * Shorten a URL.
+ * @param {string} url The URL to shorten.
+ * @return {angular.$q.Promise} Promise resolved with the short URL.
+ */
+ngeo.ShortUrl.prototype.shorten = function(url) {
+  return this.backend_(url);
+};
+
+
+/**
+ * @param {string} url The URL to shorten.
+ * @return {angular.$q.Promise} Promise resolved with the short URL.
+ * @private
+ */
+ngeo.ShortUrl.prototype.httpBackend_ = function(url) {
+  goog.asserts.assert(this.serviceUrl_.length > 0,
+      'the ngeoShortUrlServiceUrl value is not set');
+  var data = goog.uri.utils.buildQueryDataFromMap({'url': url});
+  return this.$http_.post(this.serviceUrl_, data, {
+    headers: {'Content-Type': 'application/x-www-form-urlencoded'}
+  }).then(
+      /**
+       * @param {angular.$http.Response} resp Response.
+       * @return {string} The short URL.
+       */
+      function(resp) {
+        return resp.data['short_url'];
+      });
+};
+
+
+ngeoModule.service('ngeoShortUrl', ngeo.ShortUrl);
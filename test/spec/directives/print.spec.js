@@ -0,0 +1,298 @@
+goog.require('goog.array');
+goog.require('goog.events');
+goog.require('ngeo.Print');
+goog.require('ngeo.PrintUtils');
+goog.require('ngeo.printDirective');
+goog.require('ol.Map');
+goog.require('ol.View');
+
+describe('ngeo.printDirective', function() {
+
+  var element;
+  var map;
+  var scope;
+  var $httpBackend;
+  var createPrintJob;
+  var job;
+  var capabilities;
+
+  /**
+   * @return {ngeo.PrintController} The controller of the directive.
+   */
+  var getController = function() {
+    return element.scope()['printCtrl'];
+  };
+
+  beforeEach(function() {
+
+    ngeoModule.value('ngeoPrintTemplateUrl',
+        '../src/directives/partials/print.html');
+
+    job = {
+      submit: function() {
+        return {then: function() {}};
+      },
+      cancel: function() {},
+      isDone: function() {
+        return false;
+      }
+    };
+    createPrintJob = jasmine.createSpy('createPrintJob').andReturn(job);
+    module(function($provide) {
+      $provide.value('ngeoCreatePrintJob', createPrintJob);
+    });
+
+    map = new ol.Map({
+      view: new ol.View({
+        center: [0, 0],
+        resolution: 1
+      })
+    });
+
+    capabilities = {
+      'layouts': [{
+        'name': 'A4 portrait',
+        'attributes': [{
+          'name': 'title',
+          'type': 'String'
+        }, {
+          'name': 'comments',
+          'type': 'String'
+        }, {
+          'name': 'legend',
+          'type': 'LegendAttributeValue'
+        }, {
+          'name': 'map',
+          'type': 'MapAttributeValues',
+          'clientInfo': {
+            'width': 555,
+            'height': 675,
+            'dpiSuggestions': [72, 150],
+            'scales': [5000, 10000, 25000]
+          }
+        }]
+      }, {
+        'name': 'A3 landscape',
+        'attributes': [{
+          'name': 'title',
+          'type': 'String'
+        }, {
+          'name': 'map',
+          'type': 'MapAttributeValues',
+          'clientInfo': {
+            'width': 800,
+            'height': 500,
+            'dpiSuggestions': [150, 300]
+          }
+        }]
+      }]
+    };
+
+    inject(function($injector) {
+      $httpBackend = $injector.get('$httpBackend');
+    });
+  });
+
+  afterEach(function() {
+    $httpBackend.verifyNoOutstandingExpectation();
+    $httpBackend.verifyNoOutstandingRequest();
+  });
+
+  /**
+   * @param {number=} opt_status The status of the capabilities response.
+   */
+  var compile = function(opt_status) {
+    $httpBackend.expectGET('http://example.com/print/capabilities.json')
+        .respond(goog.isDef(opt_status) ? opt_status : 200,
+            goog.isDef(opt_status) ? '' : capabilities);
+
+    element = angular.element(
+        '<div ngeo-print="printUrl" ngeo-print-map="map" ' +
+            'ngeo-print-scales="scales"></div>');
+
+    inject(function($rootScope, $compile) {
+      scope = $rootScope.$new();
+      scope.printUrl = 'http://example.com/print';
+      scope.map = map;
+      scope.scales = [2000, 4000];
+      $compile(element)(scope);
+      scope.$digest();
+    });
+    $httpBackend.flush();
+  };
+
+  describe('capabilities', function() {
+
+    it('selects the first layout of the capabilities', function() {
+      compile();
+      var printCtrl = getController();
+      expect(printCtrl.capabilitiesError).toBe(false);
+      expect(printCtrl.layouts.length).toBe(2);
+      expect(printCtrl.layout.name).toBe('A4 portrait');
+      expect(element.find('select').eq(0).find('option').length).toBe(2);
+    });
+
+    it('displays an error if the service is not available', function() {
+      compile(500);
+      var printCtrl = getController();
+      expect(printCtrl.capabilitiesError).toBe(true);
+      expect(printCtrl.layouts).toEqual([]);
+      expect(element.find('p').eq(0).hasClass('ng-hide')).toBe(false);
+    });
+
+    it('draws the print mask once the capabilities are loaded', function() {
+      compile();
+      expect(goog.events.hasListener(map, 'postcompose')).toBe(true);
+      scope.$destroy();
+      expect(goog.events.hasListener(map, 'postcompose')).toBe(false);
+    });
+  });
+
+  describe('layout selection', function() {
+
+    it('uses the DPIs and scales of the layout', function() {
+      compile();
+      var printCtrl = getController();
+      expect(printCtrl.dpis).toEqual([72, 150]);
+      expect(printCtrl.dpi).toBe(72);
+      expect(printCtrl.scales).toEqual([5000, 10000, 25000]);
+      expect(printCtrl.scale).toBe(5000);
+    });
+
+    it('keeps the DPI if the new layout supports it', function() {
+      compile();
+      var printCtrl = getController();
+      printCtrl.dpi = 150;
+      printCtrl.setLayout(printCtrl.layouts[1]);
+      expect(printCtrl.dpis).toEqual([150, 300]);
+      expect(printCtrl.dpi).toBe(150);
+
+      printCtrl.dpi = 300;
+      printCtrl.setLayout(printCtrl.layouts[0]);
+      expect(printCtrl.dpi).toBe(72);
+    });
+
+    it('uses the default scales if the layout has none', function() {
+      compile();
+      var printCtrl = getController();
+      printCtrl.setLayout(printCtrl.layouts[1]);
+      expect(printCtrl.scales).toEqual([2000, 4000]);
+      expect(printCtrl.scale).toBe(2000);
+    });
+  });
+
+  describe('attributes', function() {
+
+    it('displays an input for the String attributes', function() {
+      compile();
+      var printCtrl = getController();
+      expect(printCtrl.attributeNames).toEqual(['title', 'comments']);
+      var inputs = element.find('input');
+      // the attributes and the rotation
+      expect(inputs.length).toBe(3);
+
+      inputs.eq(0).val('My map').triggerHandler('change');
+      expect(printCtrl.attributes).toEqual({
+        'title': 'My map',
+        'comments': ''
+      });
+    });
+
+    it('keeps the values of the attributes of another layout', function() {
+      compile();
+      var printCtrl = getController();
+      printCtrl.attributes['title'] = 'My map';
+      scope.$apply(function() {
+        printCtrl.setLayout(printCtrl.layouts[1]);
+      });
+      expect(printCtrl.attributeNames).toEqual(['title']);
+      expect(element.find('input').length).toBe(2);
+      expect(printCtrl.attributes['title']).toBe('My map');
+    });
+  });
+
+  describe('#print', function() {
+
+    beforeEach(function() {
+      spyOn(ngeo.Print.prototype, 'createSpec').andCallThrough();
+    });
+
+    it('creates the spec of the selected layout, DPI and scale', function() {
+      compile();
+      var printCtrl = getController();
+      printCtrl.attributes['title'] = 'My map';
+      printCtrl.dpi = 150;
+      printCtrl.scale = 10000;
+      printCtrl.print();
+
+      var createSpec = ngeo.Print.prototype.createSpec;
+      expect(createSpec.callCount).toBe(1);
+      var args = createSpec.mostRecentCall.args;
+      expect(args[0]).toBe(map);
+      expect(args[1]).toBe(10000);
+      expect(args[2]).toBe(150);
+      expect(args[3]).toBe('A4 portrait');
+      expect(args[4]).toEqual({'title': 'My map', 'comments': ''});
+      expect(args[5]).toBe(0);
+      expect(args[6]).toEqual({attributeName: 'legend'});
+      expect(args[7].simplify).toBe(true);
+      expect(args[7].extent.length).toBe(4);
+
+      expect(createPrintJob).toHaveBeenCalledWith(jasmine.any(ngeo.Print),
+          jasmine.any(Object));
+      var spec = createPrintJob.mostRecentCall.args[1];
+      expect(spec.layout).toBe('A4 portrait');
+      expect(spec.attributes['title']).toBe('My map');
+      expect(spec.attributes['map'].scale).toBe(10000);
+      expect(spec.attributes['map'].dpi).toBe(150);
+      expect(printCtrl.job).toBe(job);
+    });
+
+    it('prints the rotated frame without legend', function() {
+      compile();
+      var printCtrl = getController();
+      printCtrl.setLayout(printCtrl.layouts[1]);
+      printCtrl.rotation = 30;
+      printCtrl.setRotation();
+      printCtrl.print();
+
+      var args = ngeo.Print.prototype.createSpec.mostRecentCall.args;
+      expect(args[3]).toBe('A3 landscape');
+      expect(args[5]).toBe(30);
+      expect(args[6]).toBeUndefined();
+    });
+
+    it('uses no rotation if the rotation input is empty', function() {
+      spyOn(ngeo.PrintUtils.prototype, 'createPrintMaskPostcompose')
+          .andCallThrough();
+      compile();
+      var printCtrl = getController();
+      var rotationInput = element.find('input').eq(2);
+      expect(rotationInput.attr('type')).toBe('number');
+      rotationInput.val('').triggerHandler('change');
+      expect(printCtrl.rotation).toBeNull();
+      expect(printCtrl.scale).toBe(5000);
+
+      var getRotation = ngeo.PrintUtils.prototype.createPrintMaskPostcompose
+          .mostRecentCall.args[2];
+      expect(getRotation()).toBe(0);
+
+      printCtrl.print();
+      var args = ngeo.Print.prototype.createSpec.mostRecentCall.args;
+      expect(args[5]).toBe(0);
+      var spec = createPrintJob.mostRecentCall.args[1];
+      expect(spec.attributes['map'].rotation).toBe(0);
+      expect(goog.array.every(args[7].extent, isFinite)).toBe(true);
+    });
+
+    it('cancels the current job', function() {
+      compile();
+      var printCtrl = getController();
+      spyOn(job, 'cancel');
+      printCtrl.print();
+      expect(job.cancel).not.toHaveBeenCalled();
+      printCtrl.print();
+      expect(job.cancel).toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,153 @@
+goog.require('goog.string');
+goog.require('ngeo.ShortUrl');
+goog.require('ngeo.shareDirective');
+
+describe('ngeo.shareDirective', function() {
+
+  var element;
+  var win;
+  var $rootScope;
+  var ngeoLocation;
+  var shorten;
+  var deferred;
+
+  /**
+   * @param {string} location The location of the window.
+   */
+  var compile = function(location) {
+    win.location = location;
+    inject(function($compile, $q, $injector) {
+      $rootScope = $injector.get('$rootScope');
+      ngeoLocation = $injector.get('ngeoLocation');
+      shorten = jasmine.createSpy('shorten').andCallFake(function() {
+        deferred = $q.defer();
+        return deferred.promise;
+      });
+      $injector.get('ngeoShortUrl').setBackend(shorten);
+
+      element = angular.element('<div ngeo-share></div>');
+      $compile(element)($rootScope);
+      $rootScope.$digest();
+    });
+  };
+
+  /**
+   * @return {string} The URL displayed in the input.
+   */
+  var getInputUrl = function() {
+    return element.find('input').val();
+  };
+
+  /**
+   * @param {number} index Index of the button.
+   * @return {angular.JQLite} The button.
+   */
+  var getButton = function(index) {
+    return angular.element(element.find('button')[index]);
+  };
+
+  beforeEach(function() {
+    ngeoModule.value('ngeoShareTemplateUrl',
+        '../src/directives/partials/share.html');
+
+    win = {
+      'location': '',
+      'history': {'replaceState': function() {}},
+      'document': {'execCommand': function() {}}
+    };
+    module(function($provide) {
+      $provide.value('$window', win);
+    });
+  });
+
+  describe('with a short URL', function() {
+
+    beforeEach(function() {
+      compile('http://domain.com/some/path?map_x=1');
+    });
+
+    it('displays the long URL', function() {
+      expect(getInputUrl()).toBe('http://domain.com/some/path?map_x=1');
+      expect(shorten).not.toHaveBeenCalled();
+    });
+
+    it('shortens the URL when the short link is asked for', function() {
+      getButton(1).triggerHandler('click');
+      expect(shorten).toHaveBeenCalledWith(
+          'http://domain.com/some/path?map_x=1');
+      expect(element.scope()['shareCtrl'].loading).toBe(true);
+
+      $rootScope.$apply(function() {
+        deferred.resolve('http://domain.com/s/abc');
+      });
+      expect(getInputUrl()).toBe('http://domain.com/s/abc');
+
+      // the short URL is not requested again
+      getButton(0).triggerHandler('click');
+      getButton(1).triggerHandler('click');
+      expect(shorten.callCount).toBe(1);
+      expect(getInputUrl()).toBe('http://domain.com/s/abc');
+    });
+
+    it('displays the long URL if the shortener fails', function() {
+      getButton(1).triggerHandler('click');
+      $rootScope.$apply(function() {
+        deferred.reject();
+      });
+      var shareCtrl = element.scope()['shareCtrl'];
+      expect(shareCtrl.error).toBe(true);
+      expect(shareCtrl.showShortUrl).toBe(false);
+      expect(getInputUrl()).toBe('http://domain.com/some/path?map_x=1');
+    });
+
+    it('resets the short URL when the location changes', function() {
+      getButton(1).triggerHandler('click');
+      $rootScope.$apply(function() {
+        deferred.resolve('http://domain.com/s/abc');
+      });
+
+      ngeoLocation.updateParams({'map_x': '2'});
+      $rootScope.$broadcast('ngeoLocationChange');
+      $rootScope.$digest();
+      expect(shorten.callCount).toBe(2);
+      expect(shorten.mostRecentCall.args[0]).toBe(
+          'http://domain.com/some/path?map_x=2');
+
+      $rootScope.$apply(function() {
+        deferred.resolve('http://domain.com/s/def');
+      });
+      expect(getInputUrl()).toBe('http://domain.com/s/def');
+    });
+  });
+
+  describe('with a URL longer than the maximum length', function() {
+
+    var longUrl;
+
+    beforeEach(function() {
+      longUrl = 'http://domain.com/some/path?map_features=' +
+          goog.string.repeat('a', ngeo.ShortUrl.MAX_LENGTH);
+      compile(longUrl);
+    });
+
+    it('shortens the URL when it is opened', function() {
+      expect(shorten).toHaveBeenCalledWith(longUrl);
+      $rootScope.$apply(function() {
+        deferred.resolve('http://domain.com/s/abc');
+      });
+      expect(getInputUrl()).toBe('http://domain.com/s/abc');
+    });
+
+    it('does not allow displaying the long URL', function() {
+      expect(getButton(0).attr('disabled')).toBe('disabled');
+    });
+
+    it('falls back to the long URL if the shortener fails', function() {
+      $rootScope.$apply(function() {
+        deferred.reject();
+      });
+      expect(getInputUrl()).toBe(longUrl);
+      expect(element.find('p').eq(1).hasClass('ng-hide')).toBe(false);
+    });
+  });
+});
@@ -1,12 +1,17 @@
 goog.require('ol.Feature');
+goog.require('ol.geom.Circle');
+goog.require('ol.geom.GeometryCollection');
 goog.require('ol.geom.MultiLineString');
 goog.require('ol.geom.MultiPoint');
 goog.require('ol.geom.MultiPolygon');
 goog.require('ol.geom.LineString');
 goog.require('ol.geom.Point');
 goog.require('ol.geom.Polygon');
+goog.require('ol.proj');
 goog.require('ol.style.Circle');
 goog.require('ol.style.Fill');
+goog.require('ol.style.Icon');
+goog.require('ol.style.ImageState');
 goog.require('ol.style.Stroke');
 goog.require('ol.style.Style');
 goog.require('ol.style.Text');
@@ -121,6 +126,35 @@ describe('ngeo.format.FeatureHash', function() {
 
     });
 
+    describe('circle decoding', function() {
+
+      it('correctly decodes a circle', function() {
+        var circle = fhFormat.readGeometry('c(__B.)');
+        expect(circle instanceof ol.geom.Circle).toBeTruthy();
+        expect(circle.getCenter()).toEqual([1, 1]);
+        expect(circle.getRadius()).toBe(3);
+      });
+
+    });
+
+    describe('geometry collection decoding', function() {
+
+      it('correctly decodes a geometry collection', function() {
+        var collection = fhFormat.readGeometry(
+            'g(p(__)l(--__)A(--DD.K\'!F_..!-.)(!_!!.D))');
+        expect(collection instanceof ol.geom.GeometryCollection).toBeTruthy();
+        var geometries = collection.getGeometries();
+        expect(geometries.length).toBe(3);
+        expect(geometries[0] instanceof ol.geom.Point).toBeTruthy();
+        expect(geometries[0].getCoordinates()).toEqual([1, 1]);
+        expect(geometries[1] instanceof ol.geom.LineString).toBeTruthy();
+        expect(geometries[1].getCoordinates()).toEqual([[0, 0], [1, 1]]);
+        expect(geometries[2] instanceof ol.geom.MultiPolygon).toBeTruthy();
+        expect(geometries[2].getPolygons().length).toBe(2);
+      });
+
+    });
+
     describe('feature decoding', function() {
 
       it('correctly decodes a feature', function() {
@@ -195,6 +229,79 @@ describe('ngeo.format.FeatureHash', function() {
       });
     });
 
+    describe('versioned features decoding', function() {
+
+      it('correctly decodes version 1 features', function() {
+        var features = fhFormat.readFeatures('F1p(__)l(..__)');
+        expect(features.length).toBe(2);
+        expect(features[0].getGeometry().getCoordinates()).toEqual([1, 1]);
+        expect(features[1].getGeometry().getCoordinates()).toEqual(
+            [[0, 0], [1, 1]]);
+      });
+
+      it('throws on unsupported versions', function() {
+        expect(function() {
+          fhFormat.readFeatures('F99p(__)');
+        }).toThrow(new Error('Unsupported feature hash version: 99'));
+      });
+
+    });
+
+    describe('feature decoding with icon', function() {
+      it('correctly decodes a feature with an icon', function() {
+        var feature = fhFormat.readFeature(
+            'p(__~foo*foo~iconSrc*http%3A%2F%2Fexample.com%2Fm%28a%29.png\'' +
+            'iconScale*2\'iconAnchor*0.5%2C1\'iconRotation*1.5\'' +
+            'iconOpacity*0.8\'fontSize*12px\'fontColor*%230101ff)');
+        expect(feature instanceof ol.Feature).toBeTruthy();
+        var geometry = feature.getGeometry();
+        expect(geometry instanceof ol.geom.Point).toBeTruthy();
+        expect(geometry.getCoordinates()).toEqual([1, 1]);
+        expect(feature.get('foo')).toBe('foo');
+        var style = feature.getStyle();
+        expect(style instanceof ol.style.Style).toBeTruthy();
+        var imageStyle = style.getImage();
+        expect(imageStyle instanceof ol.style.Icon).toBeTruthy();
+        expect(imageStyle.getSrc()).toBe('http://example.com/m(a).png');
+        expect(imageStyle.getScale()).toBe(2);
+        expect(imageStyle.getRotation()).toBe(1.5);
+        expect(imageStyle.getOpacity()).toBe(0.8);
+        // the anchor is only known once the size of the image is
+        expect(imageStyle.getAnchor()).toBeNull();
+        spyOn(imageStyle, 'getSize').andReturn([32, 32]);
+        expect(imageStyle.getAnchor()).toEqual([16, 32]);
+        var textStyle = style.getText();
+        expect(textStyle instanceof ol.style.Text).toBeTruthy();
+        expect(textStyle.getFont()).toBe('12px sans-serif');
+      });
+
+      it('encodes the anchor of the decoded icon before it is loaded',
+          function() {
+            var text = 'p(__~foo*foo~iconSrc*marker.png\'iconAnchor*0%2C1)';
+            var feature = fhFormat.readFeature(text);
+            expect(feature.getStyle().getImage().getSize()).toBeNull();
+            expect(fhFormat.writeFeature(feature)).toBe(text);
+          });
+
+      it('forgets the anchor of the decoded icon once it is loaded',
+          function() {
+            spyOn(ol.style.Icon.prototype, 'load');
+            spyOn(ol.style.Icon.prototype, 'listenImageChange')
+                .andCallThrough();
+            var feature = fhFormat.readFeature(
+                'p(__~foo*foo~iconSrc*unloaded.png\'iconAnchor*0%2C1)');
+            var imageStyle = feature.getStyle().getImage();
+            expect(imageStyle.load).toHaveBeenCalled();
+
+            spyOn(imageStyle, 'getImageState').andReturn(
+                ol.style.ImageState.LOADED);
+            imageStyle.listenImageChange.mostRecentCall.args[0]();
+            // the anchor is now computed from the size of the image
+            expect(fhFormat.writeFeature(feature)).toBe(
+                'p(__~foo*foo~iconSrc*unloaded.png)');
+          });
+    });
+
     describe('features decoding', function() {
 
       it('correctly decodes features', function() {
@@ -292,6 +399,76 @@ describe('ngeo.format.FeatureHash', function() {
 
     });
 
+    describe('circle encoding', function() {
+
+      it('correctly encodes a circle', function() {
+        var circle = new ol.geom.Circle([1, 1], 3);
+        var result = fhFormat.writeGeometry(circle);
+        expect(result).toBe('c(__B.)');
+      });
+
+    });
+
+    describe('geometry collection encoding', function() {
+
+      it('correctly encodes a geometry collection', function() {
+        var collection = new ol.geom.GeometryCollection([
+          new ol.geom.Point([1, 1]),
+          new ol.geom.LineString([[0, 0], [1, 1]]),
+          new ol.geom.MultiPolygon([
+              [[[0, 0], [4, 4], [4, -4], [0, 0]],
+              [[2, 1], [3, 1], [3, -1], [2, -1], [2, 1]]],
+              [[[0, 0], [-2, -2], [-2, 2], [0, 0]]]
+          ])
+        ]);
+        var result = fhFormat.writeGeometry(collection);
+        expect(result).toBe('g(p(__)l(--__)A(--DD.K\'!F_..!-.)(!_!!.D))');
+      });
+
+    });
+
+    describe('circle and collection features', function() {
+
+      it('round trips circle and collection features', function() {
+        var circleFeature = new ol.Feature({
+          geometry: new ol.geom.Circle([10, 10], 5),
+          foo: 'foo'
+        });
+        circleFeature.setStyle(new ol.style.Style({
+          fill: new ol.style.Fill({
+            color: [255, 1, 1, 1]
+          })
+        }));
+        var collectionFeature = new ol.Feature({
+          geometry: new ol.geom.GeometryCollection([
+            new ol.geom.MultiPolygon([
+                [[[0, 0], [4, 4], [4, -4], [0, 0]]],
+                [[[0, 0], [-2, -2], [-2, 2], [0, 0]]]
+            ]),
+            new ol.geom.Point([1, 1])
+          ]),
+          bar: 'bar'
+        });
+        var result = fhFormat.writeFeatures([circleFeature, collectionFeature]);
+        var features = fhFormat.readFeatures(result);
+        expect(features.length).toBe(2);
+        var circle = features[0].getGeometry();
+        expect(circle instanceof ol.geom.Circle).toBeTruthy();
+        expect(circle.getCenter()).toEqual([10, 10]);
+        expect(circle.getRadius()).toBe(5);
+        expect(features[0].get('foo')).toBe('foo');
+        expect(features[0].getStyle().getFill().getColor()).toBe('#ff0101');
+        var collection = features[1].getGeometry();
+        expect(collection instanceof ol.geom.GeometryCollection).toBeTruthy();
+        var geometries = collection.getGeometries();
+        expect(geometries.length).toBe(2);
+        expect(geometries[0].getPolygons().length).toBe(2);
+        expect(geometries[1].getCoordinates()).toEqual([1, 1]);
+        expect(features[1].get('bar')).toBe('bar');
+      });
+
+    });
+
     describe('point feature encoding', function() {
 
       it('correctly encodes a point feature', function() {
@@ -321,6 +498,49 @@ describe('ngeo.format.FeatureHash', function() {
 
     });
 
+    describe('point feature with icon encoding', function() {
+
+      it('correctly encodes a point feature with an icon', function() {
+        var point = new ol.geom.Point([1, 1]);
+        var feature = new ol.Feature({
+          geometry: point,
+          foo: 'foo'
+        });
+        feature.setStyle(new ol.style.Style({
+          image: new ol.style.Icon({
+            src: 'http://example.com/m(a).png',
+            size: [32, 32],
+            anchor: [0.5, 1],
+            scale: 2,
+            rotation: 1.5,
+            opacity: 0.8
+          })
+        }));
+        var result = fhFormat.writeFeature(feature);
+        expect(result).toBe('p(__~foo*foo~' +
+            'iconSrc*http%3A%2F%2Fexample.com%2Fm%28a%29.png\'' +
+            'iconScale*2\'iconAnchor*0.5%2C1\'iconRotation*1.5\'' +
+            'iconOpacity*0.8)');
+      });
+
+      it('does not encode the default icon values', function() {
+        var point = new ol.geom.Point([1, 1]);
+        var feature = new ol.Feature({
+          geometry: point,
+          foo: 'foo'
+        });
+        feature.setStyle(new ol.style.Style({
+          image: new ol.style.Icon({
+            src: 'marker.png',
+            size: [32, 32]
+          })
+        }));
+        var result = fhFormat.writeFeature(feature);
+        expect(result).toBe('p(__~foo*foo~iconSrc*marker.png)');
+      });
+
+    });
+
     describe('line string feature encoding', function() {
 
       it('correctly encodes a line string feature', function() {
@@ -396,11 +616,229 @@ describe('ngeo.format.FeatureHash', function() {
         });
         var features = [pointFeature, lineStringFeature];
         var result = fhFormat.writeFeatures(features);
-        expect(result).toBe('Fp(__~foo*foo\'bar*bar)l(..__~foo*foo\'bar*bar)');
+        expect(result).toBe(
+            'F1p(__~foo*foo\'bar*bar)l(..__~foo*foo\'bar*bar)');
+      });
+    });
+
+    describe('style without properties encoding', function() {
+
+      it('writes an empty properties part', function() {
+        var feature = new ol.Feature(new ol.geom.LineString([[0, 0], [1, 1]]));
+        feature.setStyle(new ol.style.Style({
+          stroke: new ol.style.Stroke({
+            width: 2,
+            color: [255, 1, 1, 1]
+          })
+        }));
+        var result = fhFormat.writeFeature(feature);
+        expect(result).toBe('l(..__~~strokeColor*%23ff0101\'strokeWidth*2)');
+        var decoded = fhFormat.readFeature(result);
+        expect(decoded.getKeys()).toEqual(['geometry']);
+        expect(decoded.getStyle().getStroke().getWidth()).toBe(2);
+      });
+
+    });
+
+    describe('properties and style transformers', function() {
+
+      var transformFormat;
+
+      beforeEach(function() {
+        transformFormat = new ngeo.format.FeatureHash({
+          encodeProperties: function(properties, feature) {
+            return {'n': properties['name']};
+          },
+          decodeProperties: function(properties) {
+            return {'name': properties['n']};
+          },
+          encodeStyle: function(feature) {
+            return feature.get('marker') ? 'red-marker' : undefined;
+          },
+          decodeStyle: function(id) {
+            return id == 'red-marker' ? redMarker : undefined;
+          }
+        });
+      });
+
+      var redMarker = new ol.style.Style({
+        image: new ol.style.Circle({
+          radius: 3,
+          fill: new ol.style.Fill({
+            color: [255, 0, 0, 1]
+          })
+        })
+      });
+
+      it('encodes the transformed properties and style id', function() {
+        var feature = new ol.Feature({
+          geometry: new ol.geom.Point([1, 1]),
+          name: 'foo',
+          marker: true,
+          description: 'dropped'
+        });
+        var result = transformFormat.writeFeature(feature);
+        expect(result).toBe('p(__~n*foo~styleId*red-marker)');
+      });
+
+      it('encodes the style if there is no style id', function() {
+        var feature = new ol.Feature({
+          geometry: new ol.geom.Point([1, 1]),
+          name: 'foo'
+        });
+        feature.setStyle(redMarker);
+        var result = transformFormat.writeFeature(feature);
+        expect(result).toBe('p(__~n*foo~pointRadius*3\'fillColor*%23ff0000)');
+      });
+
+      it('decodes the transformed properties and style id', function() {
+        var feature = transformFormat.readFeature(
+            'p(__~n*foo~styleId*red-marker)');
+        expect(feature.get('name')).toBe('foo');
+        expect(feature.get('n')).toBeUndefined();
+        expect(feature.getStyle()).toBe(redMarker);
+      });
+
+      it('does not style features with an unknown style id', function() {
+        var feature = transformFormat.readFeature(
+            'p(__~n*foo~styleId*unknown)');
+        expect(feature.getStyle()).toBe(null);
+      });
+
+    });
+
+    describe('simplification', function() {
+
+      it('simplifies lines with the given tolerance', function() {
+        var simplifyFormat = new ngeo.format.FeatureHash({simplify: 1});
+        var lineString = new ol.geom.LineString(
+            [[0, 0], [5, 0.5], [10, 0], [10, 10]]);
+        var result = simplifyFormat.writeGeometry(lineString);
+        expect(result).toBe(fhFormat.writeGeometry(
+            new ol.geom.LineString([[0, 0], [10, 0], [10, 10]])));
+      });
+
+      it('does not simplify polygon rings to less than 3 points', function() {
+        var simplifyFormat = new ngeo.format.FeatureHash({simplify: 10});
+        var polygon = new ol.geom.Polygon(
+            [[[0, 0], [4, 4], [4, -4], [0, 0]]]);
+        var result = simplifyFormat.writeGeometry(polygon);
+        expect(result).toBe(fhFormat.writeGeometry(polygon));
+      });
+
+      it('does not simplify multi points', function() {
+        var simplifyFormat = new ngeo.format.FeatureHash({simplify: 10});
+        var multiPoint = new ol.geom.MultiPoint([[0, 0], [1, 1], [2, 0]]);
+        var result = simplifyFormat.writeGeometry(multiPoint);
+        expect(result).toBe(fhFormat.writeGeometry(multiPoint));
+      });
+
+      describe('with a maximum length', function() {
+
+        var features;
+
+        beforeEach(function() {
+          var coordinates = [];
+          for (var i = 0; i < 200; ++i) {
+            coordinates.push([i * 10, (i % 2) * 10 + i]);
+          }
+          features = [new ol.Feature(new ol.geom.LineString(coordinates))];
+        });
+
+        it('does not simplify when the budget is not exceeded', function() {
+          var budgetFormat = new ngeo.format.FeatureHash({maxLength: 10000});
+          var result = budgetFormat.writeFeatures(features);
+          expect(result).toBe(fhFormat.writeFeatures(features));
+        });
+
+        it('simplifies until the budget is met', function() {
+          var budgetFormat = new ngeo.format.FeatureHash({maxLength: 100});
+          var result = budgetFormat.writeFeatures(features);
+          expect(fhFormat.writeFeatures(features).length).toBeGreaterThan(100);
+          expect(result.length).not.toBeGreaterThan(100);
+          var decoded = budgetFormat.readFeatures(result);
+          expect(decoded.length).toBe(1);
+          var geometry = decoded[0].getGeometry();
+          expect(geometry instanceof ol.geom.LineString).toBeTruthy();
+          var coordinates = geometry.getCoordinates();
+          expect(coordinates[0]).toEqual([0, 0]);
+          expect(coordinates[coordinates.length - 1]).toEqual([1990, 209]);
+          expect(budgetFormat.getMaxLengthExceeded()).toBe(false);
+        });
+
+        it('reports when the budget cannot be met', function() {
+          var points = [];
+          for (var i = 0; i < 50; ++i) {
+            points.push([i * 100, i * 100]);
+          }
+          features.push(new ol.Feature(new ol.geom.MultiPoint(points)));
+          var budgetFormat = new ngeo.format.FeatureHash({maxLength: 100});
+          var result = budgetFormat.writeFeatures(features);
+          expect(result.length).toBeGreaterThan(100);
+          expect(budgetFormat.getMaxLengthExceeded()).toBe(true);
+
+          // the next texts are checked again
+          budgetFormat.writeFeatures([features[0]]);
+          expect(budgetFormat.getMaxLengthExceeded()).toBe(false);
+        });
+
       });
+
     });
 
-    describe('OpenLayers.Format.URLCompressed compatibility', function() {
+    describe('coordinates transformation', function() {
+
+      var coordinate;
+
+      beforeEach(function() {
+        fhFormat = new ngeo.format.FeatureHash({
+          accuracy: 0.001,
+          defaultDataProjection: 'EPSG:4326'
+        });
+        coordinate = ol.proj.transform([7, 46], 'EPSG:4326', 'EPSG:3857');
+      });
+
+      it('encodes coordinates in the data projection', function() {
+        var point = new ol.geom.Point(coordinate);
+        var result = fhFormat.writeGeometry(point, {
+          featureProjection: 'EPSG:3857'
+        });
+        // the feature geometry is not modified
+        expect(point.getCoordinates()).toEqual(coordinate);
+        var decoded = fhFormat.readGeometry(result).getCoordinates();
+        expect(decoded[0]).toBeCloseTo(7, 2);
+        expect(decoded[1]).toBeCloseTo(46, 2);
+      });
+
+      it('decodes coordinates in the feature projection', function() {
+        var features = fhFormat.readFeatures(
+            fhFormat.writeFeatures([new ol.Feature(new ol.geom.Point(
+                [7, 46]))]), {
+              featureProjection: 'EPSG:3857'
+            });
+        expect(features.length).toBe(1);
+        var decoded = features[0].getGeometry().getCoordinates();
+        expect(decoded[0]).toBeCloseTo(coordinate[0], -1);
+        expect(decoded[1]).toBeCloseTo(coordinate[1], -1);
+      });
+
+      it('honours the dataProjection option', function() {
+        var point = new ol.geom.Point([7, 46]);
+        var result = fhFormat.writeGeometry(point, {
+          dataProjection: 'EPSG:3857',
+          featureProjection: 'EPSG:4326'
+        });
+        var decoded = fhFormat.readGeometry(result, {
+          dataProjection: 'EPSG:3857',
+          featureProjection: 'EPSG:4326'
+        }).getCoordinates();
+        expect(decoded[0]).toBeCloseTo(7, 2);
+        expect(decoded[1]).toBeCloseTo(46, 2);
+      });
+
+    });
+
+    describe('OpenLayers.Format.URLCompressed texts', function() {
 
       //
       // OpenLayers.Format.URLCompressed encodes the polygon
@@ -418,19 +856,6 @@ describe('ngeo.format.FeatureHash', function() {
         fhFormat = new ngeo.format.FeatureHash({accuracy: 0.1});
       });
 
-      it('encodes as expected', function() {
-        var polygon = new ol.geom.Polygon([[
-            [538820, 153580], [538720, 151980], [540400, 151300],
-            [541040, 151920], [541080, 153060], [540340, 154120],
-            [538820, 153580]]]);
-        var polygonFeature = new ol.Feature({
-          geometry: polygon
-        });
-        var features = [polygonFeature];
-        var result = fhFormat.writeFeatures(features);
-        expect(result).toBe('Fa(huv9Fhmrx_gy-z801u1-z9I1hHh4H1Uh9RgfJhqP)');
-      });
-
       it('decodes as expected', function() {
         var features = fhFormat.readFeatures(
             'Fa(huv9Fhmrx_gy-z801u1-z9I1hHh4H1Uh9RgfJhqP)');
@@ -451,6 +876,23 @@ describe('ngeo.format.FeatureHash', function() {
         expect(coordinates[5]).toEqual([540340, 154120]);
         expect(coordinates[6]).toEqual([538820, 153580]);
       });
+
+      it('encodes the geometries in the same way, after a version number',
+          function() {
+            // the version number makes the text unreadable by
+            // OpenLayers.Format.URLCompressed
+            var polygon = new ol.geom.Polygon([[
+                [538820, 153580], [538720, 151980], [540400, 151300],
+                [541040, 151920], [541080, 153060], [540340, 154120],
+                [538820, 153580]]]);
+            var polygonFeature = new ol.Feature({
+              geometry: polygon
+            });
+            var features = [polygonFeature];
+            var result = fhFormat.writeFeatures(features);
+            expect(result).toBe(
+                'F1a(huv9Fhmrx_gy-z801u1-z9I1hHh4H1Uh9RgfJhqP)');
+          });
     });
 
   });
@@ -0,0 +1,346 @@
+goog.require('goog.array');
+goog.require('ngeo.interaction.MeasureLength');
+goog.require('ngeo.interaction.MeasureUnits');
+goog.require('ol.Feature');
+goog.require('ol.Map');
+goog.require('ol.View');
+goog.require('ol.geom.LineString');
+goog.require('ol.geom.Polygon');
+goog.require('ol.interaction.Draw');
+goog.require('ol.interaction.Modify');
+goog.require('ol.interaction.Snap');
+goog.require('ol.proj.Projection');
+goog.require('ol.source.Vector');
+
+describe('ngeo.interaction.Measure', function() {
+
+  var map;
+
+  beforeEach(function() {
+    map = new ol.Map({
+      interactions: [],
+      view: new ol.View({
+        center: [0, 0],
+        resolution: 1
+      })
+    });
+  });
+
+  describe('snap and modify', function() {
+
+    var measure;
+
+    /**
+     * @param {Function} type Type of interaction.
+     * @return {Array.<ol.interaction.Interaction>} The interactions of the
+     *     map of this type.
+     */
+    var getInteractions = function(type) {
+      return goog.array.filter(map.getInteractions().getArray(),
+          function(interaction) {
+            return interaction instanceof type;
+          });
+    };
+
+    beforeEach(function() {
+      measure = new ngeo.interaction.MeasureLength({
+        modify: true,
+        snapSources: [new ol.source.Vector(), new ol.source.Vector()]
+      });
+      map.addInteraction(measure);
+    });
+
+    it('adds the draw, modify and snap interactions to the map', function() {
+      expect(getInteractions(ol.interaction.Draw).length).toBe(1);
+      expect(getInteractions(ol.interaction.Modify).length).toBe(1);
+      expect(getInteractions(ol.interaction.Snap).length).toBe(2);
+
+      // the snap interactions handle the events first
+      var interactions = map.getInteractions().getArray();
+      var modifyIndex = goog.array.indexOf(interactions,
+          getInteractions(ol.interaction.Modify)[0]);
+      goog.array.forEach(getInteractions(ol.interaction.Snap),
+          function(snap) {
+            expect(goog.array.indexOf(interactions, snap)).toBeGreaterThan(
+                modifyIndex);
+          });
+    });
+
+    it('does not add a modify interaction by default', function() {
+      map.removeInteraction(measure);
+      map.addInteraction(new ngeo.interaction.MeasureLength());
+      expect(getInteractions(ol.interaction.Draw).length).toBe(1);
+      expect(getInteractions(ol.interaction.Modify).length).toBe(0);
+      expect(getInteractions(ol.interaction.Snap).length).toBe(0);
+    });
+
+    it('activates the interactions with the measure interaction',
+        function() {
+          var interactions = goog.array.filter(
+              map.getInteractions().getArray(), function(interaction) {
+                return interaction !== measure;
+              });
+          expect(interactions.length).toBe(4);
+
+          measure.setActive(false);
+          goog.array.forEach(interactions, function(interaction) {
+            expect(interaction.getActive()).toBe(false);
+          });
+
+          measure.setActive(true);
+          goog.array.forEach(interactions, function(interaction) {
+            expect(interaction.getActive()).toBe(true);
+          });
+        });
+
+    it('removes the interactions from the map', function() {
+      map.removeInteraction(measure);
+      expect(map.getInteractions().getLength()).toBe(0);
+    });
+
+    it('measures the modified measurements', function() {
+      var feature = new ol.Feature(new ol.geom.LineString([[0, 0], [10, 0]]));
+      measure.getResults().push(feature);
+      spyOn(measure, 'handleMeasure').andCallThrough();
+
+      feature.getGeometry().setCoordinates([[0, 0], [20, 0]]);
+      expect(measure.handleMeasure).toHaveBeenCalledWith(
+          jasmine.any(Function), feature);
+    });
+  });
+
+  describe('results', function() {
+
+    var feature;
+
+    beforeEach(function() {
+      feature = new ol.Feature(new ol.geom.LineString([[0, 0], [10, 0]]));
+    });
+
+    it('displays a tooltip for the features added to the results',
+        function() {
+          var measure = new ngeo.interaction.MeasureLength();
+          map.addInteraction(measure);
+          measure.getResults().push(feature);
+
+          var overlays = map.getOverlays();
+          expect(overlays.getLength()).toBe(1);
+          var overlay = overlays.item(0);
+          expect(overlay.getElement().innerHTML).toBe(
+              measure.formatLength(feature.getGeometry()));
+          expect(overlay.getPosition()).toEqual([10, 0]);
+
+          feature.getGeometry().setCoordinates([[0, 0], [20, 0]]);
+          expect(overlay.getElement().innerHTML).toBe(
+              measure.formatLength(feature.getGeometry()));
+          expect(overlay.getPosition()).toEqual([20, 0]);
+        });
+
+    it('removes the tooltip of the removed results', function() {
+      var measure = new ngeo.interaction.MeasureLength({keepResults: true});
+      map.addInteraction(measure);
+      var other = new ol.Feature(new ol.geom.LineString([[0, 0], [0, 10]]));
+      measure.getResults().extend([feature, other]);
+      expect(map.getOverlays().getLength()).toBe(2);
+
+      var element = map.getOverlays().item(0).getElement();
+      expect(element.parentNode).not.toBeNull();
+      measure.getResults().remove(feature);
+      expect(map.getOverlays().getLength()).toBe(1);
+      expect(element.parentNode).toBeNull();
+
+      feature.getGeometry().setCoordinates([[0, 0], [20, 0]]);
+      expect(element.innerHTML).not.toBe(
+          measure.formatLength(feature.getGeometry()));
+    });
+
+    it('clears the results when it is deactivated', function() {
+      var measure = new ngeo.interaction.MeasureLength();
+      map.addInteraction(measure);
+      measure.getResults().push(feature);
+
+      measure.setActive(false);
+      expect(measure.getResults().getLength()).toBe(0);
+      expect(map.getOverlays().getLength()).toBe(0);
+    });
+
+    it('keeps the results with the keepResults option', function() {
+      var measure = new ngeo.interaction.MeasureLength({keepResults: true});
+      map.addInteraction(measure);
+      measure.getResults().push(feature);
+
+      measure.setActive(false);
+      expect(measure.getResults().getArray()).toEqual([feature]);
+      expect(map.getOverlays().getLength()).toBe(1);
+    });
+
+    it('moves the tooltips to the new map', function() {
+      var measure = new ngeo.interaction.MeasureLength({keepResults: true});
+      map.addInteraction(measure);
+      measure.getResults().push(feature);
+
+      var otherMap = new ol.Map({
+        interactions: [],
+        view: new ol.View({
+          center: [0, 0],
+          resolution: 1
+        })
+      });
+      map.removeInteraction(measure);
+      otherMap.addInteraction(measure);
+      expect(map.getOverlays().getLength()).toBe(0);
+      expect(otherMap.getOverlays().getLength()).toBe(1);
+    });
+  });
+
+  describe('measures', function() {
+
+    /**
+     * @param {ngeox.interaction.MeasureOptions=} opt_options Options.
+     * @param {ol.proj.Projection=} opt_projection Projection of the view.
+     * @return {ngeo.interaction.Measure} The measure interaction, added to
+     *     a map.
+     */
+    var createMeasure = function(opt_options, opt_projection) {
+      var measure = new ngeo.interaction.MeasureLength(opt_options);
+      map.setView(new ol.View({
+        center: [0, 0],
+        projection: goog.isDef(opt_projection) ?
+            opt_projection : 'EPSG:3857',
+        resolution: 1
+      }));
+      map.addInteraction(measure);
+      return measure;
+    };
+
+    var feet = new ol.proj.Projection({
+      code: 'TEST-FEET',
+      units: 'ft'
+    });
+
+    describe('#getLength', function() {
+
+      it('returns the geodesic length by default', function() {
+        var measure = createMeasure({}, 'EPSG:4326');
+        var line = new ol.geom.LineString([[0, 0], [1, 0]]);
+        // one degree of the equator on the WGS84 sphere
+        expect(measure.getLength(line)).toBeCloseTo(111319.49, 1);
+      });
+
+      it('multiplies the planar length by the meters per unit', function() {
+        var measure = createMeasure({geodesic: false}, feet);
+        var line = new ol.geom.LineString([[0, 0], [60, 80]]);
+        expect(measure.getLength(line)).toBeCloseTo(100 * 0.3048, 6);
+      });
+    });
+
+    describe('#getArea', function() {
+
+      var square = new ol.geom.Polygon([
+        [[0, 0], [1, 0], [1, 1], [0, 1], [0, 0]]
+      ]);
+
+      it('returns the geodesic area by default', function() {
+        var measure = createMeasure({}, 'EPSG:4326');
+        expect(measure.getArea(square) / 12391399902.07).toBeCloseTo(1, 6);
+      });
+
+      it('multiplies the planar area by the squared meters per unit',
+          function() {
+            var measure = createMeasure({geodesic: false}, feet);
+            var polygon = new ol.geom.Polygon([
+              [[0, 0], [0, 100], [100, 100], [100, 0], [0, 0]]
+            ]);
+            expect(measure.getArea(polygon)).toBeCloseTo(
+                10000 * 0.3048 * 0.3048, 6);
+          });
+    });
+
+    describe('#formatMeters', function() {
+
+      it('formats metric lengths', function() {
+        var measure = createMeasure();
+        expect(measure.formatMeters(999)).toBe('999 m');
+        expect(measure.formatMeters(1000)).toBe('1000 m');
+        expect(measure.formatMeters(1500)).toBe('1.5 km');
+      });
+
+      it('formats imperial lengths', function() {
+        var measure = createMeasure({
+          units: ngeo.interaction.MeasureUnits.IMPERIAL
+        });
+        expect(measure.formatMeters(30.48)).toBe('100 ft');
+        // one mile
+        expect(measure.formatMeters(1609.344)).toBe('5280 ft');
+        expect(measure.formatMeters(3218.688)).toBe('2 mi');
+      });
+
+      it('formats nautical lengths', function() {
+        var measure = createMeasure({
+          units: ngeo.interaction.MeasureUnits.NAUTICAL
+        });
+        expect(measure.formatMeters(926)).toBe('0.5 NM');
+        expect(measure.formatMeters(18520)).toBe('10 NM');
+      });
+
+      it('formats the planar length of a line', function() {
+        var measure = createMeasure({geodesic: false}, feet);
+        var line = new ol.geom.LineString([[0, 0], [100, 0]]);
+        expect(measure.formatLength(line)).toBe('30.5 m');
+      });
+    });
+
+    describe('#formatSquareMeters', function() {
+
+      it('formats metric areas', function() {
+        var measure = createMeasure();
+        expect(measure.formatSquareMeters(500000)).toBe(
+            '500000 m<sup>2</sup>');
+        expect(measure.formatSquareMeters(2500000)).toBe(
+            '2.5 km<sup>2</sup>');
+      });
+
+      it('formats imperial areas', function() {
+        var measure = createMeasure({
+          units: ngeo.interaction.MeasureUnits.IMPERIAL
+        });
+        expect(measure.formatSquareMeters(0.3048 * 0.3048)).toBe(
+            '1 ft<sup>2</sup>');
+        // two square miles
+        expect(measure.formatSquareMeters(5179976.220672)).toBe(
+            '2 mi<sup>2</sup>');
+      });
+
+      it('formats nautical areas', function() {
+        var measure = createMeasure({
+          units: ngeo.interaction.MeasureUnits.NAUTICAL
+        });
+        expect(measure.formatSquareMeters(1852 * 1852)).toBe(
+            '1 NM<sup>2</sup>');
+      });
+    });
+
+    describe('precision and decimals', function() {
+
+      it('rounds to 3 significant digits by default', function() {
+        var measure = createMeasure();
+        expect(measure.formatMeters(1234)).toBe('1.23 km');
+        expect(measure.formatMeters(12.345)).toBe('12.3 m');
+      });
+
+      it('rounds to the precision', function() {
+        var measure = createMeasure({precision: 2});
+        expect(measure.formatMeters(1234)).toBe('1.2 km');
+        expect(measure.formatMeters(1500)).toBe('1.5 km');
+      });
+
+      it('uses the decimals instead of the precision', function() {
+        var measure = createMeasure({decimals: 2, precision: 2});
+        expect(measure.formatMeters(1234)).toBe('1.23 km');
+        expect(measure.formatMeters(1500)).toBe('1.50 km');
+        expect(measure.formatSquareMeters(12.3456)).toBe(
+            '12.35 m<sup>2</sup>');
+      });
+    });
+  });
+});
@@ -0,0 +1,56 @@
+goog.require('ngeo.interaction.MeasureArea');
+goog.require('ol.Feature');
+goog.require('ol.Map');
+goog.require('ol.View');
+goog.require('ol.geom.Polygon');
+
+describe('ngeo.interaction.MeasureArea', function() {
+
+  var measure;
+  var callback;
+
+  beforeEach(function() {
+    var map = new ol.Map({
+      interactions: [],
+      view: new ol.View({
+        center: [0, 0],
+        resolution: 1
+      })
+    });
+    measure = new ngeo.interaction.MeasureArea({geodesic: false});
+    map.addInteraction(measure);
+    callback = jasmine.createSpy('callback');
+  });
+
+  describe('#handleMeasure', function() {
+
+    it('measures the area and the perimeter', function() {
+      var feature = new ol.Feature(new ol.geom.Polygon([
+        [[0, 0], [100, 0], [100, 100], [0, 100], [0, 0]]
+      ]));
+      measure.handleMeasure(callback, feature);
+      expect(callback).toHaveBeenCalledWith(
+          '10000 m<sup>2</sup><br/>400 m', jasmine.any(Array));
+    });
+
+    it('closes the ring of the sketch to measure the perimeter', function() {
+      var polygon = new ol.geom.Polygon([
+        [[0, 0], [100, 0], [100, 100], [0, 100]]
+      ]);
+      measure.handleMeasure(callback, new ol.Feature(polygon));
+      expect(callback).toHaveBeenCalledWith(
+          '10000 m<sup>2</sup><br/>400 m', jasmine.any(Array));
+      // the sketch is not modified
+      expect(polygon.getCoordinates()[0].length).toBe(4);
+    });
+
+    it('does not place the tooltip of a polygon of 2 vertices', function() {
+      var feature = new ol.Feature(new ol.geom.Polygon([
+        [[0, 0], [100, 0]]
+      ]));
+      measure.handleMeasure(callback, feature);
+      expect(callback).toHaveBeenCalledWith(
+          '0 m<sup>2</sup><br/>200 m', null);
+    });
+  });
+});
@@ -0,0 +1,61 @@
+goog.require('goog.array');
+goog.require('ngeo.interaction.MeasureCircle');
+goog.require('ol.Feature');
+goog.require('ol.Map');
+goog.require('ol.View');
+goog.require('ol.geom.Circle');
+goog.require('ol.interaction.Modify');
+
+describe('ngeo.interaction.MeasureCircle', function() {
+
+  var measure;
+
+  beforeEach(function() {
+    var map = new ol.Map({
+      interactions: [],
+      view: new ol.View({
+        center: [0, 0],
+        resolution: 1
+      })
+    });
+    measure = new ngeo.interaction.MeasureCircle({geodesic: false});
+    map.addInteraction(measure);
+  });
+
+  describe('#handleMeasure', function() {
+
+    it('measures the radius, circumference and area', function() {
+      var callback = jasmine.createSpy('callback');
+      var feature = new ol.Feature(new ol.geom.Circle([1000, 2000], 100));
+      measure.handleMeasure(callback, feature);
+      expect(callback).toHaveBeenCalledWith(
+          'r = 100 m<br/>C = 628 m<br/>A = 31400 m<sup>2</sup>',
+          [1000, 2000]);
+    });
+
+    it('measures the feature being drawn by default', function() {
+      var callback = jasmine.createSpy('callback');
+      measure.sketchFeature = new ol.Feature(
+          new ol.geom.Circle([1000, 2000], 100));
+      measure.handleMeasure(callback);
+      expect(callback).toHaveBeenCalledWith(
+          'r = 100 m<br/>C = 628 m<br/>A = 31400 m<sup>2</sup>',
+          [1000, 2000]);
+    });
+  });
+
+  it('ignores the modify option', function() {
+    var map = new ol.Map({
+      interactions: [],
+      view: new ol.View({
+        center: [0, 0],
+        resolution: 1
+      })
+    });
+    map.addInteraction(new ngeo.interaction.MeasureCircle({modify: true}));
+    expect(goog.array.some(map.getInteractions().getArray(),
+        function(interaction) {
+          return interaction instanceof ol.interaction.Modify;
+        })).toBe(false);
+  });
+});
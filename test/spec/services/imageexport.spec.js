@@ -0,0 +1,243 @@
+goog.require('goog.events');
+goog.require('ngeo.ImageExport');
+goog.require('ol.Attribution');
+goog.require('ol.Map');
+goog.require('ol.MapEvent');
+goog.require('ol.MapEventType');
+goog.require('ol.View');
+goog.require('ol.layer.Tile');
+goog.require('ol.render.Event');
+goog.require('ol.render.EventType');
+goog.require('ol.source.Tile');
+goog.require('ol.source.TileEvent');
+goog.require('ol.source.TileEventType');
+
+describe('ngeo.ImageExport', function() {
+
+  var ngeoImageExport;
+
+  beforeEach(function() {
+    inject(function($injector) {
+      ngeoImageExport = $injector.get('ngeoImageExport');
+    });
+  });
+
+  describe('#getImageSize', function() {
+
+    it('returns the paper size at 72 DPI', function() {
+      expect(ngeoImageExport.getImageSize([555, 675], 72)).toEqual(
+          [555, 675]);
+    });
+
+    it('scales the paper size to the DPI', function() {
+      expect(ngeoImageExport.getImageSize([555, 675], 150)).toEqual(
+          [1156, 1406]);
+    });
+  });
+
+  describe('#exportMap', function() {
+
+    var $rootScope;
+    var $timeout;
+    var map;
+    var source;
+    var resolved;
+    var rejected;
+
+    /**
+     * @param {ngeox.ImageExportOptions=} opt_options Options.
+     */
+    var exportMap = function(opt_options) {
+      var options = goog.isDef(opt_options) ? opt_options : {
+        paperSize: [100, 100],
+        scale: 25000
+      };
+      ngeoImageExport.exportMap(map, options).then(resolved, rejected);
+    };
+
+    /**
+     * @param {string} type Type of the event.
+     * @param {Object} tile The tile.
+     */
+    var dispatchTileEvent = function(type, tile) {
+      source.dispatchEvent(new ol.source.TileEvent(type,
+          /** @type {ol.Tile} */ (tile)));
+    };
+
+    /**
+     * @param {number} delay Delay in milliseconds.
+     */
+    var flush = function(delay) {
+      $timeout.flush(delay);
+      $rootScope.$digest();
+    };
+
+    beforeEach(function() {
+      inject(function($injector) {
+        $rootScope = $injector.get('$rootScope');
+        $timeout = $injector.get('$timeout');
+      });
+
+      // the maps are not rendered, the render events are dispatched with
+      // an empty canvas of the size of the image
+      var canvas = document.createElement('canvas');
+      canvas.width = 100;
+      canvas.height = 100;
+      var context = canvas.getContext('2d');
+      spyOn(ol.Map.prototype, 'render').andCallFake(function() {
+        this.dispatchEvent(new ol.render.Event(
+            ol.render.EventType.POSTCOMPOSE, this, undefined, undefined,
+            context));
+        this.dispatchEvent(new ol.MapEvent(ol.MapEventType.POSTRENDER, this));
+      });
+      spyOn(ol.Map.prototype, 'dispose').andCallThrough();
+
+      source = new ol.source.Tile({
+        attributions: [new ol.Attribution({
+          html: '&copy; <a href="http://www.openstreetmap.org">OSM</a> ' +
+              'contributors'
+        })]
+      });
+      map = new ol.Map({
+        layers: [new ol.layer.Tile({source: source})],
+        view: new ol.View({
+          center: [0, 0],
+          resolution: 1
+        })
+      });
+
+      resolved = jasmine.createSpy('resolved');
+      rejected = jasmine.createSpy('rejected');
+    });
+
+    it('resolves with a PNG image once the map is rendered', function() {
+      exportMap();
+      flush(100);
+      expect(resolved).toHaveBeenCalledWith(jasmine.any(Blob));
+      expect(resolved.mostRecentCall.args[0].type).toBe('image/png');
+      expect(rejected).not.toHaveBeenCalled();
+    });
+
+    it('waits for the loads started during the export', function() {
+      var tile = {};
+      exportMap();
+      dispatchTileEvent(ol.source.TileEventType.TILELOADSTART, tile);
+      flush(100);
+      expect(resolved).not.toHaveBeenCalled();
+
+      dispatchTileEvent(ol.source.TileEventType.TILELOADEND, tile);
+      flush(100);
+      expect(resolved).toHaveBeenCalled();
+    });
+
+    it('ignores the end of the loads started before the export', function() {
+      var tile = {};
+      exportMap();
+      dispatchTileEvent(ol.source.TileEventType.TILELOADSTART, tile);
+      // a tile loaded by the map since before the export
+      dispatchTileEvent(ol.source.TileEventType.TILELOADEND, {});
+      flush(100);
+      expect(resolved).not.toHaveBeenCalled();
+
+      dispatchTileEvent(ol.source.TileEventType.TILELOADERROR, tile);
+      flush(100);
+      expect(resolved).toHaveBeenCalled();
+    });
+
+    it('renders the export map again at the end of a load', function() {
+      exportMap();
+      var count = ol.Map.prototype.render.callCount;
+      dispatchTileEvent(ol.source.TileEventType.TILELOADEND, {});
+      expect(ol.Map.prototype.render.callCount).toBe(count + 1);
+    });
+
+    it('disposes the export map after the export', function() {
+      exportMap();
+      flush(100);
+      expect(ol.Map.prototype.dispose.callCount).toBe(1);
+      expect(ol.Map.prototype.dispose.mostRecentCall.object).not.toBe(map);
+      expect(goog.events.hasListener(
+          source, ol.source.TileEventType.TILELOADSTART)).toBe(false);
+    });
+
+    it('rejects and disposes the export map on timeout', function() {
+      exportMap({
+        paperSize: [100, 100],
+        scale: 25000,
+        timeout: 5000
+      });
+      dispatchTileEvent(ol.source.TileEventType.TILELOADSTART, {});
+      flush(5000);
+      expect(resolved).not.toHaveBeenCalled();
+      expect(rejected).toHaveBeenCalledWith(jasmine.any(Error));
+      expect(ol.Map.prototype.dispose.callCount).toBe(1);
+      expect(goog.events.hasListener(
+          source, ol.source.TileEventType.TILELOADSTART)).toBe(false);
+      $timeout.verifyNoPendingTasks();
+    });
+
+    describe('overlays', function() {
+
+      var context;
+
+      beforeEach(function() {
+        context = CanvasRenderingContext2D.prototype;
+        spyOn(context, 'fillText').andCallThrough();
+        spyOn(context, 'arc').andCallThrough();
+      });
+
+      it('draws no overlays by default', function() {
+        exportMap();
+        flush(100);
+        expect(context.fillText).not.toHaveBeenCalled();
+        expect(context.arc).not.toHaveBeenCalled();
+      });
+
+      it('draws the title', function() {
+        exportMap({
+          paperSize: [100, 100],
+          scale: 25000,
+          title: 'My map'
+        });
+        flush(100);
+        expect(context.fillText).toHaveBeenCalledWith('My map', 50,
+            jasmine.any(Number), jasmine.any(Number));
+      });
+
+      it('draws the north arrow', function() {
+        exportMap({
+          paperSize: [100, 100],
+          scale: 25000,
+          northArrow: true
+        });
+        flush(100);
+        expect(context.arc).toHaveBeenCalledWith(0, 0, 15, 0, 2 * Math.PI);
+      });
+
+      it('draws the scale bar with a round length', function() {
+        // the resolution is 25000 / (39.37 * 72) = 8.82 m, the bar is at
+        // most 100 / 4 * 8.82 = 220 m long
+        exportMap({
+          paperSize: [100, 100],
+          scale: 25000,
+          scaleBar: true
+        });
+        flush(100);
+        expect(context.fillText).toHaveBeenCalledWith('200 m',
+            jasmine.any(Number), jasmine.any(Number));
+      });
+
+      it('draws the text of the attributions', function() {
+        exportMap({
+          paperSize: [100, 100],
+          scale: 25000,
+          attribution: true
+        });
+        flush(100);
+        expect(context.fillText).toHaveBeenCalledWith(
+            '\u00a9 OSM contributors', jasmine.any(Number),
+            jasmine.any(Number), jasmine.any(Number));
+      });
+    });
+  });
+});
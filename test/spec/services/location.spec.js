@@ -3,18 +3,33 @@ goog.require('ngeo.Location');
 describe('ngeo.Location', function() {
   var win;
   var ngeoLocation;
+  var $rootScope;
+  var $timeout;
+  var popstateListener;
 
   beforeEach(function() {
+    popstateListener = undefined;
     win = {
       'location': 'http://domain.com/some/path?some=param',
-      'history': {'replaceState': function() {}}
+      'history': {
+        'pushState': function() {},
+        'replaceState': function() {}
+      },
+      'addEventListener': function(type, listener) {
+        if (type == 'popstate') {
+          popstateListener = listener;
+        }
+      }
     };
+    spyOn(win.history, 'pushState');
     spyOn(win.history, 'replaceState');
     module(function($provide) {
       $provide.value('$window', win);
     });
     inject(function($injector) {
       ngeoLocation = $injector.get('ngeoLocation');
+      $rootScope = $injector.get('$rootScope');
+      $timeout = $injector.get('$timeout');
     });
   });
 
@@ -66,5 +81,190 @@ describe('ngeo.Location', function() {
       expect(win.history.replaceState).toHaveBeenCalledWith(
         null, '', 'http://domain.com/some/path?some=param');
     });
+    it('calls history.pushState in push mode', function() {
+      ngeoLocation.setHistoryMode(ngeo.LocationHistoryMode.PUSH);
+      ngeoLocation.refresh();
+      expect(win.history.pushState).toHaveBeenCalledWith(
+        null, '', 'http://domain.com/some/path?some=param');
+      expect(win.history.replaceState).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('typed params', function() {
+    var $log;
+
+    beforeEach(function() {
+      inject(function($injector) {
+        $log = $injector.get('$log');
+      });
+      ngeoLocation.declareParams({
+        'zoom': {
+          type: ngeo.LocationParamType.NUMBER,
+          defaultValue: 2,
+          validate: function(zoom) {
+            return zoom >= 0 && zoom <= 20;
+          }
+        },
+        'center': {type: ngeo.LocationParamType.COORDINATE},
+        'debug': {type: ngeo.LocationParamType.BOOLEAN, defaultValue: false},
+        'layers': {type: ngeo.LocationParamType.LIST, defaultValue: []},
+        'lang': {
+          type: ngeo.LocationParamType.ENUM,
+          values: ['en', 'fr'],
+          defaultValue: 'en'
+        }
+      });
+    });
+
+    it('returns the default values for missing params', function() {
+      expect(ngeoLocation.getTypedParam('zoom')).toBe(2);
+      expect(ngeoLocation.getTypedParam('center')).toBeUndefined();
+      expect(ngeoLocation.getTypedParam('debug')).toBe(false);
+      expect(ngeoLocation.getTypedParam('layers')).toEqual([]);
+      expect(ngeoLocation.getTypedParam('lang')).toBe('en');
+      expect($log.warn.logs.length).toBe(0);
+    });
+
+    it('parses the params', function() {
+      ngeoLocation.updateParams({
+        'zoom': '5',
+        'center': '1000.5,-2000',
+        'debug': 'true',
+        'layers': 'foo,bar',
+        'lang': 'fr'
+      });
+      expect(ngeoLocation.getTypedParam('zoom')).toBe(5);
+      expect(ngeoLocation.getTypedParam('center')).toEqual([1000.5, -2000]);
+      expect(ngeoLocation.getTypedParam('debug')).toBe(true);
+      expect(ngeoLocation.getTypedParam('layers')).toEqual(['foo', 'bar']);
+      expect(ngeoLocation.getTypedParam('lang')).toBe('fr');
+    });
+
+    it('returns the default values for malformed params', function() {
+      ngeoLocation.updateParams({
+        'zoom': '5x',
+        'center': '1000',
+        'debug': 'yes',
+        'lang': 'de'
+      });
+      expect(ngeoLocation.getTypedParam('zoom')).toBe(2);
+      expect(ngeoLocation.getTypedParam('center')).toBeUndefined();
+      expect(ngeoLocation.getTypedParam('debug')).toBe(false);
+      expect(ngeoLocation.getTypedParam('lang')).toBe('en');
+      expect($log.warn.logs.length).toBe(4);
+    });
+
+    it('validates the params', function() {
+      ngeoLocation.updateParams({'zoom': '25'});
+      expect(ngeoLocation.getTypedParam('zoom')).toBe(2);
+      expect($log.warn.logs.length).toBe(1);
+    });
+
+    it('encodes typed params', function() {
+      ngeoLocation.updateTypedParams({
+        'zoom': 5,
+        'center': [1000, 2000],
+        'layers': ['foo', 'bar']
+      });
+      expect(ngeoLocation.getParam('zoom')).toBe('5');
+      expect(ngeoLocation.getParam('center')).toBe('1000,2000');
+      expect(ngeoLocation.getParam('layers')).toBe('foo,bar');
+      ngeoLocation.updateTypedParams({'center': undefined});
+      expect(ngeoLocation.hasParam('center')).toBe(false);
+    });
+  });
+
+  describe('history', function() {
+    it('replaces the history entry by default', function() {
+      ngeoLocation.updateParams({'some': 'other'});
+      $rootScope.$digest();
+      expect(win.history.replaceState).toHaveBeenCalledWith(
+        null, '', 'http://domain.com/some/path?some=other');
+      expect(win.history.pushState).not.toHaveBeenCalled();
+    });
+
+    it('pushes history entries for settled URLs in push mode', function() {
+      ngeoLocation.setHistoryMode(ngeo.LocationHistoryMode.PUSH);
+      ngeoLocation.updateParams({'some': 'other'});
+      $rootScope.$digest();
+      expect(win.history.pushState).toHaveBeenCalledWith(
+        null, '', 'http://domain.com/some/path?some=other');
+
+      // not settled yet
+      ngeoLocation.updateParams({'some': 'another'});
+      $rootScope.$digest();
+      expect(win.history.pushState.calls.length).toBe(1);
+      expect(win.history.replaceState).toHaveBeenCalledWith(
+        null, '', 'http://domain.com/some/path?some=another');
+
+      $timeout.flush();
+      ngeoLocation.updateParams({'some': 'last'});
+      $rootScope.$digest();
+      expect(win.history.pushState.calls.length).toBe(2);
+      expect(win.history.pushState).toHaveBeenCalledWith(
+        null, '', 'http://domain.com/some/path?some=last');
+    });
+
+    it('updates the location on popstate', function() {
+      var fromHistory;
+      $rootScope.$on('ngeoLocationChange', function(event, opt_fromHistory) {
+        fromHistory = opt_fromHistory;
+      });
+      expect(popstateListener).toBeDefined();
+      win.location = 'http://domain.com/some/path?some=previous';
+      popstateListener();
+      expect(ngeoLocation.getParam('some')).toBe('previous');
+      expect(fromHistory).toBe(true);
+      expect(win.history.replaceState).not.toHaveBeenCalled();
+      expect(win.history.pushState).not.toHaveBeenCalled();
+    });
+  });
+});
+
+describe('ngeo.Location in fragment mode', function() {
+  var win;
+  var ngeoLocation;
+
+  beforeEach(function() {
+    win = {
+      'location': 'http://domain.com/some/path?query=param#some=param&a=b%26c',
+      'history': {'replaceState': function() {}}
+    };
+    spyOn(win.history, 'replaceState');
+    module(function($provide) {
+      $provide.value('$window', win);
+      $provide.value('ngeoLocationStorage', ngeo.LocationStorage.FRAGMENT);
+    });
+    inject(function($injector) {
+      ngeoLocation = $injector.get('ngeoLocation');
+    });
+  });
+
+  it('reads the params from the fragment', function() {
+    expect(ngeoLocation.getStorage()).toBe(ngeo.LocationStorage.FRAGMENT);
+    expect(ngeoLocation.getParamKeys()).toEqual(['some', 'a']);
+    expect(ngeoLocation.getParam('some')).toBe('param');
+    expect(ngeoLocation.getParam('a')).toBe('b&c');
+    expect(ngeoLocation.hasParam('query')).toBe(false);
+  });
+
+  it('writes the params in the fragment', function() {
+    ngeoLocation.updateParams({'some': 'other param'});
+    ngeoLocation.deleteParam('a');
+    expect(ngeoLocation.getUriString()).toBe(
+        'http://domain.com/some/path?query=param#some=other%20param');
+  });
+
+  it('returns the URI with additional params', function() {
+    var uri = ngeoLocation.getUriString({'another': 'param'});
+    expect(uri).toBe('http://domain.com/some/path?query=param' +
+        '#some=param&a=b%26c&another=param');
+  });
+
+  it('removes the fragment when there are no params', function() {
+    ngeoLocation.deleteParam('some');
+    ngeoLocation.deleteParam('a');
+    expect(ngeoLocation.getUriString()).toBe(
+        'http://domain.com/some/path?query=param');
   });
 });
@@ -0,0 +1,299 @@
+goog.require('ngeo.BackgroundLayerMgr');
+goog.require('ngeo.Location');
+goog.require('ngeo.Permalink');
+goog.require('ol.Feature');
+goog.require('ol.Map');
+goog.require('ol.View');
+goog.require('ol.geom.Point');
+goog.require('ol.layer.Group');
+goog.require('ol.layer.Tile');
+goog.require('ol.source.Vector');
+
+describe('ngeo.Permalink', function() {
+  var win;
+  var ngeoPermalink;
+  var ngeoLocation;
+  var ngeoBackgroundLayerMgr;
+  var $rootScope;
+  var $timeout;
+  var $log;
+  var $injector;
+  var map;
+  var layer1;
+  var layer2;
+  var bgLayer1;
+  var bgLayer2;
+  var source;
+
+  beforeEach(function() {
+    win = {
+      'location': 'http://domain.com/some/path?map_x=100&map_y=200' +
+          '&map_zoom=3&map_rotation=0.5&map_bg=bg2&map_layers=layer2' +
+          '&map_opacity_layer2=0.5&map_features=F1p(__)',
+      'history': {'replaceState': function() {}}
+    };
+    module(function($provide) {
+      $provide.value('$window', win);
+    });
+    inject(function(_$injector_) {
+      $injector = _$injector_;
+      $log = $injector.get('$log');
+      ngeoPermalink = $injector.get('ngeoPermalink');
+      ngeoLocation = $injector.get('ngeoLocation');
+      ngeoBackgroundLayerMgr = $injector.get('ngeoBackgroundLayerMgr');
+      $rootScope = $injector.get('$rootScope');
+      $timeout = $injector.get('$timeout');
+    });
+
+    layer1 = new ol.layer.Tile();
+    layer1.set('name', 'layer1');
+    layer2 = new ol.layer.Tile();
+    layer2.set('name', 'layer2');
+    bgLayer1 = new ol.layer.Tile();
+    bgLayer1.set('name', 'bg1');
+    bgLayer2 = new ol.layer.Tile();
+    bgLayer2.set('name', 'bg2');
+    source = new ol.source.Vector();
+
+    map = new ol.Map({
+      layers: [
+        layer1,
+        new ol.layer.Group({
+          layers: [layer2]
+        })
+      ],
+      view: new ol.View({
+        center: [0, 0],
+        zoom: 0
+      })
+    });
+
+    ngeoPermalink.init(map, {
+      backgroundLayers: [bgLayer1, bgLayer2],
+      featureSource: source
+    });
+  });
+
+  describe('#init', function() {
+
+    it('restores the view', function() {
+      var view = map.getView();
+      expect(view.getCenter()).toEqual([100, 200]);
+      expect(view.getZoom()).toBe(3);
+      expect(view.getRotation()).toBe(0.5);
+    });
+
+    it('restores the background layer', function() {
+      expect(ngeoBackgroundLayerMgr.get(map)).toBe(bgLayer2);
+    });
+
+    it('restores the layers visibility and opacity', function() {
+      expect(layer1.getVisible()).toBe(false);
+      expect(layer2.getVisible()).toBe(true);
+      expect(layer1.getOpacity()).toBe(1);
+      expect(layer2.getOpacity()).toBe(0.5);
+    });
+
+    it('restores the features', function() {
+      var features = source.getFeatures();
+      expect(features.length).toBe(1);
+      expect(features[0].getGeometry().getCoordinates()).toEqual([1, 1]);
+    });
+
+    it('ignores the features it cannot read', function() {
+      // a version of the format that does not exist yet
+      ngeoLocation.updateParams({'map_features': 'F9p(__)'});
+      var otherMap = new ol.Map({
+        view: new ol.View({
+          center: [0, 0],
+          zoom: 0
+        })
+      });
+      var otherSource = new ol.source.Vector();
+      var permalink = $injector.instantiate(ngeo.Permalink);
+      permalink.init(otherMap, {featureSource: otherSource});
+      expect(otherMap.getView().getCenter()).toEqual([100, 200]);
+      expect(otherMap.getView().getZoom()).toBe(3);
+      expect(otherSource.getFeatures().length).toBe(0);
+      expect($log.warn.logs.length).toBe(1);
+    });
+
+  });
+
+  describe('map changes', function() {
+
+    it('updates the URL', function() {
+      map.getView().setCenter([300, 400]);
+      ngeoBackgroundLayerMgr.set(map, bgLayer1);
+      layer1.setVisible(true);
+      layer2.setOpacity(1);
+      source.addFeature(new ol.Feature(new ol.geom.Point([2, 2])));
+      $timeout.flush();
+      expect(ngeoLocation.getParam('map_x')).toBe('300');
+      expect(ngeoLocation.getParam('map_y')).toBe('400');
+      expect(ngeoLocation.getParam('map_bg')).toBe('bg1');
+      expect(ngeoLocation.getParam('map_layers')).toBe('layer1,layer2');
+      expect(ngeoLocation.hasParam('map_opacity_layer2')).toBe(false);
+      expect(ngeoLocation.getParam('map_features')).toBe(
+          'F1p(__)p(**)');
+    });
+
+    it('does not write the zoom if the resolution is not a zoom level',
+        function() {
+          map.getView().setResolution(1000);
+          $timeout.flush();
+          expect(ngeoLocation.hasParam('map_zoom')).toBe(false);
+
+          map.getView().setZoom(5);
+          $timeout.flush();
+          expect(ngeoLocation.getParam('map_zoom')).toBe('5');
+        });
+
+  });
+
+  describe('layers added after init', function() {
+
+    var otherMap;
+    var layer3;
+
+    beforeEach(function() {
+      ngeoLocation.updateParams({
+        'map_layers': 'layer3',
+        'map_opacity_layer3': '0.3'
+      });
+      otherMap = new ol.Map({
+        view: new ol.View({
+          center: [0, 0],
+          zoom: 0
+        })
+      });
+      $injector.instantiate(ngeo.Permalink).init(otherMap);
+
+      layer3 = new ol.layer.Tile({visible: false});
+      layer3.set('name', 'layer3');
+    });
+
+    it('applies the state of the URL to the added layers', function() {
+      otherMap.addLayer(new ol.layer.Group({
+        layers: [layer3]
+      }));
+      expect(layer3.getVisible()).toBe(true);
+      expect(layer3.getOpacity()).toBe(0.3);
+    });
+
+    it('keeps the state of the missing layers in the URL', function() {
+      otherMap.getView().setCenter([300, 400]);
+      $timeout.flush();
+      expect(ngeoLocation.getParam('map_layers')).toBe('layer3');
+      expect(ngeoLocation.getParam('map_opacity_layer3')).toBe('0.3');
+    });
+
+    it('applies the state of the URL only once', function() {
+      otherMap.addLayer(layer3);
+      layer3.setVisible(false);
+      layer3.setOpacity(1);
+      otherMap.removeLayer(layer3);
+      otherMap.addLayer(layer3);
+      expect(layer3.getVisible()).toBe(false);
+      $timeout.flush();
+      expect(ngeoLocation.getParam('map_layers')).toBe('');
+      expect(ngeoLocation.hasParam('map_opacity_layer3')).toBe(false);
+    });
+
+  });
+
+  describe('history navigation', function() {
+
+    it('restores the state of the new URL', function() {
+      ngeoLocation.updateParams({
+        'map_x': '300',
+        'map_zoom': '4',
+        'map_layers': 'layer1',
+        'map_features': 'F1p(**)'
+      });
+      $rootScope.$broadcast('ngeoLocationChange', true);
+      expect(map.getView().getCenter()).toEqual([300, 200]);
+      expect(map.getView().getZoom()).toBe(4);
+      expect(layer1.getVisible()).toBe(true);
+      expect(layer2.getVisible()).toBe(false);
+      var features = source.getFeatures();
+      expect(features.length).toBe(1);
+      expect(features[0].getGeometry().getCoordinates()).toEqual([2, 2]);
+    });
+
+    it('removes the features if the new URL has none', function() {
+      ngeoLocation.deleteParam('map_features');
+      $rootScope.$broadcast('ngeoLocationChange', true);
+      expect(source.getFeatures().length).toBe(0);
+    });
+
+    it('restores the registered states', function() {
+      var setter = jasmine.createSpy('setter');
+      ngeoPermalink.registerState('theme', function() {
+        return 'foo';
+      }, setter);
+      expect(setter).not.toHaveBeenCalled();
+      ngeoLocation.updateParams({'theme': 'bar'});
+      $rootScope.$broadcast('ngeoLocationChange', true);
+      expect(setter).toHaveBeenCalledWith('bar');
+    });
+
+    it('does not write the URL while restoring the state', function() {
+      ngeoPermalink.registerState('theme', function() {
+        return 'foo';
+      }, function(value) {
+        ngeoPermalink.update();
+      });
+      ngeoLocation.updateParams({
+        'theme': 'bar',
+        'map_x': '300',
+        'map_layers': 'layer1',
+        'map_features': 'F1p(**)'
+      });
+      $rootScope.$broadcast('ngeoLocationChange', true);
+      $timeout.verifyNoPendingTasks();
+      expect(ngeoLocation.getParam('theme')).toBe('bar');
+
+      // the changes made after the restore are written
+      map.getView().setCenter([400, 200]);
+      $timeout.flush();
+      expect(ngeoLocation.getParam('map_x')).toBe('400');
+    });
+
+    it('ignores the changes not coming from the history', function() {
+      ngeoLocation.updateParams({'map_features': 'F1p(**)'});
+      $rootScope.$broadcast('ngeoLocationChange');
+      var features = source.getFeatures();
+      expect(features.length).toBe(1);
+      expect(features[0].getGeometry().getCoordinates()).toEqual([1, 1]);
+    });
+
+  });
+
+  describe('#registerState', function() {
+
+    it('applies the state found in the URL', function() {
+      ngeoLocation.updateParams({'theme': 'foo'});
+      var setter = jasmine.createSpy('setter');
+      ngeoPermalink.registerState('theme', function() {
+        return 'foo';
+      }, setter);
+      expect(setter).toHaveBeenCalledWith('foo');
+    });
+
+    it('writes the state on update', function() {
+      var theme = 'bar';
+      ngeoPermalink.registerState('theme', function() {
+        return theme;
+      }, function(value) {});
+      ngeoPermalink.update();
+      $timeout.flush();
+      expect(ngeoLocation.getParam('theme')).toBe('bar');
+      theme = undefined;
+      ngeoPermalink.update();
+      $timeout.flush();
+      expect(ngeoLocation.hasParam('theme')).toBe(false);
+    });
+
+  });
+});
@@ -4,17 +4,24 @@ goog.require('ol.extent');
 goog.require('ol.geom.LineString');
 goog.require('ol.geom.Point');
 goog.require('ol.geom.Polygon');
+goog.require('ol.layer.Group');
 goog.require('ol.layer.Image');
 goog.require('ol.layer.Tile');
 goog.require('ol.layer.Vector');
+goog.require('ol.source.ImageStatic');
 goog.require('ol.source.ImageWMS');
 goog.require('ol.source.TileWMS');
 goog.require('ol.source.Vector');
 goog.require('ol.source.WMTS');
+goog.require('ol.source.XYZ');
 goog.require('ol.style.Circle');
+goog.require('ol.style.Fill');
+goog.require('ol.style.Icon');
+goog.require('ol.style.RegularShape');
 goog.require('ol.style.Stroke');
 goog.require('ol.style.Style');
 goog.require('ol.style.Text');
+goog.require('ol.tilegrid.TileGrid');
 goog.require('ol.tilegrid.WMTS');
 goog.require('ngeo.CreatePrint');
 goog.require('ngeo.Print');
@@ -66,6 +73,17 @@ describe('ngeo.CreatePrint', function() {
         var spec = print.createSpec(map, scale, dpi, layout, customAttributes);
         expect(spec.attributes.map.rotation).toEqual(180);
       });
+
+      it('takes the rotation of the print frame into account', function() {
+        var scale = 500;
+        var dpi = 72;
+        var layout = 'foo layout';
+        var customAttributes = {'foo': 'fooval', 'bar': 'barval'};
+
+        var spec = print.createSpec(map, scale, dpi, layout, customAttributes,
+            30);
+        expect(spec.attributes.map.rotation).toEqual(150);
+      });
     });
 
     describe('ImageWMS', function() {
@@ -264,6 +282,64 @@ describe('ngeo.CreatePrint', function() {
 
     });
 
+    describe('XYZ', function() {
+
+      beforeEach(function() {
+        map.addLayer(new ol.layer.Tile({
+          opacity: 0.5,
+          source: new ol.source.XYZ({
+            url: 'http://example.com/tiles/{z}/{x}/{y}.jpeg',
+            tileGrid: new ol.tilegrid.TileGrid({
+              extent: [0, 0, 1024, 1024],
+              origin: [0, 1024],
+              resolutions: [4, 2, 1],
+              tileSize: 256
+            })
+          })
+        }));
+      });
+
+      it('creates a valid spec object', function() {
+        var spec = print.createSpec(map, 500, 72, 'foo layout', {});
+
+        expect(spec.attributes.map.layers).toEqual([{
+          baseURL: 'http://example.com/tiles/{z}/{x}/{y}.jpeg',
+          imageExtension: 'jpeg',
+          maxExtent: [0, 0, 1024, 1024],
+          opacity: 0.5,
+          resolutions: [4, 2, 1],
+          tileSize: [256, 256],
+          type: 'osm'
+        }]);
+      });
+
+    });
+
+    describe('ImageStatic', function() {
+
+      beforeEach(function() {
+        map.addLayer(new ol.layer.Image({
+          source: new ol.source.ImageStatic({
+            url: 'http://example.com/image.png',
+            imageExtent: [0, 0, 1000, 500],
+            projection: 'EPSG:3857'
+          })
+        }));
+      });
+
+      it('creates a valid spec object', function() {
+        var spec = print.createSpec(map, 500, 72, 'foo layout', {});
+
+        expect(spec.attributes.map.layers).toEqual([{
+          baseURL: 'http://example.com/image.png',
+          extent: [0, 0, 1000, 500],
+          opacity: 1,
+          type: 'image'
+        }]);
+      });
+
+    });
+
     describe('Vector', function() {
       var style0, style1, style2, style3, style4;
 
@@ -525,6 +601,293 @@ describe('ngeo.CreatePrint', function() {
 
     });
 
+    describe('Vector point styles', function() {
+
+      /**
+       * @param {ol.style.Image} image Image style.
+       * @return {Object} The symbolizer of the image style.
+       */
+      function getSymbolizer(image) {
+        var style = new ol.style.Style({image: image});
+        map.addLayer(new ol.layer.Vector({
+          source: new ol.source.Vector({
+            features: [new ol.Feature(new ol.geom.Point([0, 0]))]
+          }),
+          style: function(feature, resolution) {
+            return [style];
+          }
+        }));
+        var spec = print.createSpec(map, 500, 72, 'foo layout', {});
+        var key = '[_ngeo_style_0 = \'' + goog.getUid(style) + '\']';
+        return spec.attributes.map.layers[0].style[key].symbolizers[0];
+      }
+
+      it('encodes the icon size, offsets and opacity', function() {
+        var symbolizer = getSymbolizer(new ol.style.Icon({
+          src: 'http://example.com/icon.png',
+          size: [32, 48],
+          scale: 0.5,
+          anchor: [0.25, 1],
+          opacity: 0.8,
+          rotation: Math.PI / 2
+        }));
+        expect(symbolizer).toEqual({
+          type: 'point',
+          externalGraphic: 'http://example.com/icon.png',
+          graphicWidth: 16,
+          graphicHeight: 24,
+          graphicXOffset: 4,
+          graphicYOffset: 12,
+          graphicOpacity: 0.8,
+          rotation: 90
+        });
+      });
+
+      it('encodes stars', function() {
+        var symbolizer = getSymbolizer(new ol.style.RegularShape({
+          points: 5,
+          radius: 10,
+          radius2: 4,
+          fill: new ol.style.Fill({color: [255, 0, 0, 1]})
+        }));
+        expect(symbolizer).toEqual({
+          type: 'point',
+          graphicName: 'star',
+          pointRadius: 10,
+          fillColor: '#ff0000',
+          fillOpacity: 1
+        });
+      });
+
+      it('encodes squares', function() {
+        var symbolizer = getSymbolizer(new ol.style.RegularShape({
+          points: 4,
+          radius: 10,
+          angle: Math.PI / 4,
+          stroke: new ol.style.Stroke({color: [0, 0, 255, 1], width: 2})
+        }));
+        expect(symbolizer.graphicName).toBe('square');
+        expect(symbolizer.pointRadius).toBeCloseTo(10 / Math.SQRT2, 6);
+        expect(symbolizer.rotation).toBeUndefined();
+        expect(symbolizer.strokeColor).toBe('#0000ff');
+        expect(symbolizer.strokeWidth).toBe(2);
+      });
+
+      it('encodes rotated triangles and crosses', function() {
+        var symbolizer = getSymbolizer(new ol.style.RegularShape({
+          points: 3,
+          radius: 10,
+          rotation: Math.PI,
+          fill: new ol.style.Fill({color: [255, 0, 0, 1]})
+        }));
+        expect(symbolizer.graphicName).toBe('triangle');
+        expect(symbolizer.rotation).toBe(180);
+
+        symbolizer = getSymbolizer(new ol.style.RegularShape({
+          points: 4,
+          radius: 10,
+          radius2: 0,
+          angle: Math.PI / 4,
+          stroke: new ol.style.Stroke({color: [0, 0, 255, 1], width: 2})
+        }));
+        expect(symbolizer.graphicName).toBe('cross');
+        expect(symbolizer.rotation).toBe(45);
+      });
+
+    });
+
+    describe('Vector clipping and simplification', function() {
+
+      // the features are clipped to this extent buffered by 10 map units
+      var extent = [-50, -50, 50, 50];
+
+      /**
+       * @param {ol.geom.Geometry} geometry Geometry.
+       * @param {ngeox.PrintVectorOptions=} opt_vectorOptions Vector options.
+       * @return {GeoJSONGeometry} The encoded geometry, or `null` if the
+       *     feature is not encoded.
+       */
+      function encodeGeometry(geometry, opt_vectorOptions) {
+        var style = new ol.style.Style({
+          stroke: new ol.style.Stroke({color: '#FF0000', width: 2})
+        });
+        map.addLayer(new ol.layer.Vector({
+          source: new ol.source.Vector({
+            features: [new ol.Feature(geometry)]
+          }),
+          style: function(feature, resolution) {
+            return [style];
+          }
+        }));
+        var spec = print.createSpec(map, 500, 72, 'foo layout', {},
+            undefined, undefined, opt_vectorOptions);
+        var layers = spec.attributes.map.layers;
+        return layers.length > 0 ? layers[0].geoJson.features[0].geometry :
+            null;
+      }
+
+      it('encodes all the features by default', function() {
+        var geometry = encodeGeometry(new ol.geom.Point([1000, 1000]));
+        expect(geometry).toEqual({type: 'Point', coordinates: [1000, 1000]});
+      });
+
+      it('ignores the features outside of the extent', function() {
+        var geometry = encodeGeometry(new ol.geom.Point([1000, 1000]),
+            {extent: extent});
+        expect(geometry).toBe(null);
+      });
+
+      it('does not change the features inside the extent', function() {
+        var geometry = encodeGeometry(
+            new ol.geom.LineString([[-10, 0], [10, 0]]), {extent: extent});
+        expect(geometry).toEqual({
+          type: 'LineString',
+          coordinates: [[-10, 0], [10, 0]]
+        });
+      });
+
+      it('clips the lines', function() {
+        var geometry = encodeGeometry(
+            new ol.geom.LineString([[-100, 0], [100, 0]]), {extent: extent});
+        expect(geometry).toEqual({
+          type: 'LineString',
+          coordinates: [[-60, 0], [60, 0]]
+        });
+      });
+
+      it('splits the lines leaving and entering the extent', function() {
+        var geometry = encodeGeometry(new ol.geom.LineString([
+          [-100, 0], [0, 0], [0, 100], [10, 100], [10, 0], [110, 0]
+        ]), {extent: extent});
+        expect(geometry).toEqual({
+          type: 'MultiLineString',
+          coordinates: [
+            [[-60, 0], [0, 0], [0, 60]],
+            [[10, 60], [10, 0], [60, 0]]
+          ]
+        });
+      });
+
+      it('clips the polygons', function() {
+        var geometry = encodeGeometry(new ol.geom.Polygon([
+          [[-100, -100], [100, -100], [100, 100], [-100, 100], [-100, -100]],
+          [[-5, -5], [-5, 5], [5, 5], [5, -5], [-5, -5]],
+          [[70, 70], [80, 70], [80, 80], [70, 80], [70, 70]]
+        ]), {extent: extent});
+        expect(geometry.type).toBe('Polygon');
+        // the hole outside of the extent is removed
+        expect(geometry.coordinates.length).toBe(2);
+        var polygon = new ol.geom.Polygon(geometry.coordinates);
+        expect(polygon.getExtent()).toEqual([-60, -60, 60, 60]);
+        expect(polygon.getArea()).toBe(120 * 120 - 10 * 10);
+      });
+
+      it('simplifies the geometries', function() {
+        var lineString = new ol.geom.LineString([[0, 0], [10, 0.01], [20, 0]]);
+        expect(encodeGeometry(lineString).coordinates.length).toBe(3);
+        map.getLayers().clear();
+        var geometry = encodeGeometry(lineString, {simplify: true});
+        expect(geometry.coordinates).toEqual([[0, 0], [20, 0]]);
+      });
+    });
+
+    describe('legend', function() {
+
+      var vectorLayer;
+
+      beforeEach(function() {
+        map.addLayer(new ol.layer.Image({
+          source: new ol.source.ImageWMS({
+            url: 'http://example.com/wms',
+            params: {'LAYERS': 'foo,bar'}
+          })
+        }));
+
+        var hidden = new ol.layer.Tile({
+          visible: false,
+          source: new ol.source.TileWMS({
+            url: 'http://example.com/wms',
+            params: {'LAYERS': 'hidden'}
+          })
+        });
+        map.addLayer(hidden);
+
+        var tileLayer = new ol.layer.Tile({
+          source: new ol.source.TileWMS({
+            url: 'http://example.com/wms',
+            params: {'LAYERS': 'baz'}
+          })
+        });
+        tileLayer.set('name', 'Baz layer');
+        map.addLayer(tileLayer);
+
+        var style = new ol.style.Style({
+          stroke: new ol.style.Stroke({color: [0, 0, 255, 1], width: 2})
+        });
+        vectorLayer = new ol.layer.Vector({
+          source: new ol.source.Vector({
+            features: [
+              new ol.Feature(new ol.geom.LineString([[0, 0], [1, 1]])),
+              new ol.Feature(new ol.geom.LineString([[1, 1], [2, 2]]))
+            ]
+          }),
+          style: function(feature, resolution) {
+            return [style];
+          }
+        });
+        map.addLayer(vectorLayer);
+      });
+
+      it('does not add a legend by default', function() {
+        var spec = print.createSpec(map, 500, 72, 'foo layout', {});
+        expect(spec.attributes['legend']).toBeUndefined();
+      });
+
+      it('builds the legend of the visible layers', function() {
+        var spec = print.createSpec(map, 500, 72, 'foo layout', {}, 0, {
+          attributeName: 'myLegend',
+          getLayerName: function(layer) {
+            return layer === vectorLayer ? 'Drawing' : layer.get('name');
+          },
+          title: 'Legend'
+        });
+
+        var legend = spec.attributes['myLegend'];
+        expect(legend.name).toBe('Legend');
+        expect(legend.classes.length).toBe(3);
+
+        // the layers are in the order of the printed layers
+        var vectorClass = legend.classes[0];
+        expect(vectorClass.name).toBe('Drawing');
+        // both features have the same style
+        expect(vectorClass.icons.length).toBe(1);
+        expect(vectorClass.icons[0].indexOf('data:image/png')).toBe(0);
+
+        expect(legend.classes[1]).toEqual({
+          name: 'Baz layer',
+          icons: ['http://example.com/wms?SERVICE=WMS&' +
+              'REQUEST=GetLegendGraphic&VERSION=1.1.1&FORMAT=image%2Fpng&' +
+              'LAYER=baz']
+        });
+
+        expect(legend.classes[2]).toEqual({
+          name: '',
+          classes: [{
+            name: 'foo',
+            icons: ['http://example.com/wms?SERVICE=WMS&' +
+                'REQUEST=GetLegendGraphic&VERSION=1.1.1&FORMAT=image%2Fpng&' +
+                'LAYER=foo']
+          }, {
+            name: 'bar',
+            icons: ['http://example.com/wms?SERVICE=WMS&' +
+                'REQUEST=GetLegendGraphic&VERSION=1.1.1&FORMAT=image%2Fpng&' +
+                'LAYER=bar']
+          }]
+        });
+      });
+
+    });
+
     describe('layer order', function() {
 
       beforeEach(function() {
@@ -567,6 +930,144 @@ describe('ngeo.CreatePrint', function() {
 
     });
 
+    describe('layer groups', function() {
+
+      /**
+       * @param {string} url WMS URL.
+       * @param {Object.<string, *>} params WMS params.
+       * @param {number=} opt_opacity Opacity.
+       * @return {ol.layer.Image} WMS layer.
+       */
+      function createWmsLayer(url, params, opt_opacity) {
+        return new ol.layer.Image({
+          opacity: goog.isDef(opt_opacity) ? opt_opacity : 1,
+          source: new ol.source.ImageWMS({url: url, params: params})
+        });
+      }
+
+      it('prints the layers of the visible groups', function() {
+        map.addLayer(new ol.layer.Group({
+          opacity: 0.5,
+          layers: [
+            createWmsLayer('http://example.com/wms/a', {'LAYERS': 'a'}, 0.8),
+            new ol.layer.Group({
+              opacity: 0.5,
+              layers: [
+                createWmsLayer('http://example.com/wms/b', {'LAYERS': 'b'})
+              ]
+            }),
+            new ol.layer.Group({
+              visible: false,
+              layers: [
+                createWmsLayer('http://example.com/wms/c', {'LAYERS': 'c'})
+              ]
+            })
+          ]
+        }));
+
+        var spec = print.createSpec(map, 500, 72, 'foo layout', {});
+
+        var layers = spec.attributes.map.layers;
+        expect(layers.length).toBe(2);
+        expect(layers[0].baseURL).toBe('http://example.com/wms/b');
+        expect(layers[0].opacity).toBeCloseTo(0.25);
+        expect(layers[1].baseURL).toBe('http://example.com/wms/a');
+        expect(layers[1].opacity).toBeCloseTo(0.4);
+      });
+
+      it('merges the adjacent WMS layers of the same server', function() {
+        map.addLayer(createWmsLayer('http://example.com/wms', {
+          'LAYERS': 'foo'
+        }));
+        map.addLayer(new ol.layer.Group({
+          layers: [
+            createWmsLayer('http://example.com/wms', {'LAYERS': 'bar,baz'})
+          ]
+        }));
+
+        var spec = print.createSpec(map, 500, 72, 'foo layout', {});
+
+        var layers = spec.attributes.map.layers;
+        expect(layers.length).toBe(1);
+        expect(layers[0].layers).toEqual(['foo', 'bar', 'baz']);
+      });
+
+      it('does not merge the WMS layers that cannot be requested together',
+          function() {
+            map.addLayer(createWmsLayer('http://example.com/wms', {
+              'LAYERS': 'foo'
+            }));
+            map.addLayer(createWmsLayer('http://example.com/wms', {
+              'LAYERS': 'bar'
+            }, 0.5));
+            map.addLayer(createWmsLayer('http://example.com/wms', {
+              'LAYERS': 'baz',
+              'STYLES': 'default'
+            }, 0.5));
+            map.addLayer(createWmsLayer('http://example.com/other-wms', {
+              'LAYERS': 'qux'
+            }, 0.5));
+
+            var spec = print.createSpec(map, 500, 72, 'foo layout', {});
+
+            var layers = spec.attributes.map.layers;
+            expect(layers.length).toBe(4);
+          });
+
+      it('adds the layers of the groups to the legend', function() {
+        var layer = createWmsLayer('http://example.com/wms', {
+          'LAYERS': 'foo'
+        });
+        layer.set('name', 'Foo');
+        map.addLayer(new ol.layer.Group({layers: [layer]}));
+
+        var spec = print.createSpec(map, 500, 72, 'foo layout', {}, 0, {});
+
+        var legend = spec.attributes['legend'];
+        expect(legend.classes.length).toBe(1);
+        expect(legend.classes[0].name).toBe('Foo');
+      });
+    });
+
+  });
+
+  describe('#createAtlasSpec', function() {
+
+    it('creates one page per frame', function() {
+      var print = ngeoCreatePrint('http://example.com/print');
+      var map = new ol.Map({
+        layers: [new ol.layer.Image({
+          source: new ol.source.ImageWMS({
+            url: 'http://example.com/wms',
+            params: {'LAYERS': 'foo'}
+          })
+        })],
+        view: new ol.View({
+          center: [3000, 4000],
+          zoom: 0
+        })
+      });
+
+      var spec = print.createAtlasSpec(map, [
+        {center: [0, 0], rotation: 0},
+        {center: [100, 0], rotation: 45}
+      ], 500, 72, 'atlas layout', {'title': 'My route'}, 'pages');
+
+      expect(spec.layout).toBe('atlas layout');
+      expect(spec.attributes['title']).toBe('My route');
+
+      var pages = spec.attributes['pages'];
+      expect(pages.length).toBe(2);
+      expect(pages[0]['map'].center).toEqual([0, 0]);
+      expect(pages[0]['map'].rotation).toBe(0);
+      expect(pages[1]['map'].center).toEqual([100, 0]);
+      expect(pages[1]['map'].rotation).toBe(45);
+      expect(pages[1]['map'].scale).toBe(500);
+      expect(pages[1]['map'].dpi).toBe(72);
+      expect(pages[1]['map'].layers.length).toBe(1);
+      expect(pages[1]['map'].layers[0].type).toBe('wms');
+    });
+
   });
 
   describe('#createReport', function() {
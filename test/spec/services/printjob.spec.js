@@ -0,0 +1,147 @@
+goog.require('ngeo.CreatePrint');
+goog.require('ngeo.CreatePrintJob');
+goog.require('ngeo.PrintJob');
+goog.require('ngeo.PrintJobStatus');
+
+describe('ngeo.PrintJob', function() {
+
+  var print;
+  var ngeoCreatePrintJob;
+  var $httpBackend;
+  var $timeout;
+  var spec;
+
+  beforeEach(function() {
+    inject(function($injector) {
+      print = $injector.get('ngeoCreatePrint')('http://example.com/print');
+      ngeoCreatePrintJob = $injector.get('ngeoCreatePrintJob');
+      $httpBackend = $injector.get('$httpBackend');
+      $timeout = $injector.get('$timeout');
+    });
+
+    spec = /** @type {MapFishPrintSpec} */ ({
+      attributes: {},
+      layout: 'foo layout'
+    });
+
+    $httpBackend.when('POST', 'http://example.com/print/report.pdf')
+        .respond({
+          ref: 'deadbeef',
+          statusURL: '/print/status/deadbeef.json',
+          downloadURL: '/print/report/deadbeef'
+        });
+  });
+
+  afterEach(function() {
+    $httpBackend.verifyNoOutstandingExpectation();
+    $httpBackend.verifyNoOutstandingRequest();
+  });
+
+  it('polls the status and resolves with the download URL', function() {
+    var job = ngeoCreatePrintJob(print, spec, {delay: 100, backoff: 2});
+    var spy = jasmine.createSpy();
+    job.submit().then(spy);
+    expect(job.status).toBe(ngeo.PrintJobStatus.SUBMITTED);
+
+    $httpBackend.flush();
+    expect(job.ref).toBe('deadbeef');
+
+    $httpBackend.expectGET('http://example.com/print/status/deadbeef.json')
+        .respond({done: false, status: 'waiting', waitingTime: 50,
+          elapsedTime: 100});
+    $timeout.flush(100);
+    $httpBackend.flush();
+    expect(job.status).toBe(ngeo.PrintJobStatus.WAITING);
+    expect(job.waitingTime).toBe(50);
+    expect(job.elapsedTime).toBe(100);
+
+    // the delay is doubled
+    $timeout.flush(100);
+    $httpBackend.verifyNoOutstandingRequest();
+    $httpBackend.expectGET('http://example.com/print/status/deadbeef.json')
+        .respond({done: true, status: 'finished', waitingTime: 50,
+          elapsedTime: 400});
+    $timeout.flush(100);
+    $httpBackend.flush();
+
+    expect(job.status).toBe(ngeo.PrintJobStatus.FINISHED);
+    expect(job.isDone()).toBe(true);
+    expect(spy).toHaveBeenCalledWith(
+        'http://example.com/print/report/deadbeef');
+  });
+
+  it('rejects the promise on print errors', function() {
+    var job = ngeoCreatePrintJob(print, spec, {delay: 100});
+    var spy = jasmine.createSpy();
+    job.submit().then(undefined, spy);
+    $httpBackend.flush();
+
+    $httpBackend.expectGET('http://example.com/print/status/deadbeef.json')
+        .respond({done: true, status: 'error', error: 'out of memory'});
+    $timeout.flush(100);
+    $httpBackend.flush();
+
+    expect(job.status).toBe(ngeo.PrintJobStatus.ERROR);
+    expect(job.error).toBe('out of memory');
+    expect(spy).toHaveBeenCalledWith(ngeo.PrintJobStatus.ERROR);
+  });
+
+  it('rejects the promise on HTTP errors', function() {
+    $httpBackend.expectPOST('http://example.com/print/report.pdf')
+        .respond(500, '', {}, 'Internal Server Error');
+    var job = ngeoCreatePrintJob(print, spec);
+    var spy = jasmine.createSpy();
+    job.submit().then(undefined, spy);
+    $httpBackend.flush();
+
+    expect(job.status).toBe(ngeo.PrintJobStatus.ERROR);
+    expect(job.error).toBe('500 Internal Server Error');
+    expect(spy).toHaveBeenCalledWith(ngeo.PrintJobStatus.ERROR);
+  });
+
+  it('cancels the report', function() {
+    var job = ngeoCreatePrintJob(print, spec, {delay: 100});
+    var spy = jasmine.createSpy();
+    job.submit().then(undefined, spy);
+    $httpBackend.flush();
+
+    $httpBackend.expectDELETE('http://example.com/print/cancel/deadbeef')
+        .respond(200, '');
+    job.cancel();
+    $httpBackend.flush();
+
+    expect(job.status).toBe(ngeo.PrintJobStatus.CANCELLED);
+    expect(spy).toHaveBeenCalledWith(ngeo.PrintJobStatus.CANCELLED);
+
+    // no more status requests
+    $timeout.verifyNoPendingTasks();
+  });
+
+  it('cancels the report after the timeout', function() {
+    var job = ngeoCreatePrintJob(print, spec,
+        {delay: 100, maxDelay: 100, timeout: 250});
+    var spy = jasmine.createSpy();
+    job.submit().then(undefined, spy);
+    $httpBackend.flush();
+
+    $httpBackend.expectGET('http://example.com/print/status/deadbeef.json')
+        .respond({done: false, status: 'running'});
+    $timeout.flush(100);
+    $httpBackend.flush();
+    expect(job.status).toBe(ngeo.PrintJobStatus.RUNNING);
+
+    $httpBackend.expectGET('http://example.com/print/status/deadbeef.json')
+        .respond({done: false, status: 'running'});
+    $timeout.flush(100);
+    $httpBackend.flush();
+
+    $httpBackend.expectDELETE('http://example.com/print/cancel/deadbeef')
+        .respond(200, '');
+    $timeout.flush(50);
+    $httpBackend.flush();
+
+    expect(job.status).toBe(ngeo.PrintJobStatus.TIMEOUT);
+    expect(spy).toHaveBeenCalledWith(ngeo.PrintJobStatus.TIMEOUT);
+  });
+
+});
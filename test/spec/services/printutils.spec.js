@@ -0,0 +1,105 @@
+goog.require('ngeo.PrintUtils');
+goog.require('ol.geom.LineString');
+
+describe('ngeo.PrintUtils', function() {
+
+  var ngeoPrintUtils;
+
+  beforeEach(function() {
+    inject(function($injector) {
+      ngeoPrintUtils = $injector.get('ngeoPrintUtils');
+    });
+  });
+
+  describe('#getOptimalScale', function() {
+
+    var scales = [500, 1000, 2000, 4000, 8000];
+
+    it('returns the largest scale the frame fits in', function() {
+      // the map is 1000 m wide and 400 m high, a 1:1000 frame of
+      // 500x500 dots is 176 m wide and high
+      var scale = ngeoPrintUtils.getOptimalScale([1000, 400], 1, [500, 500],
+          scales);
+      expect(scale).toBe(2000);
+    });
+
+    it('takes the rotation of the frame into account', function() {
+      // the bounding box of the frame rotated by 45° is 707x707 dots
+      var scale = ngeoPrintUtils.getOptimalScale([1000, 400], 1, [500, 500],
+          scales, 45);
+      expect(scale).toBe(1000);
+    });
+
+    it('returns -1 if there is no optimal scale', function() {
+      var scale = ngeoPrintUtils.getOptimalScale([100, 100], 1, [500, 500],
+          scales);
+      expect(scale).toBe(-1);
+    });
+
+  });
+
+  describe('atlas frames', function() {
+
+    // the scale for which one dot on the paper is one meter on the ground
+    var scale = 72 * 39.37;
+
+    /**
+     * @param {Array.<ngeo.PrintFrame>} frames Frames.
+     * @return {Array.<Array.<number>>} Centers and rotations, rounded.
+     */
+    function round(frames) {
+      return frames.map(function(frame) {
+        return [
+          Math.round(frame.center[0]),
+          Math.round(frame.center[1]),
+          Math.round(frame.rotation)
+        ];
+      });
+    }
+
+    it('gets the size of the page on the ground', function() {
+      var size = ngeoPrintUtils.getGroundSize([100, 50], scale);
+      expect(size[0]).toBeCloseTo(100, 6);
+      expect(size[1]).toBeCloseTo(50, 6);
+    });
+
+    it('splits an extent into a grid centered on the extent', function() {
+      var frames = ngeoPrintUtils.splitExtent([0, 0, 250, 120], [100, 50],
+          scale);
+      expect(round(frames)).toEqual([
+        [25, 110, 0], [125, 110, 0], [225, 110, 0],
+        [25, 60, 0], [125, 60, 0], [225, 60, 0],
+        [25, 10, 0], [125, 10, 0], [225, 10, 0]
+      ]);
+    });
+
+    it('takes the overlap into account', function() {
+      var frames = ngeoPrintUtils.splitExtent([0, 0, 180, 40], [100, 50],
+          scale, 0.1);
+      expect(round(frames)).toEqual([[45, 20, 0], [135, 20, 0]]);
+    });
+
+    it('splits a line into frames oriented along the line', function() {
+      var line = new ol.geom.LineString([[0, 0], [150, 0], [150, 120]]);
+      var frames = ngeoPrintUtils.splitLineString(line, [100, 50], scale);
+      expect(round(frames)).toEqual([
+        [50, 0, 0],
+        [125, 25, 45],
+        [150, 85, 90]
+      ]);
+    });
+
+    it('gets the polygon of a rotated frame', function() {
+      var polygon = ngeoPrintUtils.getFramePolygon(
+          {center: [0, 0], rotation: 90}, [100, 50], scale);
+      var ring = polygon.getCoordinates()[0];
+      expect(ring.length).toBe(5);
+      expect(ring[0][0]).toBeCloseTo(25, 6);
+      expect(ring[0][1]).toBeCloseTo(-50, 6);
+      expect(ring[2][0]).toBeCloseTo(-25, 6);
+      expect(ring[2][1]).toBeCloseTo(50, 6);
+    });
+
+  });
+
+});
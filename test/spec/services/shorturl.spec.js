@@ -0,0 +1,76 @@
+goog.require('ngeo.ShortUrl');
+
+describe('ngeo.ShortUrl', function() {
+
+  var ngeoShortUrl;
+
+  beforeEach(function() {
+    module(function($provide) {
+      $provide.value('ngeoShortUrlServiceUrl',
+          'http://example.com/short/create');
+    });
+    inject(function($injector) {
+      ngeoShortUrl = $injector.get('ngeoShortUrl');
+    });
+  });
+
+  describe('#shorten', function() {
+
+    var $httpBackend;
+
+    beforeEach(function() {
+      inject(function($injector) {
+        $httpBackend = $injector.get('$httpBackend');
+      });
+    });
+
+    afterEach(function() {
+      $httpBackend.verifyNoOutstandingExpectation();
+      $httpBackend.verifyNoOutstandingRequest();
+    });
+
+    it('posts the URL and resolves with the short URL', function() {
+      $httpBackend.expectPOST('http://example.com/short/create',
+          'url=http%3A%2F%2Fexample.com%2F%3Fmap_x%3D1%26map_y%3D2')
+          .respond({'short_url': 'http://example.com/s/abc'});
+
+      var spy = jasmine.createSpy();
+      ngeoShortUrl.shorten('http://example.com/?map_x=1&map_y=2').then(spy);
+      $httpBackend.flush();
+
+      expect(spy.calls.length).toBe(1);
+      expect(spy.mostRecentCall.args[0]).toBe('http://example.com/s/abc');
+    });
+
+    it('rejects the promise on errors', function() {
+      $httpBackend.expectPOST('http://example.com/short/create')
+          .respond(500, '');
+
+      var spy = jasmine.createSpy();
+      ngeoShortUrl.shorten('http://example.com/').then(undefined, spy);
+      $httpBackend.flush();
+
+      expect(spy.calls.length).toBe(1);
+    });
+
+  });
+
+  describe('#setBackend', function() {
+
+    it('uses the backend to shorten URLs', inject(function($q, $rootScope) {
+      var backend = jasmine.createSpy('backend').andCallFake(function(url) {
+        return $q.when('http://s.example.com/1');
+      });
+      ngeoShortUrl.setBackend(backend);
+
+      var spy = jasmine.createSpy();
+      ngeoShortUrl.shorten('http://example.com/').then(spy);
+      $rootScope.$digest();
+
+      expect(backend).toHaveBeenCalledWith('http://example.com/');
+      expect(spy).toHaveBeenCalledWith('http://s.example.com/1');
+    }));
+
+  });
+
+});